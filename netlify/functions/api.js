@@ -1,332 +1,4116 @@
 const express = require('express');
 const serverless = require('serverless-http');
 const cors = require('cors');
-const { Pool } = require('pg');
 const path = require('path');
+const crypto = require('crypto');
+const { pool, sql, gerarUUID } = require('../lib/db');
+const { descricao: DESCRICAO_BANCO, listarTabelas } = require('../lib/armazenamento');
+const {
+  normalizarNomeProduto,
+  registrarItensVenda,
+  devolverEstoqueVenda,
+  removerItensVenda
+} = require('../lib/catalogo');
+const { gerarRelatorio } = require('../lib/relatorios');
+const { COLUNAS_EXPORTACAO, FORMATOS_EXPORTACAO, selecionarColunas, gerarExportacao } = require('../lib/exportacao');
+const { comprovanteCaixa, comprovantePedido, comandaCozinha } = require('../lib/comprovantes');
+const { PAGINAS_CODIGO } = require('../lib/escpos');
+const { paraCentavos, deCentavos, somarCentavos } = require('../lib/dinheiro');
+const { registrarClienteVenda, buscarClientes } = require('../lib/clientes');
+const { idempotencia } = require('../lib/idempotencia');
+const { ADAPTADORES, FONTE_PADRAO, buscarFontePorRota } = require('../lib/fontes');
+const {
+  FUSO_HORARIO_PADRAO,
+  HORA_CORTE_PADRAO,
+  fusoHorarioValido,
+  inicioDiaOperacional,
+  condicaoPeriodoOperacional
+} = require('../lib/calendario');
+const {
+  validar,
+  incluirCodigoErro,
+  tratarErroRequisicao,
+  texto,
+  uuid,
+  dia,
+  opcao,
+  numero,
+  inteiro,
+  moeda,
+  booleano,
+  objeto,
+  lista,
+  mapa
+} = require('../lib/validacao');
 
 const app = express();
 
-// Configuração do PostgreSQL (NeonDB)
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false
-  },
-  max: 20,
-  idleTimeoutMillis: 30000,
-  connectionTimeoutMillis: 2000,
+// Middleware
+app.use(cors());
+app.use(express.json({
+  // Guarda o corpo original para a validação da assinatura do webhook
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+app.use(incluirCodigoErro);
+
+// Configuração de acesso dos operadores
+const PAPEIS_OPERADOR = ['operador', 'gerente'];
+const SESSAO_HORAS = parseInt(process.env.SESSAO_HORAS, 10) || 12;
+const LIMITE_RETIRADA_OPERADOR = parseFloat(process.env.LIMITE_RETIRADA_OPERADOR) || 200;
+
+// Configuração do fechamento de caixa
+const LIMITE_DIVERGENCIA_FECHAMENTO = parseFloat(process.env.LIMITE_DIVERGENCIA_FECHAMENTO) || 5;
+const TIPOS_PAGAMENTO = ['DINHEIRO', 'CARTAO_CREDITO', 'CARTAO_DEBITO', 'PIX', 'OUTRO'];
+
+// Cédulas e moedas aceitas na contagem do fechamento
+const DENOMINACOES = [200, 100, 50, 20, 10, 5, 2, 1, 0.5, 0.25, 0.1, 0.05, 0.01];
+
+// Período máximo aceito pelos relatórios e exportações, em dias
+const LIMITE_DIAS_RELATORIO = 366;
+
+// Categorias de retirada de dinheiro da gaveta
+const CATEGORIAS_RETIRADA = ['SANGRIA', 'FORNECEDOR', 'DESPESA', 'TROCO', 'ENTREGADOR'];
+
+// Situação das vendas e dos pedidos guardados com o caixa fechado
+const SITUACOES_VENDA = ['ATIVA', 'CANCELADA', 'ESTORNADA'];
+const SITUACOES_PEDIDO_PENDENTE = ['PENDENTE', 'ANEXADO', 'DESCARTADO'];
+
+// Paginação da listagem de vendas e colunas aceitas na ordenação
+const LIMITE_PAGINA_VENDAS = 50;
+const LIMITE_MAXIMO_PAGINA_VENDAS = 200;
+const ORDENACOES_VENDAS = {
+  data_venda: { coluna: 'v.data_venda', tipo: 'timestamptz' },
+  valor_total: { coluna: 'v.valor_total', tipo: 'numeric' }
+};
+
+// Etapas do pedido na cozinha e na entrega, na ordem; cada uma grava o horário
+// na coluna indicada. CANCELADO vem do cancelamento ou estorno da venda.
+const ETAPAS_PEDIDO = {
+  RECEBIDO: 'recebido_em',
+  EM_PREPARO: 'em_preparo_em',
+  PRONTO: 'pronto_em',
+  SAIU_PARA_ENTREGA: 'saiu_para_entrega_em',
+  ENTREGUE: 'entregue_em'
+};
+
+// Eventos só entram no cursor de /eventos depois desta idade: uma transação que
+// gravou um id menor e fez COMMIT depois aparece na consulta seguinte
+const ATRASO_CURSOR_EVENTOS_SEGUNDOS = 5;
+const LIMITE_EVENTOS = 200;
+
+// Configuração da autenticação do webhook
+const WEBHOOK_TOLERANCIA_SEGUNDOS = parseInt(process.env.WEBHOOK_TOLERANCIA_SEGUNDOS, 10) || 300;
+
+// Esquemas de validação usados por várias rotas (ver lib/validacao.js)
+const PARAMS_ID = { id: uuid({ obrigatorio: true }) };
+const PARAMS_CAIXA = { caixaId: uuid({ obrigatorio: true }) };
+const PARAMS_DIA = { data: dia({ obrigatorio: true }) };
+const QUERY_LOJA_TERMINAL = { loja_id: uuid(), terminal_id: uuid() };
+const QUERY_PERIODO = {
+  ...QUERY_LOJA_TERMINAL,
+  data_inicio: dia({ obrigatorio: true }),
+  data_fim: dia({ obrigatorio: true })
+};
+const BODY_MOTIVO = { motivo: texto({ obrigatorio: true, maximo: 500 }) };
+
+// Hash do conteúdo do pedido, usado para detectar alterações em reentregas
+function gerarHashPedido(pedido) {
+  return crypto.createHash('sha256').update(JSON.stringify(pedido)).digest('hex');
+}
+
+// Segredos aceitos para o webhook de uma fonte, da primeira variável de ambiente
+// definida (ex.: WEBHOOK_SECRETS). A lista separada por vírgulas permite a troca
+// de segredo sem indisponibilidade: o novo segredo é adicionado, a origem é
+// reconfigurada e só então o antigo é removido.
+function obterSegredosWebhook(variaveis) {
+  return (variaveis.map(variavel => process.env[variavel]).find(Boolean) || '')
+    .split(',')
+    .map(segredo => segredo.trim())
+    .filter(Boolean);
+}
+
+// Compara a assinatura recebida com a esperada para cada segredo ativo
+function assinaturaWebhookValida(assinatura, conteudoAssinado, segredos) {
+  const recebida = Buffer.from(assinatura.replace(/^sha256=/, ''), 'hex');
+
+  return segredos.some(segredo => {
+    const esperada = crypto
+      .createHmac('sha256', segredo)
+      .update(conteudoAssinado)
+      .digest();
+
+    return recebida.length === esperada.length && crypto.timingSafeEqual(recebida, esperada);
+  });
+}
+
+// Cabeçalho com a assinatura da requisição na fonte
+function cabecalhoAssinatura(adaptador) {
+  return adaptador.autenticacao.cabecalho || 'x-webhook-signature';
+}
+
+// Registrar tentativa de webhook rejeitada
+async function registrarRejeicaoWebhook(req, motivo) {
+  const ip = req.headers['x-forwarded-for'] || req.ip || '';
+  console.warn(`🚫 Webhook ${req.adaptadorFonte.codigo} rejeitado (${motivo}) - IP: ${ip}`);
+
+  try {
+    await pool.query(
+      `INSERT INTO webhook_rejeicoes (id, motivo, ip, assinatura, timestamp_enviado, nonce, user_agent, fonte)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+      [
+        gerarUUID(),
+        motivo,
+        ip,
+        req.headers[cabecalhoAssinatura(req.adaptadorFonte)] || null,
+        req.headers['x-webhook-timestamp'] || null,
+        req.headers['x-webhook-nonce'] || null,
+        req.headers['user-agent'] || null,
+        req.adaptadorFonte.codigo
+      ]
+    );
+  } catch (error) {
+    console.error('Erro ao registrar rejeição do webhook:', error.message);
+  }
+}
+
+// Identificar a fonte do webhook pela URL (/webhook/:fonte)
+function identificarFonteWebhook(req, res, next) {
+  req.adaptadorFonte = buscarFontePorRota(req.params.fonte);
+
+  if (!req.adaptadorFonte) {
+    return res.status(404).json({
+      success: false,
+      message: 'Fonte de pedidos desconhecida'
+    });
+  }
+
+  next();
+}
+
+// Middleware de autenticação do webhook, conforme a fonte:
+// - hmac-nonce: assinatura HMAC-SHA256 sobre "<timestamp>.<nonce>.<corpo>",
+//   timestamp dentro da tolerância e nonce de uso único
+// - hmac-corpo: assinatura HMAC-SHA256 do corpo no cabeçalho da fonte
+async function autenticarWebhook(req, res, next) {
+  const { autenticacao } = req.adaptadorFonte;
+  const segredos = obterSegredosWebhook(autenticacao.segredos);
+
+  if (segredos.length === 0) {
+    console.error(`❌ Nenhum segredo configurado para o webhook ${req.adaptadorFonte.codigo} (${autenticacao.segredos[0]})`);
+    return res.status(503).json({
+      success: false,
+      message: 'Webhook não configurado'
+    });
+  }
+
+  const assinatura = req.headers[cabecalhoAssinatura(req.adaptadorFonte)];
+  const timestamp = req.headers['x-webhook-timestamp'];
+  const nonce = req.headers['x-webhook-nonce'];
+
+  const rejeitar = async (motivo) => {
+    await registrarRejeicaoWebhook(req, motivo);
+    return res.status(401).json({
+      success: false,
+      message: 'Requisição de webhook não autorizada'
+    });
+  };
+
+  // Sem timestamp nem nonce: a repetição é barrada pela deduplicação do pedido
+  // no webhook (ver fontes/ifood.js)
+  if (autenticacao.tipo === 'hmac-corpo') {
+    if (!assinatura) return rejeitar('cabecalhos_ausentes');
+
+    return assinaturaWebhookValida(assinatura, req.rawBody || Buffer.alloc(0), segredos)
+      ? next()
+      : rejeitar('assinatura_invalida');
+  }
+
+  if (!assinatura || !timestamp || !nonce) {
+    return rejeitar('cabecalhos_ausentes');
+  }
+
+  const timestampSegundos = Number(timestamp);
+  const agoraSegundos = Math.floor(Date.now() / 1000);
+
+  if (!Number.isInteger(timestampSegundos) || Math.abs(agoraSegundos - timestampSegundos) > WEBHOOK_TOLERANCIA_SEGUNDOS) {
+    return rejeitar('timestamp_expirado');
+  }
+
+  const conteudoAssinado = Buffer.concat([
+    Buffer.from(`${timestamp}.${nonce}.`),
+    req.rawBody || Buffer.alloc(0)
+  ]);
+
+  if (!assinaturaWebhookValida(assinatura, conteudoAssinado, segredos)) {
+    return rejeitar('assinatura_invalida');
+  }
+
+  try {
+    // O nonce só é consumido depois da assinatura conferida
+    const nonceResult = await pool.query(
+      `INSERT INTO webhook_nonces (nonce) VALUES ($1) ON CONFLICT (nonce) DO NOTHING`,
+      [nonce]
+    );
+
+    if (nonceResult.rowCount === 0) {
+      return rejeitar('nonce_reutilizado');
+    }
+
+    // Nonces mais antigos que a tolerância não podem mais ser reaproveitados
+    await pool.query(
+      `DELETE FROM webhook_nonces WHERE recebido_em < ${sql.agoraMenos('2 * $1', 'second')}`,
+      [WEBHOOK_TOLERANCIA_SEGUNDOS]
+    );
+  } catch (error) {
+    console.error('❌ Erro ao validar nonce do webhook:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao validar requisição do webhook'
+    });
+  }
+
+  next();
+}
+
+// Gerar hash de senha com scrypt e salt aleatório
+function gerarHashSenha(senha) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(senha, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+// Conferir senha informada contra o hash armazenado
+function verificarSenha(senha, senhaHash) {
+  const [algoritmo, salt, hash] = String(senhaHash || '').split('$');
+  if (algoritmo !== 'scrypt' || !salt || !hash) return false;
+
+  const esperado = Buffer.from(hash, 'hex');
+  const calculado = crypto.scryptSync(senha, salt, esperado.length);
+  return crypto.timingSafeEqual(esperado, calculado);
+}
+
+// Tokens de sessão são guardados apenas como hash
+function gerarHashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Dados do operador que podem ser enviados ao frontend
+function operadorPublico(operador) {
+  return {
+    id: operador.id,
+    nome: operador.nome,
+    login: operador.login,
+    papel: operador.papel,
+    ativo: operador.ativo
+  };
+}
+
+// Middleware de autenticação dos operadores (Authorization: Bearer <token>)
+async function autenticarOperador(req, res, next) {
+  const [tipo, token] = (req.headers.authorization || '').split(' ');
+
+  if (tipo !== 'Bearer' || !token) {
+    return res.status(401).json({
+      success: false,
+      message: 'Login necessário'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT o.*, s.id AS sessao_id FROM sessoes s
+       JOIN operadores o ON o.id = s.operador_id
+       WHERE s.token_hash = $1 AND s.expira_em > NOW() AND o.ativo = TRUE`,
+      [gerarHashToken(token)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sessão expirada. Faça login novamente.'
+      });
+    }
+
+    req.operador = result.rows[0];
+    next();
+  } catch (error) {
+    console.error('Erro ao validar sessão:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao validar sessão'
+    });
+  }
+}
+
+// Middleware que restringe a rota aos papéis informados
+function exigirPapel(...papeis) {
+  return (req, res, next) => {
+    if (!req.operador || !papeis.includes(req.operador.papel)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Ação permitida apenas para: ' + papeis.join(', ')
+      });
+    }
+    next();
+  };
+}
+
+// Criar o primeiro gerente a partir de GERENTE_LOGIN/GERENTE_SENHA quando não há operadores
+async function criarGerenteInicial() {
+  const { GERENTE_LOGIN, GERENTE_SENHA } = process.env;
+  if (!GERENTE_LOGIN || !GERENTE_SENHA) return;
+
+  const existentes = await pool.query(`SELECT CAST(COUNT(*) AS INTEGER) AS total FROM operadores`);
+  if (existentes.rows[0].total > 0) return;
+
+  await pool.query(
+    `INSERT INTO operadores (id, nome, login, senha_hash, papel) 
+     VALUES ($1, $2, $3, $4, 'gerente') ON CONFLICT (login) DO NOTHING`,
+    [gerarUUID(), 'Gerente', GERENTE_LOGIN, gerarHashSenha(GERENTE_SENHA)]
+  );
+  console.log('👤 Gerente inicial criado:', GERENTE_LOGIN);
+}
+
+// Testar conexão com o banco
+async function testarConexao() {
+  try {
+    const client = await pool.connect();
+    console.log(`✅ Conectado ao ${DESCRICAO_BANCO} com sucesso!`);
+    
+    const tabelas = await listarTabelas(client);
+    
+    console.log('📊 Tabelas existentes:', tabelas);
+    client.release();
+    return true;
+  } catch (error) {
+    console.error(`❌ Erro ao conectar com ${DESCRICAO_BANCO}:`, error.message);
+    return false;
+  }
+}
+
+// Validar os pagamentos de uma venda: tipos conhecidos, valores positivos, troco
+// apenas em dinheiro e soma igual ao total. Devolve { pagamentos } ou { erro }.
+function validarPagamentosVenda(pagamentos, valorTotal) {
+  if (!Array.isArray(pagamentos) || pagamentos.length === 0) {
+    return { erro: 'Informe ao menos um pagamento' };
+  }
+
+  const normalizados = [];
+  let somaCentavos = 0;
+
+  for (const pagamento of pagamentos) {
+    const tipo = pagamento.tipo_pagamento;
+    const valor = paraCentavos(pagamento.valor);
+    let valorRecebido = null;
+    let troco = 0;
+
+    if (!TIPOS_PAGAMENTO.includes(tipo)) {
+      return { erro: `Tipo de pagamento inválido: ${tipo}` };
+    }
+
+    if (!(valor > 0)) {
+      return { erro: 'O valor de cada pagamento deve ser maior que zero' };
+    }
+
+    if (pagamento.valor_recebido !== undefined && pagamento.valor_recebido !== null && pagamento.valor_recebido !== '') {
+      if (tipo !== 'DINHEIRO') {
+        return { erro: 'Valor recebido e troco só se aplicam a pagamentos em dinheiro' };
+      }
+
+      valorRecebido = paraCentavos(pagamento.valor_recebido);
+
+      if (!(valorRecebido >= valor)) {
+        return { erro: 'O valor recebido em dinheiro não pode ser menor que o valor do pagamento' };
+      }
+
+      troco = valorRecebido - valor;
+    }
+
+    somaCentavos += valor;
+    normalizados.push({
+      tipo_pagamento: tipo,
+      valor: deCentavos(valor),
+      valor_recebido: valorRecebido === null ? null : deCentavos(valorRecebido),
+      troco: deCentavos(troco)
+    });
+  }
+
+  const totalCentavos = paraCentavos(valorTotal);
+
+  if (somaCentavos !== totalCentavos) {
+    return {
+      erro: `A soma dos pagamentos (${deCentavos(somaCentavos).toFixed(2)}) deve ser igual ao total da venda (${deCentavos(totalCentavos).toFixed(2)})`
+    };
+  }
+
+  return { pagamentos: normalizados };
+}
+
+// Tipo de pagamento resumido em vendas.tipo_pagamento: o único tipo usado,
+// MULTIPLO quando há vários ou PENDENTE quando não há pagamento
+function resumirTipoPagamento(pagamentos) {
+  const tipos = [...new Set(pagamentos.map(pagamento => pagamento.tipo_pagamento))];
+
+  if (tipos.length === 0) return 'PENDENTE';
+  return tipos.length === 1 ? tipos[0] : 'MULTIPLO';
+}
+
+// Substituir os pagamentos de uma venda (já validados) e atualizar o tipo resumido.
+// O operador fica em cada pagamento; na venda, só quando ainda não há um, para
+// não apagar quem a registrou (as alterações ficam na auditoria)
+async function definirPagamentosVenda(client, vendaId, pagamentos, operadorId = null) {
+  await client.query(`DELETE FROM pagamentos_venda WHERE venda_id = $1`, [vendaId]);
+
+  const inseridos = [];
+
+  for (const pagamento of pagamentos) {
+    const result = await client.query(
+      `INSERT INTO pagamentos_venda (id, venda_id, tipo_pagamento, valor, valor_recebido, troco, operador_id) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [
+        gerarUUID(),
+        vendaId,
+        pagamento.tipo_pagamento,
+        pagamento.valor,
+        pagamento.valor_recebido,
+        pagamento.troco || 0,
+        operadorId
+      ]
+    );
+    inseridos.push(result.rows[0]);
+  }
+
+  const vendaResult = await client.query(
+    `UPDATE vendas SET tipo_pagamento = $1, operador_id = COALESCE(operador_id, $2), updated_at = NOW() 
+     WHERE id = $3 RETURNING *`,
+    [resumirTipoPagamento(pagamentos), operadorId, vendaId]
+  );
+
+  return { ...vendaResult.rows[0], pagamentos: inseridos };
+}
+
+// Venda com tipo de pagamento único (webhook ou PUT /vendas/:id): um pagamento com o total
+async function registrarPagamentoIntegral(client, venda, operadorId = null) {
+  const pagamentos = venda.tipo_pagamento && venda.tipo_pagamento !== 'PENDENTE' && parseFloat(venda.valor_total) > 0
+    ? [{ tipo_pagamento: venda.tipo_pagamento, valor: venda.valor_total }]
+    : [];
+
+  return definirPagamentosVenda(client, venda.id, pagamentos, operadorId);
+}
+
+// Inserir venda recebida pelo webhook no caixa informado. Deve rodar dentro de
+// uma transação; o ON CONFLICT cobre entregas simultâneas do mesmo pedido.
+// recebido_em é a hora do servidor (não a da origem, nem a do pedido em espera),
+// base do tempo de preparo e da idade no quadro da cozinha.
+async function inserirVendaWebhook(client, pedido, caixaId, operadorId = null) {
+  const vendaResult = await client.query(
+    `INSERT INTO vendas 
+     (id, data_venda, dados_pedido, tipo_pagamento, valor_total, caixa_abertura_id, fonte, id_externo, hash_pedido, recebido_em, taxa_entrega) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW(), $10)
+     ON CONFLICT (fonte, id_externo) DO NOTHING
+     RETURNING *`,
+    [
+      gerarUUID(),
+      pedido.data_pedido,
+      pedido.dados_pedido,
+      pedido.tipo_pagamento,
+      pedido.valor_total,
+      caixaId,
+      pedido.fonte,
+      pedido.id_externo,
+      pedido.hash_pedido,
+      pedido.dados_pedido.taxa_entrega || 0
+    ]
+  );
+
+  if (vendaResult.rows.length === 0) {
+    const existenteResult = await client.query(
+      `SELECT * FROM vendas WHERE fonte = $1 AND id_externo = $2`,
+      [pedido.fonte, pedido.id_externo]
+    );
+
+    return { venda: existenteResult.rows[0], duplicado: true };
+  }
+
+  const venda = vendaResult.rows[0];
+
+  const estoqueBaixo = await registrarItensVenda(client, venda);
+  await registrarClienteVenda(client, venda);
+  await registrarPagamentoIntegral(client, venda);
+
+  await registrarAuditoria(client, {
+    entidade: 'venda',
+    entidadeId: venda.id,
+    acao: 'CRIAR',
+    novo: venda,
+    operadorId
+  });
+
+  await registrarEvento(client, 'VENDA_NOVA', {
+    caixaId,
+    entidadeId: venda.id,
+    // Pedido em espera anexado pelo operador: o aviso já saiu como PEDIDO_PENDENTE.
+    // Os produtos que chegaram ao estoque mínimo vão junto para o painel avisar.
+    dados: { ...resumirPedidoEvento(venda), anexado: Boolean(operadorId), estoque_baixo: estoqueBaixo }
+  });
+
+  // Uma reentrega pode chegar depois da abertura com o pedido ainda na fila
+  await client.query(
+    `UPDATE pedidos_pendentes 
+     SET status = 'ANEXADO', venda_id = $1, resolvido_em = NOW(), updated_at = NOW()
+     WHERE fonte = $2 AND id_externo = $3 AND status = 'PENDENTE'`,
+    [venda.id, pedido.fonte, pedido.id_externo]
+  );
+
+  return { venda, duplicado: false, estoqueBaixo };
+}
+
+// Guardar pedido recebido com o caixa fechado. Reentregas do mesmo pedido
+// atualizam o registro existente enquanto ele ainda não foi revisado.
+async function enfileirarPedidoPendente(client, pedido) {
+  const result = await client.query(
+    `INSERT INTO pedidos_pendentes 
+     (id, fonte, id_externo, hash_pedido, dados_pedido, tipo_pagamento, valor_total, data_pedido, loja_id) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+     ON CONFLICT (fonte, id_externo) DO UPDATE SET
+       loja_id = EXCLUDED.loja_id,
+       hash_pedido = EXCLUDED.hash_pedido,
+       dados_pedido = EXCLUDED.dados_pedido,
+       tipo_pagamento = EXCLUDED.tipo_pagamento,
+       valor_total = EXCLUDED.valor_total,
+       data_pedido = EXCLUDED.data_pedido,
+       updated_at = NOW()
+     WHERE pedidos_pendentes.status = 'PENDENTE'
+     RETURNING *`,
+    [
+      gerarUUID(),
+      pedido.fonte,
+      pedido.id_externo,
+      pedido.hash_pedido,
+      pedido.dados_pedido,
+      pedido.tipo_pagamento,
+      pedido.valor_total,
+      pedido.data_pedido,
+      pedido.loja_id
+    ]
+  );
+
+  if (result.rows.length > 0) {
+    await registrarEvento(client, 'PEDIDO_PENDENTE', {
+      lojaId: pedido.loja_id,
+      entidadeId: result.rows[0].id,
+      dados: resumirPedidoEvento(result.rows[0])
+    });
+
+    return result.rows[0];
+  }
+
+  // Pedido já revisado (anexado ou descartado) anteriormente
+  const existenteResult = await client.query(
+    `SELECT * FROM pedidos_pendentes WHERE fonte = $1 AND id_externo = $2`,
+    [pedido.fonte, pedido.id_externo]
+  );
+
+  return existenteResult.rows[0];
+}
+
+// Contar pedidos aguardando revisão na loja
+async function contarPedidosPendentes(client, lojaId) {
+  const result = await client.query(
+    `SELECT CAST(COUNT(*) AS INTEGER) AS total FROM pedidos_pendentes 
+     WHERE status = 'PENDENTE' AND (loja_id = $1 OR loja_id IS NULL)`,
+    [lojaId]
+  );
+
+  return result.rows[0].total;
+}
+
+// Localizar o terminal informado ou, sem identificação, o primeiro terminal cadastrado
+async function buscarTerminal(client, terminalId) {
+  const result = terminalId
+    ? await client.query(
+      `SELECT t.*, l.nome AS loja_nome, l.fuso_horario, l.hora_corte
+       FROM terminais t JOIN lojas l ON l.id = t.loja_id WHERE t.id = $1`,
+      [terminalId]
+    )
+    : await client.query(
+      `SELECT t.*, l.nome AS loja_nome, l.fuso_horario, l.hora_corte
+       FROM terminais t JOIN lojas l ON l.id = t.loja_id 
+       WHERE t.ativo = TRUE ORDER BY t.created_at LIMIT 1`
+    );
+
+  return result.rows[0] || null;
+}
+
+// Localizar a loja pelo código (URL ou payload do webhook) ou a loja padrão
+async function buscarLojaPorCodigo(client, codigo) {
+  const result = codigo
+    ? await client.query(`SELECT * FROM lojas WHERE codigo = $1 AND ativa = TRUE`, [codigo])
+    : await client.query(`SELECT * FROM lojas WHERE ativa = TRUE ORDER BY created_at LIMIT 1`);
+
+  return result.rows[0] || null;
+}
+
+async function buscarEntregador(client, entregadorId) {
+  const result = await client.query(`SELECT * FROM entregadores WHERE id = $1`, [entregadorId]);
+  return result.rows[0] || null;
+}
+
+// Caixa que recebe os pedidos online da loja: o do terminal marcado para receber
+// pedidos, ou o caixa aberto mais recente da loja
+async function buscarCaixaPedidosLoja(client, lojaId) {
+  const result = await client.query(
+    `SELECT c.* FROM caixa_abertura c
+     JOIN terminais t ON t.id = c.terminal_id
+     WHERE c.status = 'ABERTO' AND c.loja_id = $1
+     ORDER BY t.recebe_pedidos DESC, c.data_abertura DESC
+     LIMIT 1`,
+    [lojaId]
+  );
+
+  return result.rows[0] || null;
+}
+
+// Resumo de um caixa: vendas do sistema e manuais por forma de pagamento e por
+// origem, estornos, retiradas, suprimentos, o dinheiro que deveria estar na
+// gaveta e o faturamento. As somas são feitas em centavos. Lançamentos
+// cancelados não entram; estornos saem do caixa em que foram pagos.
+async function calcularResumoCaixa(client, caixa) {
+  const vendasResult = await client.query(
+    `SELECT fonte, valor_total FROM vendas WHERE caixa_abertura_id = $1 AND situacao <> 'CANCELADA'`,
+    [caixa.id]
+  );
+
+  // Vendas sem pagamento registrado entram pelo tipo resumido (PENDENTE)
+  const pagamentosResult = await client.query(
+    `SELECT COALESCE(p.tipo_pagamento, v.tipo_pagamento) AS tipo_pagamento, 
+            COALESCE(p.valor, v.valor_total) AS valor
+     FROM vendas v
+     LEFT JOIN pagamentos_venda p ON p.venda_id = v.id
+     WHERE v.caixa_abertura_id = $1 AND v.situacao <> 'CANCELADA'`,
+    [caixa.id]
+  );
+
+  const vendasManuaisResult = await client.query(
+    `SELECT tipo_pagamento, valor FROM vendas_manuais WHERE caixa_abertura_id = $1 AND situacao <> 'CANCELADA'`,
+    [caixa.id]
+  );
+
+  const retiradasResult = await client.query(
+    `SELECT categoria, valor FROM retiradas WHERE caixa_abertura_id = $1 AND situacao <> 'CANCELADA'`,
+    [caixa.id]
+  );
+
+  const suprimentosResult = await client.query(
+    `SELECT valor FROM suprimentos WHERE caixa_abertura_id = $1 AND situacao <> 'CANCELADA'`,
+    [caixa.id]
+  );
+
+  const estornosResult = await client.query(
+    `SELECT tipo_pagamento, valor FROM estornos WHERE caixa_abertura_id = $1`,
+    [caixa.id]
+  );
+
+  // Centavos por forma de pagamento, separando sistema, manuais e estornos
+  const porTipo = {};
+  const parcelasTipo = tipo => {
+    porTipo[tipo] = porTipo[tipo] || { sistema: 0, manual: 0, estornos: 0 };
+    return porTipo[tipo];
+  };
+
+  pagamentosResult.rows.forEach(pagamento => { parcelasTipo(pagamento.tipo_pagamento).sistema += paraCentavos(pagamento.valor); });
+  vendasManuaisResult.rows.forEach(venda => { parcelasTipo(venda.tipo_pagamento).manual += paraCentavos(venda.valor); });
+  estornosResult.rows.forEach(estorno => { parcelasTipo(estorno.tipo_pagamento).estornos += paraCentavos(estorno.valor); });
+
+  // Quantidade e centavos por origem; lançamentos manuais aparecem como MANUAL
+  const porFonte = {};
+  const somarFonte = (fonte, valor) => {
+    porFonte[fonte] = porFonte[fonte] || { quantidade: 0, total: 0 };
+    porFonte[fonte].quantidade += 1;
+    porFonte[fonte].total += paraCentavos(valor);
+  };
+
+  vendasResult.rows.forEach(venda => somarFonte(venda.fonte || FONTE_PADRAO, venda.valor_total));
+  vendasManuaisResult.rows.forEach(venda => somarFonte('MANUAL', venda.valor));
+
+  const porCategoria = {};
+  retiradasResult.rows.forEach(retirada => {
+    porCategoria[retirada.categoria] = (porCategoria[retirada.categoria] || 0) + paraCentavos(retirada.valor);
+  });
+
+  const valorInicial = paraCentavos(caixa.valor_inicial);
+  const vendasSistema = somarCentavos(vendasResult.rows.map(venda => venda.valor_total));
+  const vendasManuais = somarCentavos(vendasManuaisResult.rows.map(venda => venda.valor));
+  const retiradas = somarCentavos(retiradasResult.rows.map(retirada => retirada.valor));
+  const suprimentos = somarCentavos(suprimentosResult.rows.map(suprimento => suprimento.valor));
+  const estornos = somarCentavos(estornosResult.rows.map(estorno => estorno.valor));
+  const dinheiro = porTipo.DINHEIRO || { sistema: 0, manual: 0, estornos: 0 };
+  const dinheiroEsperado = valorInicial + dinheiro.sistema + dinheiro.manual - dinheiro.estornos + suprimentos - retiradas;
+
+  const emReais = totais => Object.fromEntries(Object.entries(totais).map(([chave, centavos]) => [chave, deCentavos(centavos)]));
+
+  return {
+    caixa_abertura_id: caixa.id,
+    status: caixa.status,
+    valor_inicial: deCentavos(valorInicial),
+    vendas: {
+      quantidade: vendasResult.rows.length + vendasManuaisResult.rows.length,
+      sistema: deCentavos(vendasSistema),
+      manual: deCentavos(vendasManuais),
+      total: deCentavos(vendasSistema + vendasManuais)
+    },
+    por_tipo_pagamento: Object.fromEntries(Object.entries(porTipo).map(([tipo, parcelas]) => [tipo, {
+      ...emReais(parcelas),
+      total: deCentavos(parcelas.sistema + parcelas.manual - parcelas.estornos)
+    }])),
+    por_fonte: Object.fromEntries(Object.entries(porFonte).map(([fonte, { quantidade, total }]) => [fonte, {
+      quantidade,
+      total: deCentavos(total)
+    }])),
+    estornos: {
+      quantidade: estornosResult.rows.length,
+      total: deCentavos(estornos)
+    },
+    retiradas: {
+      quantidade: retiradasResult.rows.length,
+      total: deCentavos(retiradas),
+      por_categoria: emReais(porCategoria)
+    },
+    suprimentos: {
+      quantidade: suprimentosResult.rows.length,
+      total: deCentavos(suprimentos)
+    },
+    // Dinheiro da gaveta: abertura + vendas em dinheiro - estornos em dinheiro + suprimentos - retiradas
+    dinheiro: {
+      abertura: deCentavos(valorInicial),
+      vendas: deCentavos(dinheiro.sistema + dinheiro.manual),
+      estornos: deCentavos(dinheiro.estornos),
+      suprimentos: deCentavos(suprimentos),
+      retiradas: deCentavos(retiradas),
+      esperado: deCentavos(dinheiroEsperado)
+    },
+    // Tudo o que foi vendido, em todas as formas, menos estornos. Retiradas
+    // são saídas da gaveta, não deduções da receita: só entram no dinheiro esperado
+    faturamento_liquido: deCentavos(vendasSistema + vendasManuais - estornos)
+  };
+}
+
+// Contagem cega: o dinheiro esperado na gaveta só vai para o gerente; para os
+// demais operadores, o resumo do caixa sai sem ele
+function resumoVisivelPara(operador, resumo) {
+  if (operador.papel === 'gerente') return resumo;
+
+  const dinheiro = { ...resumo.dinheiro };
+  delete dinheiro.esperado;
+
+  return { ...resumo, dinheiro };
+}
+
+// Acerto dos entregadores de um caixa: entregas, taxas de entrega, dinheiro
+// recebido dos clientes (que o entregador devolve na gaveta) e quanto já foi
+// pago com retiradas ENTREGADOR. O entregador recebe as taxas das entregas;
+// vendas canceladas não entram.
+async function calcularAcertoEntregadores(client, caixaId) {
+  const entregasResult = await client.query(
+    `SELECT v.entregador_id, e.nome, v.taxa_entrega,
+       COALESCE((SELECT SUM(p.valor) FROM pagamentos_venda p
+                 WHERE p.venda_id = v.id AND p.tipo_pagamento = 'DINHEIRO'), 0) AS dinheiro
+     FROM vendas v
+     JOIN entregadores e ON e.id = v.entregador_id
+     WHERE v.caixa_abertura_id = $1 AND v.situacao <> 'CANCELADA'`,
+    [caixaId]
+  );
+
+  const pagamentosResult = await client.query(
+    `SELECT r.entregador_id, e.nome, r.valor
+     FROM retiradas r
+     JOIN entregadores e ON e.id = r.entregador_id
+     WHERE r.caixa_abertura_id = $1 AND r.categoria = 'ENTREGADOR' AND r.situacao <> 'CANCELADA'`,
+    [caixaId]
+  );
+
+  // Centavos por entregador
+  const porEntregador = {};
+  const acertoEntregador = ({ entregador_id, nome }) => {
+    porEntregador[entregador_id] = porEntregador[entregador_id]
+      || { entregador_id, nome, entregas: 0, taxas: 0, dinheiro_recebido: 0, pago: 0 };
+    return porEntregador[entregador_id];
+  };
+
+  entregasResult.rows.forEach(entrega => {
+    const acerto = acertoEntregador(entrega);
+    acerto.entregas += 1;
+    acerto.taxas += paraCentavos(entrega.taxa_entrega);
+    acerto.dinheiro_recebido += paraCentavos(entrega.dinheiro);
+  });
+  pagamentosResult.rows.forEach(pagamento => { acertoEntregador(pagamento).pago += paraCentavos(pagamento.valor); });
+
+  return Object.values(porEntregador)
+    .sort((a, b) => a.nome.localeCompare(b.nome))
+    .map(acerto => ({
+      ...acerto,
+      taxas: deCentavos(acerto.taxas),
+      dinheiro_recebido: deCentavos(acerto.dinheiro_recebido),
+      pago: deCentavos(acerto.pago),
+      a_pagar: deCentavos(Math.max(acerto.taxas - acerto.pago, 0))
+    }));
+}
+
+// Carregar (com lock) o caixa de uma retirada, suprimento ou venda manual, que precisa estar aberto.
+// Devolve { caixa } ou { status, erro }.
+async function carregarCaixaParaMovimento(client, caixaId) {
+  const caixaResult = await client.query(
+    `SELECT * FROM caixa_abertura WHERE id = $1 ${sql.travarLinhas()}`,
+    [caixaId]
+  );
+
+  if (caixaResult.rows.length === 0) {
+    return { status: 404, erro: 'Caixa não encontrado' };
+  }
+
+  if (caixaResult.rows[0].status !== 'ABERTO') {
+    return { status: 400, erro: 'Caixa já está fechado' };
+  }
+
+  return { caixa: caixaResult.rows[0] };
+}
+
+// Somar a contagem de cédulas e moedas já validada ({ "50": 2, "0.25": 4 })
+function somarContagemCedulas(contagem) {
+  const centavos = Object.entries(contagem).reduce(
+    (total, [denominacao, quantidade]) => total + paraCentavos(denominacao) * quantidade,
+    0
+  );
+
+  return deCentavos(centavos);
+}
+
+// Comparar os valores informados na contagem com os esperados pelo sistema.
+// Só entram os tipos informados: o que o operador não conferiu não diverge.
+// Diferença positiva é sobra; negativa, falta.
+function calcularDivergencias(esperados, informados) {
+  const tipos = Object.keys(informados);
+  const divergencias = {};
+  let divergenciaTotal = 0;
+
+  tipos.forEach(tipo => {
+    const diferenca = paraCentavos(informados[tipo]) - paraCentavos(esperados[tipo]);
+    divergencias[tipo] = deCentavos(diferenca);
+    divergenciaTotal += Math.abs(diferenca);
+  });
+
+  return {
+    divergencias,
+    divergenciaTotal: deCentavos(divergenciaTotal)
+  };
+}
+
+// Guardar em vendas_historico a versão atual de uma venda do webhook e a nova
+// versão recebida da origem
+async function registrarHistoricoVenda(client, venda, versaoNova, origem) {
+  await client.query(
+    `INSERT INTO vendas_historico (id, venda_id, dados_anteriores, dados_novos, origem)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [
+      gerarUUID(),
+      venda.id,
+      {
+        dados_pedido: venda.dados_pedido,
+        tipo_pagamento: venda.tipo_pagamento,
+        valor_total: venda.valor_total,
+        hash_pedido: venda.hash_pedido
+      },
+      versaoNova,
+      origem
+    ]
+  );
+}
+
+// Se o conteúdo do pedido (hash) já foi uma das versões de uma venda do webhook
+async function versaoPedidoRecebida(client, vendaId, hashPedido) {
+  const historicoResult = await client.query(
+    `SELECT dados_anteriores, dados_novos FROM vendas_historico WHERE venda_id = $1`,
+    [vendaId]
+  );
+
+  return historicoResult.rows.some(versao =>
+    [versao.dados_anteriores, versao.dados_novos].some(dados => dados && dados.hash_pedido === hashPedido));
+}
+
+// Registrar na auditoria o estado anterior e o novo de uma alteração
+async function registrarAuditoria(client, { entidade, entidadeId, acao, anterior = null, novo = null, operadorId = null }) {
+  await client.query(
+    `INSERT INTO auditoria (id, entidade, entidade_id, acao, dados_anteriores, dados_novos, operador_id) 
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [gerarUUID(), entidade, String(entidadeId), acao, anterior, novo, operadorId]
+  );
+}
+
+// Registrar um evento para as telas abertas (GET /eventos). Roda na transação
+// da alteração, então só fica visível depois do COMMIT. A loja vem do caixa
+// quando não é informada.
+async function registrarEvento(client, tipo, { caixaId = null, lojaId = null, entidadeId = null, dados = null } = {}) {
+  await client.query(
+    `INSERT INTO eventos (tipo, loja_id, caixa_abertura_id, entidade_id, dados)
+     VALUES ($1, COALESCE($2, (SELECT loja_id FROM caixa_abertura WHERE id = $3)), $3, $4, $5)`,
+    [tipo, lojaId, caixaId, entidadeId === null ? null : String(entidadeId), dados]
+  );
+}
+
+// Dados de um pedido enviados no evento, para o aviso de pedido novo
+function resumirPedidoEvento(registro) {
+  const dadosPedido = registro.dados_pedido || {};
+
+  return {
+    id_externo: registro.id_externo,
+    valor_total: registro.valor_total,
+    tipo_pedido: dadosPedido.tipo_pedido || null,
+    nome_cliente: dadosPedido.nome_cliente || null
+  };
+}
+
+// Venda do sistema com seus pagamentos, usada nos registros de auditoria
+async function buscarVendaComPagamentos(client, vendaId) {
+  const vendaResult = await client.query(`SELECT * FROM vendas WHERE id = $1`, [vendaId]);
+
+  if (vendaResult.rows.length === 0) return null;
+
+  const pagamentosResult = await client.query(
+    `SELECT * FROM pagamentos_venda WHERE venda_id = $1 ORDER BY created_at`,
+    [vendaId]
+  );
+
+  return { ...vendaResult.rows[0], pagamentos: pagamentosResult.rows };
+}
+
+// Linhas de uma tabela ligada às vendas (pagamentos_venda, itens_venda) no
+// "campo" de cada venda da lista, na ordem em que foram registradas
+async function anexarLinhasVendas(vendas, tabela, campo) {
+  if (vendas.length === 0) return vendas;
+
+  const result = await pool.query(
+    `SELECT * FROM ${tabela}
+     WHERE venda_id IN (${vendas.map((venda, indice) => `$${indice + 1}`).join(', ')})
+     ORDER BY created_at`,
+    vendas.map(venda => venda.id)
+  );
+
+  const porVenda = new Map(vendas.map(venda => [venda.id, []]));
+  result.rows.forEach(linha => porVenda.get(linha.venda_id).push(linha));
+
+  return vendas.map(venda => ({ ...venda, [campo]: porVenda.get(venda.id) }));
+}
+
+// Vendas que podem ser canceladas ou estornadas: do sistema (webhook) e manuais
+const VENDAS_CANCELAVEIS = {
+  venda: { tabela: 'vendas', colunaEstorno: 'venda_id', nome: 'Venda' },
+  venda_manual: { tabela: 'vendas_manuais', colunaEstorno: 'venda_manual_id', nome: 'Venda manual' }
+};
+
+// Carregar (com lock) uma venda ativa para cancelamento ou estorno.
+// Devolve { venda, caixa } ou { status, erro }.
+async function carregarVendaParaCancelamento(client, entidade, id, motivo) {
+  const { tabela, nome } = VENDAS_CANCELAVEIS[entidade];
+
+  if (!motivo) {
+    return { status: 400, erro: 'Informe o motivo' };
+  }
+
+  const vendaResult = await client.query(
+    `SELECT * FROM ${tabela} WHERE id = $1 ${sql.travarLinhas()}`,
+    [id]
+  );
+
+  if (vendaResult.rows.length === 0) {
+    return { status: 404, erro: `${nome} não encontrada` };
+  }
+
+  const venda = vendaResult.rows[0];
+
+  if (venda.situacao !== 'ATIVA') {
+    return { status: 400, erro: `${nome} já está ${venda.situacao === 'CANCELADA' ? 'cancelada' : 'estornada'}` };
+  }
+
+  const caixaResult = await client.query(
+    `SELECT * FROM caixa_abertura WHERE id = $1`,
+    [venda.caixa_abertura_id]
+  );
+
+  return { venda, caixa: caixaResult.rows[0] || null };
+}
+
+// Marcar a venda como cancelada ou estornada e devolver ao estoque o que ela baixou
+async function encerrarVenda(client, entidade, venda, situacao, motivo, operadorId) {
+  const { tabela } = VENDAS_CANCELAVEIS[entidade];
+
+  // Pedido ainda não entregue sai do quadro da cozinha
+  const statusPedido = entidade === 'venda'
+    ? `, status_pedido = CASE WHEN status_pedido = 'ENTREGUE' THEN status_pedido ELSE 'CANCELADO' END`
+    : '';
+
+  const result = await client.query(
+    `UPDATE ${tabela} 
+     SET situacao = $1, motivo_cancelamento = $2, cancelada_em = NOW(), cancelada_por = $3, updated_at = NOW()${statusPedido}
+     WHERE id = $4 RETURNING *`,
+    [situacao, motivo, operadorId, venda.id]
+  );
+
+  if (entidade === 'venda') {
+    await devolverEstoqueVenda(client, venda.id);
+  }
+
+  await registrarAuditoria(client, {
+    entidade,
+    entidadeId: venda.id,
+    acao: situacao === 'CANCELADA' ? 'CANCELAR' : 'ESTORNAR',
+    anterior: venda,
+    novo: result.rows[0],
+    operadorId
+  });
+
+  await registrarEvento(client, entidade === 'venda' ? 'VENDA_ALTERADA' : 'VENDA_MANUAL', {
+    caixaId: venda.caixa_abertura_id,
+    entidadeId: venda.id
+  });
+
+  return result.rows[0];
+}
+
+// Filtro opcional por loja e terminal (query string) sobre o alias de caixa_abertura informado
+function filtroLojaTerminal(query, aliasCaixa, valores) {
+  let filtro = '';
+
+  if (query.loja_id) {
+    valores.push(query.loja_id);
+    filtro += ` AND ${aliasCaixa}.loja_id = $${valores.length}`;
+  }
+  if (query.terminal_id) {
+    valores.push(query.terminal_id);
+    filtro += ` AND ${aliasCaixa}.terminal_id = $${valores.length}`;
+  }
+
+  return filtro;
+}
+
+// Endpoint de login dos operadores
+app.post('/auth/login', validar({
+  body: {
+    login: texto({ obrigatorio: true }),
+    senha: texto({ obrigatorio: true })
+  }
+}), async (req, res) => {
+  try {
+    const { login, senha } = req.body;
+
+    const result = await pool.query(
+      `SELECT * FROM operadores WHERE login = $1 AND ativo = TRUE`,
+      [login]
+    );
+
+    const operador = result.rows[0];
+
+    if (!operador || !verificarSenha(senha, operador.senha_hash)) {
+      console.warn('🚫 Login recusado:', login);
+      return res.status(401).json({
+        success: false,
+        message: 'Login ou senha inválidos'
+      });
+    }
+
+    const token = crypto.randomBytes(32).toString('hex');
+
+    const sessaoResult = await pool.query(
+      `INSERT INTO sessoes (id, token_hash, operador_id, expira_em) 
+       VALUES ($1, $2, $3, ${sql.agoraMais('$4', 'hour')}) RETURNING expira_em`,
+      [gerarUUID(), gerarHashToken(token), operador.id, SESSAO_HORAS]
+    );
+
+    // Aproveita o login para limpar sessões vencidas e eventos antigos
+    await pool.query(`DELETE FROM sessoes WHERE expira_em < NOW()`);
+    await pool.query(`DELETE FROM eventos WHERE created_at < ${sql.agoraMenos('1', 'day')}`);
+
+    res.json({
+      success: true,
+      token,
+      expira_em: sessaoResult.rows[0].expira_em,
+      operador: operadorPublico(operador)
+    });
+  } catch (error) {
+    console.error('Erro ao fazer login:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao fazer login'
+    });
+  }
+});
+
+// Endpoint de logout (encerra a sessão atual)
+app.post('/auth/logout', autenticarOperador, async (req, res) => {
+  try {
+    await pool.query(`DELETE FROM sessoes WHERE id = $1`, [req.operador.sessao_id]);
+
+    res.json({
+      success: true,
+      message: 'Sessão encerrada'
+    });
+  } catch (error) {
+    console.error('Erro ao fazer logout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao fazer logout'
+    });
+  }
+});
+
+// Endpoint com os dados do operador logado
+app.get('/auth/me', autenticarOperador, (req, res) => {
+  res.json({
+    success: true,
+    data: operadorPublico(req.operador)
+  });
+});
+
+// Endpoint para listar operadores
+app.get('/operadores', autenticarOperador, exigirPapel('gerente'), async (req, res) => {
+  try {
+    const result = await pool.query(`SELECT * FROM operadores ORDER BY nome`);
+
+    res.json({
+      success: true,
+      data: result.rows.map(operadorPublico)
+    });
+  } catch (error) {
+    console.error('Erro ao buscar operadores:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar operadores'
+    });
+  }
+});
+
+// Endpoint para cadastrar operador
+app.post('/operadores', autenticarOperador, exigirPapel('gerente'), validar({
+  body: {
+    nome: texto({ obrigatorio: true, maximo: 100 }),
+    login: texto({ obrigatorio: true, maximo: 50 }),
+    senha: texto({ obrigatorio: true, maximo: 200 }),
+    papel: opcao(PAPEIS_OPERADOR)
+  }
+}), async (req, res) => {
+  try {
+    const { nome, login, senha, papel } = req.body;
+
+    const result = await pool.query(
+      `INSERT INTO operadores (id, nome, login, senha_hash, papel) 
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [gerarUUID(), nome, login, gerarHashSenha(senha), papel || 'operador']
+    );
+
+    res.json({
+      success: true,
+      data: operadorPublico(result.rows[0])
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe um operador com este login'
+      });
+    }
+    console.error('Erro ao cadastrar operador:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao cadastrar operador'
+    });
+  }
+});
+
+// Endpoint para atualizar operador (nome, senha, papel ou ativo)
+app.put('/operadores/:id', autenticarOperador, exigirPapel('gerente'), validar({
+  params: PARAMS_ID,
+  body: {
+    nome: texto({ maximo: 100 }),
+    senha: texto({ maximo: 200 }),
+    papel: opcao(PAPEIS_OPERADOR),
+    ativo: booleano()
+  }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nome, senha, papel, ativo } = req.body;
+
+    const result = await pool.query(
+      `UPDATE operadores SET
+         nome = COALESCE($1, nome),
+         senha_hash = COALESCE($2, senha_hash),
+         papel = COALESCE($3, papel),
+         ativo = COALESCE($4, ativo),
+         updated_at = NOW()
+       WHERE id = $5 RETURNING *`,
+      [nome || null, senha ? gerarHashSenha(senha) : null, papel || null, ativo === undefined ? null : ativo, id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Operador não encontrado'
+      });
+    }
+
+    // Operador desativado ou com nova senha perde as sessões abertas
+    if (ativo === false || senha) {
+      await pool.query(`DELETE FROM sessoes WHERE operador_id = $1`, [id]);
+    }
+
+    res.json({
+      success: true,
+      data: operadorPublico(result.rows[0])
+    });
+  } catch (error) {
+    console.error('Erro ao atualizar operador:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar operador'
+    });
+  }
+});
+
+// Endpoint para listar lojas com seus terminais
+app.get('/lojas', autenticarOperador, async (req, res) => {
+  try {
+    const lojasResult = await pool.query(`SELECT * FROM lojas ORDER BY nome`);
+    const terminaisResult = await pool.query(`SELECT * FROM terminais ORDER BY nome`);
+
+    const lojas = lojasResult.rows.map(loja => ({
+      ...loja,
+      terminais: terminaisResult.rows.filter(terminal => terminal.loja_id === loja.id)
+    }));
+
+    res.json({
+      success: true,
+      data: lojas
+    });
+  } catch (error) {
+    console.error('Erro ao buscar lojas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar lojas'
+    });
+  }
+});
+
+// Campos da loja aceitos no cadastro e na alteração
+const BODY_LOJA = {
+  nome: texto({ maximo: 100 }),
+  codigo: texto({ maximo: 50 }),
+  fuso_horario: texto({ formato: fusoHorarioValido, descricao: 'um fuso IANA, por exemplo America/Sao_Paulo' }),
+  hora_corte: inteiro({ minimo: 0, maximo: 23 })
+};
+
+// Endpoint para cadastrar loja
+app.post('/lojas', autenticarOperador, exigirPapel('gerente'), validar({
+  body: {
+    ...BODY_LOJA,
+    nome: texto({ obrigatorio: true, maximo: 100 }),
+    codigo: texto({ obrigatorio: true, maximo: 50 })
+  }
+}), async (req, res) => {
+  try {
+    const { nome, codigo, fuso_horario, hora_corte } = req.body;
+
+    const result = await pool.query(
+      `INSERT INTO lojas (id, nome, codigo, fuso_horario, hora_corte) VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [
+        gerarUUID(),
+        nome,
+        codigo,
+        fuso_horario === undefined ? FUSO_HORARIO_PADRAO : fuso_horario,
+        hora_corte === undefined ? HORA_CORTE_PADRAO : hora_corte
+      ]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe uma loja com este código'
+      });
+    }
+    console.error('Erro ao cadastrar loja:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao cadastrar loja'
+    });
+  }
+});
+
+// Endpoint para atualizar loja
+app.put('/lojas/:id', autenticarOperador, exigirPapel('gerente'), validar({
+  params: PARAMS_ID,
+  body: { ...BODY_LOJA, ativa: booleano() }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nome, codigo, ativa, fuso_horario, hora_corte } = req.body;
+
+    const result = await pool.query(
+      `UPDATE lojas SET
+         nome = COALESCE($1, nome),
+         codigo = COALESCE($2, codigo),
+         ativa = COALESCE($3, ativa),
+         fuso_horario = COALESCE($5, fuso_horario),
+         hora_corte = COALESCE($6, hora_corte),
+         updated_at = NOW()
+       WHERE id = $4 RETURNING *`,
+      [
+        nome || null,
+        codigo || null,
+        ativa === undefined ? null : ativa,
+        id,
+        fuso_horario === undefined ? null : fuso_horario,
+        hora_corte === undefined ? null : hora_corte
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loja não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe uma loja com este código'
+      });
+    }
+    console.error('Erro ao atualizar loja:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar loja'
+    });
+  }
+});
+
+// Endpoint para cadastrar terminal em uma loja
+app.post('/lojas/:id/terminais', autenticarOperador, exigirPapel('gerente'), validar({
+  params: PARAMS_ID,
+  body: {
+    nome: texto({ obrigatorio: true, maximo: 100 }),
+    codigo: texto({ obrigatorio: true, maximo: 50 }),
+    recebe_pedidos: booleano()
+  }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nome, codigo, recebe_pedidos } = req.body;
+
+    const lojaResult = await pool.query(`SELECT * FROM lojas WHERE id = $1`, [id]);
+
+    if (lojaResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Loja não encontrada'
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO terminais (id, loja_id, nome, codigo, recebe_pedidos) 
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [gerarUUID(), id, nome, codigo, Boolean(recebe_pedidos)]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe um terminal com este código na loja'
+      });
+    }
+    console.error('Erro ao cadastrar terminal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao cadastrar terminal'
+    });
+  }
+});
+
+// Endpoint para atualizar terminal
+app.put('/terminais/:id', autenticarOperador, exigirPapel('gerente'), validar({
+  params: PARAMS_ID,
+  body: {
+    nome: texto({ maximo: 100 }),
+    codigo: texto({ maximo: 50 }),
+    recebe_pedidos: booleano(),
+    ativo: booleano()
+  }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { nome, codigo, recebe_pedidos, ativo } = req.body;
+
+    const result = await pool.query(
+      `UPDATE terminais SET
+         nome = COALESCE($1, nome),
+         codigo = COALESCE($2, codigo),
+         recebe_pedidos = COALESCE($3, recebe_pedidos),
+         ativo = COALESCE($4, ativo),
+         updated_at = NOW()
+       WHERE id = $5 RETURNING *`,
+      [
+        nome || null,
+        codigo || null,
+        recebe_pedidos === undefined ? null : recebe_pedidos,
+        ativo === undefined ? null : ativo,
+        id
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Terminal não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe um terminal com este código na loja'
+      });
+    }
+    console.error('Erro ao atualizar terminal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar terminal'
+    });
+  }
+});
+
+// Endpoint para verificar status do caixa
+app.get('/caixa/status', autenticarOperador, validar({
+  query: { terminal_id: uuid() }
+}), async (req, res) => {
+  try {
+    const terminal = await buscarTerminal(pool, req.query.terminal_id);
+
+    if (!terminal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Terminal não encontrado'
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT * FROM caixa_abertura WHERE status = 'ABERTO' AND terminal_id = $1 
+       ORDER BY data_abertura DESC LIMIT 1`,
+      [terminal.id]
+    );
+
+    const pedidosPendentes = await contarPedidosPendentes(pool, terminal.loja_id);
+
+    res.json({
+      caixaAberto: result.rows.length > 0,
+      caixaAtual: result.rows[0] || null,
+      terminal,
+      pedidosPendentes
+    });
+  } catch (error) {
+    console.error('Erro ao verificar status do caixa:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao verificar status do caixa'
+    });
+  }
+});
+
+// Endpoint para o resumo de um caixa (aberto ou fechado): totais por forma de
+// pagamento e por origem, retiradas, suprimentos, estornos e dinheiro esperado.
+// É a mesma conta do fechamento e do comprovante.
+app.get('/caixa/:id/resumo', autenticarOperador, validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const caixaResult = await pool.query(`SELECT * FROM caixa_abertura WHERE id = $1`, [req.params.id]);
+
+    if (caixaResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Caixa não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: resumoVisivelPara(req.operador, await calcularResumoCaixa(pool, caixaResult.rows[0]))
+    });
+  } catch (error) {
+    console.error('Erro ao calcular resumo do caixa:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao calcular resumo do caixa'
+    });
+  }
+});
+
+// Endpoint para consultar o acerto dos entregadores do caixa
+app.get('/caixa/:id/entregadores', autenticarOperador, validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const caixaResult = await pool.query(`SELECT id FROM caixa_abertura WHERE id = $1`, [req.params.id]);
+
+    if (caixaResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Caixa não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: await calcularAcertoEntregadores(pool, req.params.id)
+    });
+  } catch (error) {
+    console.error('Erro ao calcular acerto dos entregadores:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao calcular acerto dos entregadores'
+    });
+  }
+});
+
+// Endpoint para abrir caixa
+app.post('/caixa/abrir', autenticarOperador, validar({
+  body: {
+    valor_inicial: moeda({ obrigatorio: true, permiteZero: true }),
+    observacao: texto({ maximo: 500 }),
+    terminal_id: uuid()
+  }
+}), async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const { valor_inicial, observacao, terminal_id } = req.body;
+
+    const terminal = await buscarTerminal(client, terminal_id);
+
+    if (!terminal || !terminal.ativo) {
+      return res.status(404).json({
+        success: false,
+        message: 'Terminal não encontrado'
+      });
+    }
+
+    const caixaAberto = await client.query(
+      `SELECT * FROM caixa_abertura WHERE status = 'ABERTO' AND terminal_id = $1 LIMIT 1`,
+      [terminal.id]
+    );
+
+    if (caixaAberto.rows.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe um caixa aberto neste terminal'
+      });
+    }
+
+    const caixaId = gerarUUID();
+    
+    const result = await client.query(
+      `INSERT INTO caixa_abertura (id, valor_inicial, observacao, status, operador_id, loja_id, terminal_id) 
+       VALUES ($1, $2, $3, 'ABERTO', $4, $5, $6) RETURNING *`,
+      [caixaId, valor_inicial, observacao || '', req.operador.id, terminal.loja_id, terminal.id]
+    );
+
+    await registrarAuditoria(client, {
+      entidade: 'caixa',
+      entidadeId: caixaId,
+      acao: 'ABRIR',
+      novo: result.rows[0],
+      operadorId: req.operador.id
+    });
+
+    await registrarEvento(client, 'CAIXA_ABERTO', { caixaId, entidadeId: caixaId });
+
+    const pedidosPendentes = await contarPedidosPendentes(client, terminal.loja_id);
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      pedidos_pendentes: pedidosPendentes
+    });
+  } catch (error) {
+    // Índice único: outra abertura simultânea no mesmo terminal
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe um caixa aberto neste terminal'
+      });
+    }
+    console.error('❌ Erro ao abrir caixa:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao abrir caixa'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Montar as condições da listagem de vendas a partir da query já validada
+function filtrosListaVendas(query, valores) {
+  const condicoes = [];
+
+  const adicionar = (valor, condicao) => {
+    valores.push(valor);
+    condicoes.push(condicao(`$${valores.length}`));
+  };
+
+  if (query.loja_id) adicionar(query.loja_id, p => `c.loja_id = ${p}`);
+  if (query.terminal_id) adicionar(query.terminal_id, p => `c.terminal_id = ${p}`);
+  if (query.caixa_abertura_id) adicionar(query.caixa_abertura_id, p => `v.caixa_abertura_id = ${p}`);
+  if (query.situacao) adicionar(query.situacao, p => `v.situacao = ${p}`);
+
+  if (query.data_inicio) adicionar(query.data_inicio, p => `v.data_venda >= ${inicioDiaOperacional(p, 'lj')}`);
+  if (query.data_fim) adicionar(query.data_fim, p => `v.data_venda < ${inicioDiaOperacional(p, 'lj', 1)}`);
+
+  // Vendas com mais de uma forma de pagamento (MULTIPLO) também entram pelo tipo de cada parte
+  if (query.tipo_pagamento) {
+    adicionar(query.tipo_pagamento, p =>
+      `(v.tipo_pagamento = ${p} OR EXISTS (SELECT 1 FROM pagamentos_venda pv WHERE pv.venda_id = v.id AND pv.tipo_pagamento = ${p}))`);
+  }
+  if (query.tipo_pedido) {
+    adicionar(query.tipo_pedido, p => `LOWER(v.dados_pedido->>'tipo_pedido') = LOWER(${p})`);
+  }
+  if (query.fonte) adicionar(query.fonte, p => `v.fonte = ${p}`);
+
+  // Cliente pelo nome (parte dele) ou pelo telefone (só os dígitos)
+  if (query.cliente) {
+    const digitos = String(query.cliente).replace(/\D/g, '');
+
+    valores.push(`%${query.cliente}%`);
+    const porNome = sql.ilike(`v.dados_pedido->>'nome_cliente'`, `$${valores.length}`);
+
+    if (digitos.length >= 4) {
+      valores.push(`%${digitos}%`);
+      condicoes.push(`(${porNome} OR ${sql.somenteDigitos(`v.dados_pedido->>'telefone_cliente'`)} LIKE $${valores.length})`);
+    } else {
+      condicoes.push(porNome);
+    }
+  }
+
+  if (query.valor_min !== undefined && query.valor_min !== '') adicionar(query.valor_min, p => `v.valor_total >= ${p}`);
+  if (query.valor_max !== undefined && query.valor_max !== '') adicionar(query.valor_max, p => `v.valor_total <= ${p}`);
+
+  return condicoes;
+}
+
+// Cursor das listagens paginadas: a posição da última linha da página
+// (valor da ordenação e id), em base64url para ir na URL
+function codificarCursor(posicao) {
+  return Buffer.from(JSON.stringify(posicao)).toString('base64url');
+}
+
+function decodificarCursor(cursor) {
+  try {
+    const posicao = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    return Array.isArray(posicao) && posicao.length === 2 ? posicao : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Endpoint para listar vendas, paginado por cursor. Filtros: loja_id,
+// terminal_id, caixa_abertura_id, situacao, data_inicio, data_fim,
+// tipo_pagamento, tipo_pedido, fonte, cliente, valor_min e valor_max; ordenação por
+// ordenar (data_venda ou valor_total) e direcao (asc ou desc).
+app.get('/vendas', autenticarOperador, validar({
+  query: {
+    ...QUERY_LOJA_TERMINAL,
+    caixa_abertura_id: uuid(),
+    situacao: opcao(SITUACOES_VENDA),
+    data_inicio: dia(),
+    data_fim: dia(),
+    tipo_pagamento: opcao([...TIPOS_PAGAMENTO, 'MULTIPLO', 'PENDENTE']),
+    tipo_pedido: texto({ maximo: 50 }),
+    fonte: opcao(ADAPTADORES.map(adaptador => adaptador.codigo)),
+    cliente: texto({ maximo: 100 }),
+    valor_min: moeda({ permiteZero: true }),
+    valor_max: moeda({ permiteZero: true }),
+    ordenar: opcao(Object.keys(ORDENACOES_VENDAS)),
+    direcao: opcao(['asc', 'desc']),
+    limite: inteiro({ minimo: 1, maximo: LIMITE_MAXIMO_PAGINA_VENDAS }),
+    cursor: texto({ maximo: 500 })
+  }
+}), async (req, res) => {
+  try {
+    const ordenar = req.query.ordenar || 'data_venda';
+    const direcao = req.query.direcao || 'desc';
+    const limite = req.query.limite || LIMITE_PAGINA_VENDAS;
+
+    const valores = [];
+    const condicoes = filtrosListaVendas(req.query, valores);
+
+    const totalResult = await pool.query(
+      `SELECT CAST(COUNT(*) AS INTEGER) AS total
+       FROM vendas v
+       LEFT JOIN caixa_abertura c ON v.caixa_abertura_id = c.id
+       LEFT JOIN lojas lj ON lj.id = c.loja_id
+       WHERE TRUE${condicoes.map(condicao => ` AND ${condicao}`).join('')}`,
+      valores
+    );
+
+    const { coluna, tipo } = ORDENACOES_VENDAS[ordenar];
+    const condicoesPagina = [...condicoes];
+
+    if (req.query.cursor) {
+      const posicao = decodificarCursor(req.query.cursor);
+      const posicaoValida = posicao
+        && /^[0-9a-f-]{36}$/i.test(posicao[1])
+        && (tipo === 'numeric' ? Number.isFinite(Number(posicao[0])) : !Number.isNaN(Date.parse(posicao[0])));
+
+      if (!posicaoValida) {
+        return res.status(400).json({
+          success: false,
+          message: 'cursor inválido: use o proximo_cursor da página anterior'
+        });
+      }
+
+      valores.push(posicao[0], posicao[1]);
+      condicoesPagina.push(
+        `(${coluna}, v.id) ${direcao === 'desc' ? '<' : '>'} ($${valores.length - 1}, $${valores.length})`
+      );
+    }
+
+    valores.push(limite + 1);
+
+    const result = await pool.query(
+      `SELECT 
+        v.*,
+        c.valor_inicial,
+        c.data_abertura,
+        c.loja_id,
+        c.terminal_id,
+        CAST(${coluna} AS TEXT) AS posicao_cursor
+       FROM vendas v
+       LEFT JOIN caixa_abertura c ON v.caixa_abertura_id = c.id
+       LEFT JOIN lojas lj ON lj.id = c.loja_id
+       WHERE TRUE${condicoesPagina.map(condicao => ` AND ${condicao}`).join('')}
+       ORDER BY ${coluna} ${direcao}, v.id ${direcao}
+       LIMIT $${valores.length}`,
+      valores
+    );
+
+    const linhas = result.rows.slice(0, limite);
+    const ultima = linhas[linhas.length - 1];
+
+    const vendas = (await anexarLinhasVendas(linhas, 'pagamentos_venda', 'pagamentos')).map(({ posicao_cursor, ...venda }) => ({
+      ...venda,
+      dados_pedido: typeof venda.dados_pedido === 'string' 
+        ? JSON.parse(venda.dados_pedido) 
+        : venda.dados_pedido
+    }));
+
+    res.json({
+      success: true,
+      data: vendas,
+      paginacao: {
+        total: totalResult.rows[0].total,
+        limite,
+        ordenar,
+        direcao,
+        proximo_cursor: result.rows.length > limite ? codificarCursor([ultima.posicao_cursor, ultima.id]) : null
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao buscar vendas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar vendas'
+    });
+  }
+});
+
+// Endpoint para listar retiradas de um caixa
+app.get('/retiradas/caixa/:caixaId', autenticarOperador, validar({ params: PARAMS_CAIXA }), async (req, res) => {
+  try {
+    const { caixaId } = req.params;
+    
+    const result = await pool.query(
+      `SELECT * FROM retiradas WHERE caixa_abertura_id = $1 ORDER BY data_retirada DESC`,
+      [caixaId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Erro ao buscar retiradas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar retiradas'
+    });
+  }
+});
+
+// Endpoint para registrar retirada
+app.post('/retiradas', autenticarOperador, idempotencia, validar({
+  body: {
+    caixa_abertura_id: uuid({ obrigatorio: true }),
+    valor: moeda({ obrigatorio: true }),
+    categoria: opcao(CATEGORIAS_RETIRADA),
+    entregador_id: uuid(),
+    observacao: texto({ maximo: 500 })
+  }
+}), async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const { valor, observacao, caixa_abertura_id } = req.body;
+    const categoria = req.body.categoria || 'SANGRIA';
+
+    // Pagamento a entregador precisa dizer a quem, para entrar no acerto
+    const entregadorId = categoria === 'ENTREGADOR' ? req.body.entregador_id : null;
+
+    if (categoria === 'ENTREGADOR' && !entregadorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o entregador da retirada'
+      });
+    }
+
+    // Retiradas acima do limite exigem um gerente
+    if (valor > LIMITE_RETIRADA_OPERADOR && req.operador.papel !== 'gerente') {
+      return res.status(403).json({
+        success: false,
+        message: `Retiradas acima de R$ ${LIMITE_RETIRADA_OPERADOR.toFixed(2)} exigem um gerente`
+      });
+    }
+
+    await client.query('BEGIN');
+
+    const { caixa, status, erro } = await carregarCaixaParaMovimento(client, caixa_abertura_id);
+
+    if (erro) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({
+        success: false,
+        message: erro
+      });
+    }
+
+    const { dinheiro } = await calcularResumoCaixa(client, caixa);
+
+    if (paraCentavos(valor) > paraCentavos(dinheiro.esperado)) {
+      await client.query('ROLLBACK');
+      // Contagem cega: só o gerente vê quanto há na gaveta
+      const disponivel = req.operador.papel === 'gerente' ? ` (R$ ${dinheiro.esperado.toFixed(2)})` : '';
+
+      return res.status(400).json({
+        success: false,
+        message: `Valor acima do dinheiro disponível no caixa${disponivel}`
+      });
+    }
+
+    if (entregadorId && !(await buscarEntregador(client, entregadorId))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Entregador não encontrado'
+      });
+    }
+
+    const retiradaId = gerarUUID();
+
+    const result = await client.query(
+      `INSERT INTO retiradas (id, valor, observacao, categoria, caixa_abertura_id, operador_id, entregador_id) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+      [retiradaId, valor, observacao || '', categoria, caixa_abertura_id, req.operador.id, entregadorId]
+    );
+
+    await registrarAuditoria(client, {
+      entidade: 'retirada',
+      entidadeId: retiradaId,
+      acao: 'CRIAR',
+      novo: result.rows[0],
+      operadorId: req.operador.id
+    });
+
+    await registrarEvento(client, 'RETIRADA', { caixaId: caixa_abertura_id, entidadeId: retiradaId });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao registrar retirada:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao registrar retirada'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Endpoint para alterar retirada do caixa aberto
+app.put('/retiradas/:id', autenticarOperador, exigirPapel('gerente'), validar({
+  params: PARAMS_ID,
+  body: {
+    valor: moeda(),
+    categoria: opcao(CATEGORIAS_RETIRADA),
+    entregador_id: uuid(),
+    observacao: texto({ maximo: 500 })
+  }
+}), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+
+    await client.query('BEGIN');
+
+    const retiradaResult = await client.query(
+      `SELECT * FROM retiradas WHERE id = $1 ${sql.travarLinhas()}`,
+      [id]
+    );
+
+    if (retiradaResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Retirada não encontrada'
+      });
+    }
+
+    const retirada = retiradaResult.rows[0];
+
+    if (retirada.situacao !== 'ATIVA') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Retirada anulada não pode ser alterada'
+      });
+    }
+
+    const valor = req.body.valor !== undefined ? req.body.valor : parseFloat(retirada.valor);
+    const categoria = req.body.categoria || retirada.categoria;
+    const observacao = req.body.observacao !== undefined ? req.body.observacao : retirada.observacao;
+    const entregadorId = categoria === 'ENTREGADOR' ? req.body.entregador_id || retirada.entregador_id : null;
+
+    if (categoria === 'ENTREGADOR' && !entregadorId) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o entregador da retirada'
+      });
+    }
+
+    if (entregadorId && !(await buscarEntregador(client, entregadorId))) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Entregador não encontrado'
+      });
+    }
+
+    const { caixa, status, erro } = await carregarCaixaParaMovimento(client, retirada.caixa_abertura_id);
+
+    if (erro) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({
+        success: false,
+        message: erro
+      });
+    }
+
+    // O saldo atual já desconta o valor antigo desta retirada
+    const { dinheiro } = await calcularResumoCaixa(client, caixa);
+    const disponivel = deCentavos(paraCentavos(dinheiro.esperado) + paraCentavos(retirada.valor));
+
+    if (paraCentavos(valor) > paraCentavos(disponivel)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `Valor acima do dinheiro disponível no caixa (R$ ${disponivel.toFixed(2)})`
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE retiradas SET valor = $1, categoria = $2, observacao = $3, entregador_id = $4, updated_at = NOW() 
+       WHERE id = $5 RETURNING *`,
+      [valor, categoria, observacao || '', entregadorId, id]
+    );
+
+    await registrarAuditoria(client, {
+      entidade: 'retirada',
+      entidadeId: id,
+      acao: 'ATUALIZAR',
+      anterior: retirada,
+      novo: result.rows[0],
+      operadorId: req.operador.id
+    });
+
+    await registrarEvento(client, 'RETIRADA', { caixaId: retirada.caixa_abertura_id, entidadeId: id });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao alterar retirada:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao alterar retirada'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Anular retirada ou suprimento do caixa aberto: o lançamento continua registrado com o motivo
+async function anularMovimento(tabela, nome, req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const motivo = req.body.motivo.trim();
+
+    await client.query('BEGIN');
+
+    const movimentoResult = await client.query(
+      `SELECT * FROM ${tabela} WHERE id = $1 ${sql.travarLinhas()}`,
+      [id]
+    );
+
+    if (movimentoResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: `${nome} não encontrado(a)`
+      });
+    }
+
+    const movimento = movimentoResult.rows[0];
+
+    if (movimento.situacao !== 'ATIVA') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: `${nome} já foi anulado(a)`
+      });
+    }
+
+    const { caixa, status, erro } = await carregarCaixaParaMovimento(client, movimento.caixa_abertura_id);
+
+    if (erro) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({
+        success: false,
+        message: erro
+      });
+    }
+
+    // Anular um suprimento tira o valor da gaveta
+    if (tabela === 'suprimentos') {
+      const { dinheiro } = await calcularResumoCaixa(client, caixa);
+
+      if (paraCentavos(movimento.valor) > paraCentavos(dinheiro.esperado)) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          message: `Valor acima do dinheiro disponível no caixa (R$ ${dinheiro.esperado.toFixed(2)})`
+        });
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE ${tabela} 
+       SET situacao = 'CANCELADA', motivo_cancelamento = $1, cancelada_em = NOW(), cancelada_por = $2, updated_at = NOW()
+       WHERE id = $3 RETURNING *`,
+      [motivo, req.operador.id, id]
+    );
+
+    await registrarAuditoria(client, {
+      entidade: tabela === 'suprimentos' ? 'suprimento' : 'retirada',
+      entidadeId: id,
+      acao: 'CANCELAR',
+      anterior: movimento,
+      novo: result.rows[0],
+      operadorId: req.operador.id
+    });
+
+    await registrarEvento(client, tabela === 'suprimentos' ? 'SUPRIMENTO' : 'RETIRADA', {
+      caixaId: movimento.caixa_abertura_id,
+      entidadeId: id
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `${nome} anulado(a) com sucesso`,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error(`Erro ao anular ${nome.toLowerCase()}:`, error);
+    res.status(500).json({
+      success: false,
+      message: `Erro ao anular ${nome.toLowerCase()}`
+    });
+  } finally {
+    client.release();
+  }
+}
+
+// Endpoint para anular retirada
+app.delete('/retiradas/:id', autenticarOperador, exigirPapel('gerente'), idempotencia, validar({ params: PARAMS_ID, body: BODY_MOTIVO }), (req, res) => anularMovimento('retiradas', 'Retirada', req, res));
+
+// Endpoint para listar suprimentos de um caixa
+app.get('/suprimentos/caixa/:caixaId', autenticarOperador, validar({ params: PARAMS_CAIXA }), async (req, res) => {
+  try {
+    const { caixaId } = req.params;
+
+    const result = await pool.query(
+      `SELECT * FROM suprimentos WHERE caixa_abertura_id = $1 ORDER BY data_suprimento DESC`,
+      [caixaId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Erro ao buscar suprimentos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar suprimentos'
+    });
+  }
+});
+
+// Endpoint para registrar suprimento (entrada de dinheiro na gaveta)
+app.post('/suprimentos', autenticarOperador, idempotencia, validar({
+  body: {
+    caixa_abertura_id: uuid({ obrigatorio: true }),
+    valor: moeda({ obrigatorio: true }),
+    observacao: texto({ maximo: 500 })
+  }
+}), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { valor, observacao, caixa_abertura_id } = req.body;
+
+    await client.query('BEGIN');
+
+    const { status, erro } = await carregarCaixaParaMovimento(client, caixa_abertura_id);
+
+    if (erro) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({
+        success: false,
+        message: erro
+      });
+    }
+
+    const suprimentoId = gerarUUID();
+
+    const result = await client.query(
+      `INSERT INTO suprimentos (id, valor, observacao, caixa_abertura_id, operador_id) 
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [suprimentoId, valor, observacao || '', caixa_abertura_id, req.operador.id]
+    );
+
+    await registrarAuditoria(client, {
+      entidade: 'suprimento',
+      entidadeId: suprimentoId,
+      acao: 'CRIAR',
+      novo: result.rows[0],
+      operadorId: req.operador.id
+    });
+
+    await registrarEvento(client, 'SUPRIMENTO', { caixaId: caixa_abertura_id, entidadeId: suprimentoId });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao registrar suprimento:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao registrar suprimento'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Endpoint para anular suprimento
+app.delete('/suprimentos/:id', autenticarOperador, exigirPapel('gerente'), idempotencia, validar({ params: PARAMS_ID, body: BODY_MOTIVO }), (req, res) => anularMovimento('suprimentos', 'Suprimento', req, res));
+
+// Endpoint para atualizar venda
+app.put('/vendas/:id', autenticarOperador, validar({
+  params: PARAMS_ID,
+  body: { tipo_pagamento: opcao([...TIPOS_PAGAMENTO, 'PENDENTE'], { obrigatorio: true }) }
+}), async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const { id } = req.params;
+    const { tipo_pagamento } = req.body;
+
+    await client.query('BEGIN');
+
+    const vendaResult = await client.query(
+      `SELECT v.*, c.status AS status_caixa FROM vendas v
+       LEFT JOIN caixa_abertura c ON c.id = v.caixa_abertura_id
+       WHERE v.id = $1 ${sql.travarLinhas('v')}`,
+      [id]
+    );
+
+    if (vendaResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Venda não encontrada'
+      });
+    }
+
+    const { status_caixa, ...vendaAtual } = vendaResult.rows[0];
+
+    if (vendaAtual.situacao !== 'ATIVA') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Venda cancelada ou estornada não pode ser alterada'
+      });
+    }
+
+    // Os pagamentos já foram conferidos no fechamento
+    if (status_caixa !== 'ABERTO') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Caixa já está fechado'
+      });
+    }
+
+    const anterior = await buscarVendaComPagamentos(client, id);
+
+    // Tipo único: a venda passa a ter um só pagamento com o valor total
+    const venda = await registrarPagamentoIntegral(
+      client,
+      { ...vendaAtual, tipo_pagamento },
+      req.operador.id
+    );
+
+    await registrarAuditoria(client, {
+      entidade: 'venda',
+      entidadeId: id,
+      acao: 'ATUALIZAR',
+      anterior,
+      novo: venda,
+      operadorId: req.operador.id
+    });
+
+    await registrarEvento(client, 'VENDA_ALTERADA', { caixaId: venda.caixa_abertura_id, entidadeId: id });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: venda
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao atualizar venda:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar venda'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Endpoint para registrar os pagamentos de uma venda (um ou mais tipos)
+app.put('/vendas/:id/pagamentos', autenticarOperador, validar({
+  params: PARAMS_ID,
+  body: {
+    pagamentos: lista(objeto({
+      tipo_pagamento: opcao(TIPOS_PAGAMENTO, { obrigatorio: true }),
+      valor: moeda({ obrigatorio: true }),
+      valor_recebido: moeda()
+    }), { obrigatorio: true, minimo: 1 })
+  }
+}), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+
+    await client.query('BEGIN');
+
+    const vendaResult = await client.query(
+      `SELECT v.*, c.status AS status_caixa FROM vendas v
+       LEFT JOIN caixa_abertura c ON c.id = v.caixa_abertura_id
+       WHERE v.id = $1 ${sql.travarLinhas('v')}`,
+      [id]
+    );
+
+    if (vendaResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Venda não encontrada'
+      });
+    }
+
+    const { status_caixa, ...vendaAtual } = vendaResult.rows[0];
+
+    if (vendaAtual.situacao !== 'ATIVA') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Venda cancelada ou estornada não pode ser alterada'
+      });
+    }
+
+    // Os pagamentos já foram conferidos no fechamento
+    if (status_caixa !== 'ABERTO') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Caixa já está fechado'
+      });
+    }
+
+    const { pagamentos, erro } = validarPagamentosVenda(req.body.pagamentos, vendaAtual.valor_total);
+
+    if (erro) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: erro
+      });
+    }
+
+    const anterior = await buscarVendaComPagamentos(client, id);
+    const venda = await definirPagamentosVenda(client, id, pagamentos, req.operador.id);
+
+    await registrarAuditoria(client, {
+      entidade: 'venda',
+      entidadeId: id,
+      acao: 'PAGAMENTOS',
+      anterior,
+      novo: venda,
+      operadorId: req.operador.id
+    });
+
+    await registrarEvento(client, 'VENDA_ALTERADA', { caixaId: venda.caixa_abertura_id, entidadeId: id });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: venda
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao registrar pagamentos da venda:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao registrar pagamentos da venda'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Endpoint para o quadro da cozinha e da expedição: pedidos ativos ainda não entregues
+app.get('/vendas/quadro', autenticarOperador, validar({ query: QUERY_LOJA_TERMINAL }), async (req, res) => {
+  try {
+    const valores = [];
+    const filtro = filtroLojaTerminal(req.query, 'c', valores);
+
+    const result = await pool.query(
+      `SELECT v.*
+       FROM vendas v
+       LEFT JOIN caixa_abertura c ON v.caixa_abertura_id = c.id
+       WHERE v.situacao = 'ATIVA' AND v.status_pedido NOT IN ('ENTREGUE', 'CANCELADO')${filtro}
+       ORDER BY v.recebido_em`,
+      valores
+    );
+
+    const pedidos = (await anexarLinhasVendas(result.rows, 'itens_venda', 'itens')).map(venda => ({
+      ...venda,
+      dados_pedido: typeof venda.dados_pedido === 'string' 
+        ? JSON.parse(venda.dados_pedido) 
+        : venda.dados_pedido
+    }));
+
+    res.json({
+      success: true,
+      data: pedidos
+    });
+  } catch (error) {
+    console.error('Erro ao buscar quadro de pedidos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar quadro de pedidos'
+    });
+  }
+});
+
+// Endpoint para avançar o pedido na cozinha e na entrega
+// RECEBIDO é a etapa inicial; para cancelar, use POST /vendas/:id/cancelar
+app.put('/vendas/:id/status', autenticarOperador, validar({
+  params: PARAMS_ID,
+  body: { status: opcao(Object.keys(ETAPAS_PEDIDO).slice(1), { obrigatorio: true }) }
+}), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const { status } = req.body;
+    const etapas = Object.keys(ETAPAS_PEDIDO);
+
+    await client.query('BEGIN');
+
+    const vendaResult = await client.query(
+      `SELECT * FROM vendas WHERE id = $1 ${sql.travarLinhas()}`,
+      [id]
+    );
+
+    if (vendaResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Venda não encontrada'
+      });
+    }
+
+    const anterior = vendaResult.rows[0];
+
+    if (anterior.situacao !== 'ATIVA') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Venda cancelada ou estornada não pode ser alterada'
+      });
+    }
+
+    // Etapas só avançam; pular etapas (ex.: RECEBIDO -> PRONTO) é permitido
+    if (etapas.indexOf(status) <= etapas.indexOf(anterior.status_pedido)) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({
+        success: false,
+        message: `Pedido já está em ${anterior.status_pedido}`
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE vendas SET status_pedido = $1, ${ETAPAS_PEDIDO[status]} = NOW(), updated_at = NOW()
+       WHERE id = $2 RETURNING *`,
+      [status, id]
+    );
+
+    await registrarAuditoria(client, {
+      entidade: 'venda',
+      entidadeId: id,
+      acao: 'STATUS',
+      anterior: { status_pedido: anterior.status_pedido },
+      novo: { status_pedido: status },
+      operadorId: req.operador.id
+    });
+
+    await registrarEvento(client, 'VENDA_ALTERADA', {
+      caixaId: anterior.caixa_abertura_id,
+      entidadeId: id,
+      dados: { status_pedido: status }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao alterar status do pedido:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao alterar status do pedido'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Endpoint para atribuir o pedido a um entregador e definir a taxa de entrega.
+// Sem entregador_id, o pedido fica sem entregador; sem taxa_entrega, a taxa não muda.
+app.put('/vendas/:id/entregador', autenticarOperador, validar({
+  params: PARAMS_ID,
+  body: {
+    entregador_id: uuid(),
+    taxa_entrega: moeda({ permiteZero: true })
+  }
+}), async (req, res) => {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const entregadorId = req.body.entregador_id || null;
+
+    await client.query('BEGIN');
+
+    const vendaResult = await client.query(
+      `SELECT v.*, c.status AS status_caixa FROM vendas v
+       LEFT JOIN caixa_abertura c ON c.id = v.caixa_abertura_id
+       WHERE v.id = $1 ${sql.travarLinhas('v')}`,
+      [id]
+    );
+
+    if (vendaResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Venda não encontrada'
+      });
+    }
+
+    const { status_caixa, ...anterior } = vendaResult.rows[0];
+
+    if (anterior.situacao !== 'ATIVA') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Venda cancelada ou estornada não pode ser alterada'
+      });
+    }
+
+    // O acerto é feito no fechamento: depois dele, a entrega não muda mais
+    if (status_caixa !== 'ABERTO') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Caixa da venda já está fechado'
+      });
+    }
+
+    if (entregadorId) {
+      const entregador = await buscarEntregador(client, entregadorId);
+
+      if (!entregador || !entregador.ativo) {
+        await client.query('ROLLBACK');
+        return res.status(404).json({
+          success: false,
+          message: 'Entregador não encontrado ou inativo'
+        });
+      }
+    }
+
+    const taxaEntrega = req.body.taxa_entrega !== undefined ? req.body.taxa_entrega : anterior.taxa_entrega;
+
+    if (paraCentavos(taxaEntrega) > paraCentavos(anterior.valor_total)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'A taxa de entrega não pode passar do valor da venda'
+      });
+    }
+
+    const result = await client.query(
+      `UPDATE vendas SET entregador_id = $1, taxa_entrega = $2, updated_at = NOW()
+       WHERE id = $3 RETURNING *`,
+      [entregadorId, taxaEntrega, id]
+    );
+
+    await registrarAuditoria(client, {
+      entidade: 'venda',
+      entidadeId: id,
+      acao: 'ENTREGADOR',
+      anterior: { entregador_id: anterior.entregador_id, taxa_entrega: anterior.taxa_entrega },
+      novo: { entregador_id: entregadorId, taxa_entrega: result.rows[0].taxa_entrega },
+      operadorId: req.operador.id
+    });
+
+    await registrarEvento(client, 'VENDA_ALTERADA', {
+      caixaId: anterior.caixa_abertura_id,
+      entidadeId: id,
+      dados: { entregador_id: entregadorId }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao atribuir entregador:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atribuir entregador'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Endpoint para listar o histórico de alterações de uma venda
+app.get('/vendas/:id/historico', autenticarOperador, validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const result = await pool.query(
+      `SELECT * FROM vendas_historico WHERE venda_id = $1 ORDER BY created_at DESC`,
+      [id]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Erro ao buscar histórico da venda:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar histórico da venda'
+    });
+  }
+});
+
+// Endpoint para fechar caixa
+app.post('/caixa/fechar', autenticarOperador, exigirPapel('gerente'), idempotencia, validar({
+  body: {
+    caixa_abertura_id: uuid({ obrigatorio: true }),
+    contagem_cedulas: mapa(
+      texto({ formato: denominacao => DENOMINACOES.includes(parseFloat(denominacao)), descricao: 'uma de: ' + DENOMINACOES.join(', ') }),
+      inteiro({ minimo: 0 }),
+      { obrigatorio: true }
+    ),
+    valores_informados: mapa(opcao(TIPOS_PAGAMENTO), moeda({ permiteZero: true })),
+    retirada_final: objeto({
+      valor: moeda({ permiteZero: true }),
+      observacao: texto({ maximo: 500 })
+    }),
+    justificativa: texto({ maximo: 1000 }),
+    observacoes: texto({ maximo: 1000 }),
+    pagar_entregadores: booleano()
+  }
+}), async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const {
+      caixa_abertura_id,
+      observacoes,
+      contagem_cedulas,
+      valores_informados,
+      justificativa,
+      retirada_final,
+      pagar_entregadores
+    } = req.body;
+
+    const totalContado = somarContagemCedulas(contagem_cedulas);
+
+    // A retirada final sai do dinheiro contado, depois da conferência
+    const valorRetiradaFinal = (retirada_final && retirada_final.valor) || 0;
+
+    if (valorRetiradaFinal > totalContado) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'A retirada final não pode passar do total contado'
+      });
+    }
+
+    const caixaResult = await client.query(
+      `SELECT * FROM caixa_abertura WHERE id = $1 ${sql.travarLinhas()}`,
+      [caixa_abertura_id]
+    );
+
+    if (caixaResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Caixa não encontrado'
+      });
+    }
+
+    const caixa = caixaResult.rows[0];
+
+    if (caixa.status !== 'ABERTO') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Caixa já está fechado'
+      });
+    }
+
+    const resumo = await calcularResumoCaixa(client, caixa);
+
+    // O dinheiro esperado é o da gaveta (abertura + vendas em dinheiro + suprimentos - retiradas);
+    // os demais tipos são comparados com o total vendido. Vendas sem pagamento
+    // (PENDENTE) não têm o que conferir.
+    const valoresEsperados = {};
+    Object.entries(resumo.por_tipo_pagamento).forEach(([tipo, parcelas]) => {
+      if (tipo !== 'PENDENTE') {
+        valoresEsperados[tipo] = parcelas.total;
+      }
+    });
+    valoresEsperados.DINHEIRO = resumo.dinheiro.esperado;
+
+    // O dinheiro é sempre conferido pela contagem; os outros tipos, só os que
+    // o operador informou
+    const valoresInformados = { DINHEIRO: totalContado };
+
+    Object.entries(valores_informados || {}).forEach(([tipo, valor]) => {
+      if (tipo !== 'DINHEIRO') {
+        valoresInformados[tipo] = valor;
+      }
+    });
+
+    const { divergencias, divergenciaTotal } = calcularDivergencias(valoresEsperados, valoresInformados);
+    const justificativaInformada = (justificativa || '').trim();
+
+    // Os valores esperados não são devolvidos aqui para não quebrar a contagem cega
+    if (divergenciaTotal > LIMITE_DIVERGENCIA_FECHAMENTO && !justificativaInformada) {
+      await client.query('ROLLBACK');
+      return res.status(422).json({
+        success: false,
+        message: 'Divergência acima do limite: informe a justificativa do gerente para fechar o caixa',
+        justificativa_obrigatoria: true
+      });
+    }
+
+    // Acerto dos entregadores: o que ainda falta pagar sai da gaveta contada,
+    // junto com a retirada final
+    let acertoEntregadores = await calcularAcertoEntregadores(client, caixa_abertura_id);
+    const pagamentosEntregadores = pagar_entregadores ? acertoEntregadores.filter(acerto => acerto.a_pagar > 0) : [];
+    const valorPagoEntregadores = deCentavos(somarCentavos(pagamentosEntregadores.map(acerto => acerto.a_pagar)));
+
+    if (paraCentavos(valorRetiradaFinal) + paraCentavos(valorPagoEntregadores) > paraCentavos(totalContado)) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'A retirada final e o acerto dos entregadores não podem passar do total contado'
+      });
+    }
+
+    for (const acerto of pagamentosEntregadores) {
+      const retiradaEntregadorId = gerarUUID();
+
+      const retiradaEntregadorResult = await client.query(
+        `INSERT INTO retiradas (id, valor, observacao, categoria, caixa_abertura_id, operador_id, entregador_id) 
+         VALUES ($1, $2, $3, 'ENTREGADOR', $4, $5, $6) RETURNING *`,
+        [
+          retiradaEntregadorId,
+          acerto.a_pagar,
+          `Acerto ${acerto.nome} - ${acerto.entregas} entrega(s)`,
+          caixa_abertura_id,
+          req.operador.id,
+          acerto.entregador_id
+        ]
+      );
+
+      await registrarAuditoria(client, {
+        entidade: 'retirada',
+        entidadeId: retiradaEntregadorId,
+        acao: 'CRIAR',
+        novo: retiradaEntregadorResult.rows[0],
+        operadorId: req.operador.id
+      });
+    }
+
+    if (pagamentosEntregadores.length > 0) {
+      acertoEntregadores = await calcularAcertoEntregadores(client, caixa_abertura_id);
+    }
+
+    if (valorRetiradaFinal > 0) {
+      const retiradaFinalId = gerarUUID();
+
+      const retiradaFinalResult = await client.query(
+        `INSERT INTO retiradas (id, valor, observacao, categoria, caixa_abertura_id, operador_id) 
+         VALUES ($1, $2, $3, 'SANGRIA', $4, $5) RETURNING *`,
+        [
+          retiradaFinalId,
+          valorRetiradaFinal,
+          'Retirada final' + (retirada_final.observacao ? ' - ' + retirada_final.observacao : ''),
+          caixa_abertura_id,
+          req.operador.id
+        ]
+      );
+
+      await registrarAuditoria(client, {
+        entidade: 'retirada',
+        entidadeId: retiradaFinalId,
+        acao: 'CRIAR',
+        novo: retiradaFinalResult.rows[0],
+        operadorId: req.operador.id
+      });
+    }
+
+    // Saldo que fica na gaveta depois do acerto dos entregadores e da retirada final
+    const retiradasFechamento = paraCentavos(valorRetiradaFinal) + paraCentavos(valorPagoEntregadores);
+    const retiradasComFinal = deCentavos(paraCentavos(resumo.retiradas.total) + retiradasFechamento);
+    const saldoGaveta = deCentavos(paraCentavos(resumo.dinheiro.esperado) - retiradasFechamento);
+
+    const fechamentoId = gerarUUID();
+
+    const fechamentoResult = await client.query(
+      `INSERT INTO caixa_fechamento 
+       (id, valor_abertura, total_vendas, retiradas, suprimentos, saldo_final, observacoes, caixa_abertura_id, operador_id,
+        contagem_cedulas, valores_informados, valores_esperados, divergencias, divergencia_total, justificativa, justificado_por,
+        acerto_entregadores) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17) RETURNING *`,
+      [
+        fechamentoId,
+        caixa.valor_inicial,
+        resumo.vendas.total,
+        retiradasComFinal,
+        resumo.suprimentos.total,
+        saldoGaveta,
+        observacoes || '',
+        caixa_abertura_id,
+        req.operador.id,
+        contagem_cedulas,
+        valoresInformados,
+        valoresEsperados,
+        divergencias,
+        divergenciaTotal,
+        justificativaInformada || null,
+        justificativaInformada ? req.operador.id : null,
+        JSON.stringify(acertoEntregadores)
+      ]
+    );
+
+    const caixaFechadoResult = await client.query(
+      `UPDATE caixa_abertura SET status = 'FECHADO', updated_at = NOW() WHERE id = $1 RETURNING *`,
+      [caixa_abertura_id]
+    );
+
+    await registrarAuditoria(client, {
+      entidade: 'fechamento',
+      entidadeId: fechamentoId,
+      acao: 'CRIAR',
+      novo: fechamentoResult.rows[0],
+      operadorId: req.operador.id
+    });
+
+    await registrarAuditoria(client, {
+      entidade: 'caixa',
+      entidadeId: caixa_abertura_id,
+      acao: 'FECHAR',
+      anterior: caixa,
+      novo: caixaFechadoResult.rows[0],
+      operadorId: req.operador.id
+    });
+
+    await registrarEvento(client, 'CAIXA_FECHADO', { caixaId: caixa_abertura_id, entidadeId: caixa_abertura_id });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: fechamentoResult.rows[0],
+      resumo: {
+        vendas_sistema: resumo.vendas.sistema,
+        vendas_manuais: resumo.vendas.manual,
+        total_vendas: resumo.vendas.total,
+        total_retiradas: retiradasComFinal,
+        retirada_final: valorRetiradaFinal,
+        pago_entregadores: valorPagoEntregadores,
+        acerto_entregadores: acertoEntregadores,
+        total_suprimentos: resumo.suprimentos.total,
+        total_estornos: resumo.estornos.total,
+        saldo_final: saldoGaveta,
+        total_contado: totalContado,
+        valores_esperados: valoresEsperados,
+        valores_informados: valoresInformados,
+        divergencias,
+        divergencia_total: divergenciaTotal
+      }
+    });
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao fechar caixa:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao fechar caixa'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Endpoint para criar venda manual
+app.post('/vendas/manuais', autenticarOperador, idempotencia, validar({
+  body: {
+    caixa_abertura_id: uuid({ obrigatorio: true }),
+    tipo_pagamento: opcao(TIPOS_PAGAMENTO, { obrigatorio: true }),
+    valor: moeda({ obrigatorio: true }),
+    descricao: texto({ maximo: 500 })
+  }
+}), async (req, res) => {
+  const client = await pool.connect();
+  
+  try {
+    const { tipo_pagamento, valor, descricao, caixa_abertura_id } = req.body;
+
+    await client.query('BEGIN');
+
+    const { status, erro } = await carregarCaixaParaMovimento(client, caixa_abertura_id);
+
+    if (erro) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({
+        success: false,
+        message: erro
+      });
+    }
+
+    const vendaManualId = gerarUUID();
+
+    const result = await client.query(
+      `INSERT INTO vendas_manuais (id, tipo_pagamento, valor, descricao, caixa_abertura_id, operador_id) 
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [vendaManualId, tipo_pagamento, valor, descricao || '', caixa_abertura_id, req.operador.id]
+    );
+
+    await registrarAuditoria(client, {
+      entidade: 'venda_manual',
+      entidadeId: vendaManualId,
+      acao: 'CRIAR',
+      novo: result.rows[0],
+      operadorId: req.operador.id
+    });
+
+    await registrarEvento(client, 'VENDA_MANUAL', { caixaId: caixa_abertura_id, entidadeId: vendaManualId });
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0]
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('❌ Erro ao salvar venda manual:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao salvar venda manual'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Endpoint para listar vendas manuais de um caixa
+app.get('/vendas/manuais/caixa/:caixaId', autenticarOperador, validar({ params: PARAMS_CAIXA }), async (req, res) => {
+  try {
+    const { caixaId } = req.params;
+    
+    const result = await pool.query(
+      `SELECT * FROM vendas_manuais 
+       WHERE caixa_abertura_id = $1 
+       ORDER BY data_venda DESC`,
+      [caixaId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Erro ao buscar vendas manuais:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar vendas manuais'
+    });
+  }
+});
+
+// Cancelar uma venda do caixa ainda aberto: sai dos totais e devolve o estoque.
+// Depois do fechamento a correção é feita por estorno.
+async function cancelarVenda(entidade, req, res, motivoPadrao = '') {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const motivo = String((req.body && req.body.motivo) || motivoPadrao).trim();
+
+    await client.query('BEGIN');
+
+    const { venda, caixa, status, erro } = await carregarVendaParaCancelamento(client, entidade, id, motivo);
+
+    if (erro) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({
+        success: false,
+        message: erro
+      });
+    }
+
+    if (caixa && caixa.status !== 'ABERTO') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'O caixa desta venda já foi fechado. Use o estorno.'
+      });
+    }
+
+    const vendaCancelada = await encerrarVenda(client, entidade, venda, 'CANCELADA', motivo, req.operador.id);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `${VENDAS_CANCELAVEIS[entidade].nome} cancelada com sucesso`,
+      data: vendaCancelada
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao cancelar venda:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao cancelar venda'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+// Estornar uma venda de caixa já fechado: o valor é devolvido pelo caixa aberto
+// informado, com um estorno por forma de pagamento da venda
+async function estornarVenda(entidade, req, res) {
+  const client = await pool.connect();
+
+  try {
+    const { id } = req.params;
+    const { caixa_abertura_id } = req.body;
+    const motivo = String(req.body.motivo || '').trim();
+
+    await client.query('BEGIN');
+
+    const { venda, caixa, status, erro } = await carregarVendaParaCancelamento(client, entidade, id, motivo);
+
+    if (erro) {
+      await client.query('ROLLBACK');
+      return res.status(status).json({
+        success: false,
+        message: erro
+      });
+    }
+
+    if (!caixa || caixa.status === 'ABERTO') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'O caixa desta venda ainda está aberto. Use o cancelamento.'
+      });
+    }
+
+    const caixaEstornoResult = await client.query(
+      `SELECT * FROM caixa_abertura WHERE id = $1 AND status = 'ABERTO'`,
+      [caixa_abertura_id]
+    );
+
+    if (caixaEstornoResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Informe um caixa aberto para devolver o valor'
+      });
+    }
+
+    if (caixaEstornoResult.rows[0].loja_id !== caixa.loja_id) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'O estorno deve ser feito em um caixa da mesma loja'
+      });
+    }
+
+    // Vendas sem pagamento registrado são devolvidas pelo tipo resumido
+    const pagamentosResult = entidade === 'venda'
+      ? await client.query(
+        `SELECT COALESCE(p.tipo_pagamento, v.tipo_pagamento) AS tipo_pagamento, 
+                COALESCE(p.valor, v.valor_total) AS valor
+         FROM vendas v
+         LEFT JOIN pagamentos_venda p ON p.venda_id = v.id
+         WHERE v.id = $1`,
+        [venda.id]
+      )
+      : { rows: [{ tipo_pagamento: venda.tipo_pagamento, valor: venda.valor }] };
+
+    const estornos = [];
+
+    for (const pagamento of pagamentosResult.rows) {
+      const estornoResult = await client.query(
+        `INSERT INTO estornos (id, ${VENDAS_CANCELAVEIS[entidade].colunaEstorno}, caixa_abertura_id, tipo_pagamento, valor, motivo, operador_id) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+        [gerarUUID(), venda.id, caixa_abertura_id, pagamento.tipo_pagamento, pagamento.valor, motivo, req.operador.id]
+      );
+      estornos.push(estornoResult.rows[0]);
+    }
+
+    const vendaEstornada = await encerrarVenda(client, entidade, venda, 'ESTORNADA', motivo, req.operador.id);
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      message: `${VENDAS_CANCELAVEIS[entidade].nome} estornada com sucesso`,
+      data: { ...vendaEstornada, estornos }
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao estornar venda:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao estornar venda'
+    });
+  } finally {
+    client.release();
+  }
+}
+
+// Endpoint para cancelar venda do sistema
+app.post('/vendas/:id/cancelar', autenticarOperador, exigirPapel('gerente'), idempotencia, validar({
+  params: PARAMS_ID,
+  body: BODY_MOTIVO
+}), (req, res) => cancelarVenda('venda', req, res));
+
+// Endpoint para estornar venda do sistema
+app.post('/vendas/:id/estornar', autenticarOperador, exigirPapel('gerente'), idempotencia, validar({
+  params: PARAMS_ID,
+  body: { ...BODY_MOTIVO, caixa_abertura_id: uuid({ obrigatorio: true }) }
+}), (req, res) => estornarVenda('venda', req, res));
+
+// Endpoint para cancelar venda manual
+app.post('/vendas/manuais/:id/cancelar', autenticarOperador, exigirPapel('gerente'), idempotencia, validar({
+  params: PARAMS_ID,
+  body: BODY_MOTIVO
+}), (req, res) => cancelarVenda('venda_manual', req, res));
+
+// Endpoint para estornar venda manual
+app.post('/vendas/manuais/:id/estornar', autenticarOperador, exigirPapel('gerente'), idempotencia, validar({
+  params: PARAMS_ID,
+  body: { ...BODY_MOTIVO, caixa_abertura_id: uuid({ obrigatorio: true }) }
+}), (req, res) => estornarVenda('venda_manual', req, res));
+
+// Endpoint para excluir venda manual: o lançamento é cancelado e continua nos relatórios
+app.delete('/vendas/manuais/:id', autenticarOperador, exigirPapel('gerente'), idempotencia, validar({
+  params: PARAMS_ID,
+  body: { motivo: texto({ maximo: 500 }) }
+}), (req, res) => (
+  cancelarVenda('venda_manual', req, res, 'Lançamento removido')
+));
+
+// Endpoint para acompanhar as alterações (vendas, retiradas, caixa) desde o cursor.
+// Sem since, devolve só o cursor atual. Os eventos mais recentes podem voltar
+// na consulta seguinte; o id identifica os repetidos.
+app.get('/eventos', autenticarOperador, validar({
+  query: {
+    since: texto({ formato: /^\d+$/, descricao: 'o cursor devolvido pela consulta anterior' }),
+    loja_id: uuid()
+  }
+}), async (req, res) => {
+  try {
+    const { since, loja_id } = req.query;
+
+    if (since === undefined) {
+      const result = await pool.query(
+        `SELECT COALESCE(MAX(id), 0) AS cursor FROM eventos
+         WHERE created_at < ${sql.agoraMenos('$1', 'second')}`,
+        [ATRASO_CURSOR_EVENTOS_SEGUNDOS]
+      );
+
+      return res.json({
+        success: true,
+        data: { eventos: [], cursor: String(result.rows[0].cursor), mais: false }
+      });
+    }
+
+    const valores = [since, ATRASO_CURSOR_EVENTOS_SEGUNDOS];
+    let filtro = '';
+
+    if (loja_id) {
+      valores.push(loja_id);
+      filtro = ` AND (loja_id = $3 OR loja_id IS NULL)`;
+    }
+
+    const result = await pool.query(
+      `SELECT *, created_at < ${sql.agoraMenos('$2', 'second')} AS consolidado
+       FROM eventos
+       WHERE id > $1${filtro}
+       ORDER BY id
+       LIMIT ${LIMITE_EVENTOS}`,
+      valores
+    );
+
+    // O cursor avança até o último evento consolidado sem recentes antes dele
+    let cursor = since;
+    for (const evento of result.rows) {
+      if (!evento.consolidado) break;
+      cursor = evento.id;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        // id em texto nos dois bancos (o pg devolve BIGSERIAL como texto)
+        eventos: result.rows.map(({ consolidado, ...evento }) => ({ ...evento, id: String(evento.id) })),
+        cursor: String(cursor),
+        mais: result.rows.length === LIMITE_EVENTOS
+      }
+    });
+  } catch (error) {
+    console.error('Erro ao buscar eventos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar eventos'
+    });
+  }
+});
+
+// Endpoint para listar estornos pagos por um caixa
+app.get('/estornos/caixa/:caixaId', autenticarOperador, validar({ params: PARAMS_CAIXA }), async (req, res) => {
+  try {
+    const { caixaId } = req.params;
+
+    const result = await pool.query(
+      `SELECT * FROM estornos WHERE caixa_abertura_id = $1 ORDER BY created_at DESC`,
+      [caixaId]
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Erro ao buscar estornos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar estornos'
+    });
+  }
+});
+
+// Endpoint para consultar a auditoria por entidade, operador ou período
+app.get('/auditoria', autenticarOperador, exigirPapel('gerente'), validar({
+  query: {
+    entidade: texto({ maximo: 50 }),
+    entidade_id: uuid(),
+    operador_id: uuid(),
+    data_inicio: dia(),
+    data_fim: dia()
+  }
+}), async (req, res) => {
+  try {
+    const { entidade, entidade_id, operador_id, data_inicio, data_fim } = req.query;
+    const condicoes = [];
+    const valores = [];
+
+    if (entidade) {
+      valores.push(entidade);
+      condicoes.push(`a.entidade = $${valores.length}`);
+    }
+    if (entidade_id) {
+      valores.push(entidade_id);
+      condicoes.push(`a.entidade_id = $${valores.length}`);
+    }
+    if (operador_id) {
+      valores.push(operador_id);
+      condicoes.push(`a.operador_id = $${valores.length}`);
+    }
+    if (data_inicio) {
+      valores.push(data_inicio);
+      condicoes.push(`a.created_at >= ${inicioDiaOperacional(`$${valores.length}`)}`);
+    }
+    if (data_fim) {
+      valores.push(data_fim);
+      condicoes.push(`a.created_at < ${inicioDiaOperacional(`$${valores.length}`, null, 1)}`);
+    }
+
+    const result = await pool.query(
+      `SELECT a.*, o.nome AS operador_nome 
+       FROM auditoria a
+       LEFT JOIN operadores o ON o.id = a.operador_id
+       ${condicoes.length > 0 ? 'WHERE ' + condicoes.join(' AND ') : ''}
+       ORDER BY a.created_at DESC
+       LIMIT 500`,
+      valores
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Erro ao consultar auditoria:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao consultar auditoria'
+    });
+  }
+});
+
+// Endpoint para buscar vendas por data
+app.get('/vendas/data/:data', autenticarOperador, validar({
+  params: PARAMS_DIA,
+  query: QUERY_LOJA_TERMINAL
+}), async (req, res) => {
+  try {
+    const { data } = req.params;
+    const valores = [data];
+    const filtro = filtroLojaTerminal(req.query, 'ca', valores);
+    
+    const vendasSistema = await pool.query(
+      `SELECT v.*, ca.data_abertura, ca.loja_id, ca.terminal_id
+       FROM vendas v
+       LEFT JOIN caixa_abertura ca ON v.caixa_abertura_id = ca.id
+       LEFT JOIN lojas lj ON lj.id = ca.loja_id
+       WHERE ${condicaoPeriodoOperacional('v.data_venda', 'lj', '$1')}${filtro} 
+       ORDER BY v.data_venda DESC`,
+      valores
+    );
+
+    const vendasManuais = await pool.query(
+      `SELECT 
+         vm.*,
+         ca.data_abertura,
+         ca.loja_id,
+         ca.terminal_id,
+         'manual' as origem
+       FROM vendas_manuais vm
+       LEFT JOIN caixa_abertura ca ON vm.caixa_abertura_id = ca.id
+       LEFT JOIN lojas lj ON lj.id = ca.loja_id
+       WHERE ${condicaoPeriodoOperacional('vm.data_venda', 'lj', '$1')}${filtro} 
+       ORDER BY vm.data_venda DESC`,
+      valores
+    );
+
+    const todasVendas = [
+      ...(await anexarLinhasVendas(vendasSistema.rows, 'pagamentos_venda', 'pagamentos')).map(v => ({ ...v, manual: false })),
+      ...vendasManuais.rows.map(v => ({ ...v, manual: true }))
+    ].sort((a, b) => new Date(b.data_venda) - new Date(a.data_venda));
+
+    const vendasProcessadas = todasVendas.map(venda => ({
+      ...venda,
+      dados_pedido: venda.dados_pedido && typeof venda.dados_pedido === 'string' 
+        ? JSON.parse(venda.dados_pedido) 
+        : venda.dados_pedido
+    }));
+
+    res.json({
+      success: true,
+      data: vendasProcessadas
+    });
+  } catch (error) {
+    console.error('Erro ao buscar vendas por data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar vendas por data'
+    });
+  }
+});
+
+// Endpoint para buscar retiradas por data
+app.get('/retiradas/data/:data', autenticarOperador, validar({
+  params: PARAMS_DIA,
+  query: QUERY_LOJA_TERMINAL
+}), async (req, res) => {
+  try {
+    const { data } = req.params;
+    const valores = [data];
+    const filtro = filtroLojaTerminal(req.query, 'ca', valores);
+    
+    const result = await pool.query(
+      `SELECT r.*, ca.data_abertura, ca.loja_id, ca.terminal_id 
+       FROM retiradas r
+       LEFT JOIN caixa_abertura ca ON r.caixa_abertura_id = ca.id
+       LEFT JOIN lojas lj ON lj.id = ca.loja_id
+       WHERE ${condicaoPeriodoOperacional('r.data_retirada', 'lj', '$1')}${filtro} 
+       ORDER BY r.data_retirada DESC`,
+      valores
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Erro ao buscar retiradas por data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar retiradas por data'
+    });
+  }
+});
+
+// Endpoint para buscar suprimentos por data
+app.get('/suprimentos/data/:data', autenticarOperador, validar({
+  params: PARAMS_DIA,
+  query: QUERY_LOJA_TERMINAL
+}), async (req, res) => {
+  try {
+    const { data } = req.params;
+    const valores = [data];
+    const filtro = filtroLojaTerminal(req.query, 'ca', valores);
+
+    const result = await pool.query(
+      `SELECT s.*, ca.data_abertura, ca.loja_id, ca.terminal_id 
+       FROM suprimentos s
+       LEFT JOIN caixa_abertura ca ON s.caixa_abertura_id = ca.id
+       LEFT JOIN lojas lj ON lj.id = ca.loja_id
+       WHERE ${condicaoPeriodoOperacional('s.data_suprimento', 'lj', '$1')}${filtro} 
+       ORDER BY s.data_suprimento DESC`,
+      valores
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Erro ao buscar suprimentos por data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar suprimentos por data'
+    });
+  }
+});
+
+// Endpoint para buscar aberturas por data
+app.get('/caixa/aberturas/data/:data', autenticarOperador, validar({
+  params: PARAMS_DIA,
+  query: QUERY_LOJA_TERMINAL
+}), async (req, res) => {
+  try {
+    const { data } = req.params;
+    const valores = [data];
+    const filtro = filtroLojaTerminal(req.query, 'ca', valores);
+    
+    const result = await pool.query(
+      `SELECT ca.*, t.nome AS terminal_nome, l.nome AS loja_nome 
+       FROM caixa_abertura ca
+       LEFT JOIN terminais t ON t.id = ca.terminal_id
+       LEFT JOIN lojas l ON l.id = ca.loja_id
+       WHERE ${condicaoPeriodoOperacional('ca.data_abertura', 'l', '$1')}${filtro} 
+       ORDER BY ca.data_abertura DESC`,
+      valores
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Erro ao buscar aberturas por data:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar aberturas por data'
+    });
+  }
+});
+
+// Validar o período (data_inicio e data_fim, AAAA-MM-DD) de relatórios e exportações.
+// Devolve a mensagem de erro ou null.
+function validarPeriodo({ data_inicio, data_fim }) {
+  const dias = (new Date(data_fim) - new Date(data_inicio)) / 86400000;
+
+  if (!(dias >= 0)) {
+    return 'data_fim deve ser igual ou posterior a data_inicio';
+  }
+
+  if (dias >= LIMITE_DIAS_RELATORIO) {
+    return `O período pode ter no máximo ${LIMITE_DIAS_RELATORIO} dias`;
+  }
+
+  return null;
+}
+
+// Endpoint para relatório de vendas por período
+app.get('/relatorios', autenticarOperador, exigirPapel('gerente'), validar({
+  query: { ...QUERY_PERIODO, caixa_abertura_id: uuid() }
+}), async (req, res) => {
+  try {
+    const { data_inicio, data_fim, loja_id, terminal_id, caixa_abertura_id } = req.query;
+    const erroPeriodo = validarPeriodo(req.query);
+
+    if (erroPeriodo) {
+      return res.status(400).json({
+        success: false,
+        message: erroPeriodo
+      });
+    }
+
+    const relatorio = await gerarRelatorio(pool, { data_inicio, data_fim, loja_id, terminal_id, caixa_abertura_id });
+
+    res.json({
+      success: true,
+      data: relatorio
+    });
+  } catch (error) {
+    console.error('Erro ao gerar relatório:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao gerar relatório'
+    });
+  }
+});
+
+// Endpoint para exportar vendas, retiradas ou fechamentos em CSV, XLSX ou PDF
+app.get('/exportar/:tipo', autenticarOperador, validar({
+  params: { tipo: opcao(Object.keys(COLUNAS_EXPORTACAO), { obrigatorio: true }) },
+  query: {
+    ...QUERY_PERIODO,
+    formato: opcao(Object.keys(FORMATOS_EXPORTACAO)),
+    colunas: texto({ maximo: 1000 })
+  }
+}), async (req, res) => {
+  try {
+    const { tipo } = req.params;
+    const { data_inicio, data_fim, loja_id, terminal_id } = req.query;
+    const formato = req.query.formato || 'csv';
+
+    const erroPeriodo = validarPeriodo(req.query);
+
+    if (erroPeriodo) {
+      return res.status(400).json({
+        success: false,
+        message: erroPeriodo
+      });
+    }
+
+    const { colunas, erro } = selecionarColunas(tipo, req.query.colunas, req.operador.papel);
+
+    if (erro) {
+      return res.status(400).json({
+        success: false,
+        message: erro
+      });
+    }
+
+    const arquivo = await gerarExportacao(pool, {
+      tipo,
+      formato,
+      colunas,
+      filtros: { data_inicio, data_fim, loja_id, terminal_id }
+    });
+
+    res.set('Content-Type', arquivo.contentType);
+    res.set('Content-Disposition', `attachment; filename="${arquivo.nomeArquivo}"`);
+    res.send(arquivo.conteudo);
+  } catch (error) {
+    console.error('Erro ao exportar dados:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao exportar dados'
+    });
+  }
+});
+
+// Opções dos comprovantes térmicos vindas da query: página de código,
+// colunas do papel e abertura da gaveta
+function opcoesImpressao(query) {
+  return {
+    paginaCodigo: query.pagina_codigo,
+    colunas: query.colunas,
+    abrirGaveta: query.gaveta === true
+  };
+}
+
+// Query aceita pelas rotas de impressão
+const QUERY_IMPRESSAO = {
+  formato: opcao(['escpos', 'texto']),
+  gaveta: booleano(),
+  pagina_codigo: opcao(Object.keys(PAGINAS_CODIGO)),
+  colunas: inteiro({ minimo: 24, maximo: 64 })
+};
+
+// Responder com os bytes ESC/POS ou, com formato=texto, com a prévia em texto
+function enviarImpressao(req, res, documento, nomeArquivo) {
+  if (req.query.formato === 'texto') {
+    return res.json({
+      success: true,
+      data: { texto: documento.previa() }
+    });
+  }
+
+  res.set('Content-Type', 'application/octet-stream');
+  res.set('Content-Disposition', `attachment; filename="${nomeArquivo}.bin"`);
+  res.send(documento.bytes());
+}
+
+// Itens de uma venda para os comprovantes. Vendas sem itens registrados
+// usam os produtos guardados no pedido.
+async function buscarItensImpressao(client, venda) {
+  const itensResult = await client.query(
+    `SELECT * FROM itens_venda WHERE venda_id = $1 ORDER BY created_at, nome_produto`,
+    [venda.id]
+  );
+
+  if (itensResult.rows.length > 0) return itensResult.rows;
+
+  return ((venda.dados_pedido && venda.dados_pedido.produtos) || []).map(produto => ({
+    nome_produto: produto.nome_produto,
+    quantidade: produto.quantidade,
+    valor_unitario: produto.valor,
+    adicionais: produto.adicionais || [],
+    complementos: produto.complementos || []
+  }));
+}
+
+// Endpoint para imprimir o relatório parcial ou, com o caixa fechado, o fechamento
+app.get('/impressao/caixa/:caixaId', autenticarOperador, validar({
+  params: PARAMS_CAIXA,
+  query: QUERY_IMPRESSAO
+}), async (req, res) => {
+  try {
+    const caixaResult = await pool.query(
+      `SELECT ca.*, l.nome AS loja_nome, l.fuso_horario, t.nome AS terminal_nome
+       FROM caixa_abertura ca
+       LEFT JOIN lojas l ON l.id = ca.loja_id
+       LEFT JOIN terminais t ON t.id = ca.terminal_id
+       WHERE ca.id = $1`,
+      [req.params.caixaId]
+    );
+
+    if (caixaResult.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Caixa não encontrado'
+      });
+    }
+
+    const caixa = caixaResult.rows[0];
+    const resumo = resumoVisivelPara(req.operador, await calcularResumoCaixa(pool, caixa));
+
+    const retiradasResult = await pool.query(
+      `SELECT * FROM retiradas WHERE caixa_abertura_id = $1 AND situacao <> 'CANCELADA' ORDER BY data_retirada`,
+      [caixa.id]
+    );
+
+    const fechamentoResult = await pool.query(
+      `SELECT * FROM caixa_fechamento WHERE caixa_abertura_id = $1 ORDER BY data_fechamento DESC LIMIT 1`,
+      [caixa.id]
+    );
+
+    const documento = comprovanteCaixa({
+      caixa,
+      resumo,
+      retiradas: retiradasResult.rows,
+      fechamento: caixa.status === 'FECHADO' ? fechamentoResult.rows[0] : null
+    }, { ...opcoesImpressao(req.query), fusoHorario: caixa.fuso_horario });
+
+    enviarImpressao(req, res, documento, `caixa_${caixa.id}`);
+  } catch (error) {
+    console.error('Erro ao gerar comprovante do caixa:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao gerar comprovante do caixa'
+    });
+  }
 });
 
-// Middleware
-app.use(cors());
-app.use(express.json());
-
-// Função para gerar UUID manualmente
-function gerarUUID() {
-  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
-    const r = Math.random() * 16 | 0;
-    const v = c == 'x' ? r : (r & 0x3 | 0x8);
-    return v.toString(16);
-  });
-}
+// Endpoint para imprimir o comprovante do pedido (cliente) ou a comanda da cozinha
+app.get('/impressao/vendas/:id/:modelo', autenticarOperador, validar({
+  params: { ...PARAMS_ID, modelo: opcao(['comprovante', 'cozinha'], { obrigatorio: true }) },
+  query: QUERY_IMPRESSAO
+}), async (req, res) => {
+  try {
+    const { id, modelo } = req.params;
+
+    const venda = await buscarVendaComPagamentos(pool, id);
+
+    if (!venda) {
+      return res.status(404).json({
+        success: false,
+        message: 'Venda não encontrada'
+      });
+    }
+
+    if (typeof venda.dados_pedido === 'string') {
+      venda.dados_pedido = JSON.parse(venda.dados_pedido);
+    }
+
+    const itens = await buscarItensImpressao(pool, venda);
+    const lojaResult = await pool.query(
+      `SELECT l.fuso_horario FROM caixa_abertura ca JOIN lojas l ON l.id = ca.loja_id WHERE ca.id = $1`,
+      [venda.caixa_abertura_id]
+    );
+    const opcoes = { ...opcoesImpressao(req.query), fusoHorario: lojaResult.rows[0]?.fuso_horario };
+    const dados = { venda, itens, pagamentos: venda.pagamentos };
+    const documento = modelo === 'cozinha'
+      ? comandaCozinha(dados, opcoes)
+      : comprovantePedido(dados, opcoes);
 
-// Testar conexão com o banco
-async function testarConexao() {
-  try {
-    const client = await pool.connect();
-    console.log('✅ Conectado ao NeonDB com sucesso!');
-    
-    const tabelas = await client.query(`
-      SELECT table_name 
-      FROM information_schema.tables 
-      WHERE table_schema = 'public'
-    `);
-    
-    console.log('📊 Tabelas existentes:', tabelas.rows.map(t => t.table_name));
-    client.release();
-    return true;
+    enviarImpressao(req, res, documento, `${modelo}_${venda.id_externo || venda.id}`);
   } catch (error) {
-    console.error('❌ Erro ao conectar com NeonDB:', error.message);
-    return false;
+    console.error('Erro ao gerar comprovante da venda:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao gerar comprovante da venda'
+    });
   }
-}
+});
 
-// Criar tabelas se não existirem
-async function criarTabelas() {
-  const client = await pool.connect();
-  
+// Endpoint para listar produtos
+app.get('/produtos', autenticarOperador, validar({
+  query: {
+    busca: texto({ maximo: 100 }),
+    ativos: booleano()
+  }
+}), async (req, res) => {
   try {
-    await client.query('BEGIN');
+    const { busca, ativos } = req.query;
+    const condicoes = [];
+    const valores = [];
 
-    // Tabela caixa_abertura
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS caixa_abertura (
-        id UUID PRIMARY KEY,
-        data_abertura TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        valor_inicial DECIMAL(10,2) NOT NULL,
-        observacao TEXT,
-        status TEXT DEFAULT 'ABERTO',
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
-      )
-    `);
-
-    // Tabela vendas
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS vendas (
-        id UUID PRIMARY KEY,
-        data_venda TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        dados_pedido JSONB NOT NULL,
-        tipo_pagamento TEXT DEFAULT 'PENDENTE',
-        valor_total DECIMAL(10,2) NOT NULL,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Tabela retiradas
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS retiradas (
-        id UUID PRIMARY KEY,
-        data_retirada TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        valor DECIMAL(10,2) NOT NULL,
-        observacao TEXT,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Tabela caixa_fechamento
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS caixa_fechamento (
-        id UUID PRIMARY KEY,
-        data_fechamento TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        valor_abertura DECIMAL(10,2) NOT NULL,
-        total_vendas DECIMAL(10,2) NOT NULL,
-        retiradas DECIMAL(10,2) NOT NULL,
-        saldo_final DECIMAL(10,2) NOT NULL,
-        observacoes TEXT,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Tabela vendas_manuais
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS vendas_manuais (
-        id UUID PRIMARY KEY,
-        data_venda TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        tipo_pagamento TEXT NOT NULL,
-        valor DECIMAL(10,2) NOT NULL,
-        descricao TEXT,
-        created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-        caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE
-      )
-    `);
-
-    // Criar índices
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_vendas_manuais_caixa ON vendas_manuais(caixa_abertura_id)
-    `);
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_vendas_manuais_tipo ON vendas_manuais(tipo_pagamento)
-    `);
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_caixa_abertura_status ON caixa_abertura(status)
-    `);
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_caixa_abertura_data ON caixa_abertura(data_abertura)
-    `);
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_vendas_data ON vendas(data_venda)
-    `);
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_vendas_caixa ON vendas(caixa_abertura_id)
-    `);
-    await client.query(`
-      CREATE INDEX IF NOT EXISTS idx_retiradas_caixa ON retiradas(caixa_abertura_id)
-    `);
+    if (busca) {
+      valores.push(`%${normalizarNomeProduto(busca)}%`);
+      condicoes.push(`(nome_normalizado LIKE $${valores.length} OR codigo_externo = $${valores.length + 1})`);
+      valores.push(busca);
+    }
+    if (ativos) {
+      condicoes.push('ativo = TRUE');
+    }
 
-    await client.query('COMMIT');
-    console.log('✅ Tabelas criadas/verificadas com sucesso!');
+    const result = await pool.query(
+      `SELECT * FROM produtos 
+       ${condicoes.length > 0 ? 'WHERE ' + condicoes.join(' AND ') : ''}
+       ORDER BY nome`,
+      valores
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
   } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('❌ Erro ao criar tabelas:', error);
-    throw error;
-  } finally {
-    client.release();
+    console.error('Erro ao buscar produtos:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar produtos'
+    });
   }
-}
+});
 
-// Endpoint para verificar status do caixa
-app.get('/caixa/status', async (req, res) => {
+// Endpoint para listar produtos com estoque no mínimo ou abaixo dele
+app.get('/produtos/estoque-baixo', autenticarOperador, async (req, res) => {
   try {
     const result = await pool.query(
-      `SELECT * FROM caixa_abertura WHERE status = 'ABERTO' ORDER BY data_abertura DESC LIMIT 1`
+      `SELECT * FROM produtos 
+       WHERE ativo = TRUE AND controla_estoque = TRUE AND estoque <= estoque_minimo
+       ORDER BY estoque - estoque_minimo, nome`
     );
 
     res.json({
-      caixaAberto: result.rows.length > 0,
-      caixaAtual: result.rows[0] || null
+      success: true,
+      data: result.rows
     });
   } catch (error) {
-    console.error('Erro ao verificar status do caixa:', error);
+    console.error('Erro ao buscar produtos com estoque baixo:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao verificar status do caixa'
+      message: 'Erro ao buscar produtos com estoque baixo'
     });
   }
 });
 
-// Endpoint para abrir caixa
-app.post('/caixa/abrir', async (req, res) => {
+// Endpoint para listar nomes de produtos recebidos sem correspondência no catálogo
+app.get('/produtos/nao-mapeados', autenticarOperador, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM produtos_nao_mapeados 
+       WHERE produto_id IS NULL 
+       ORDER BY ocorrencias DESC, ultima_ocorrencia DESC`
+    );
+
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Erro ao buscar produtos não mapeados:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar produtos não mapeados'
+    });
+  }
+});
+
+// Endpoint para mapear um nome recebido a um produto do catálogo
+app.post('/produtos/nao-mapeados/:id/mapear', autenticarOperador, exigirPapel('gerente'), validar({
+  params: PARAMS_ID,
+  body: { produto_id: uuid({ obrigatorio: true }) }
+}), async (req, res) => {
   const client = await pool.connect();
-  
+
   try {
-    const { valor_inicial, observacao } = req.body;
+    const { id } = req.params;
+    const { produto_id } = req.body;
 
-    const caixaAberto = await client.query(
-      `SELECT * FROM caixa_abertura WHERE status = 'ABERTO' LIMIT 1`
+    await client.query('BEGIN');
+
+    const naoMapeadoResult = await client.query(
+      `SELECT * FROM produtos_nao_mapeados WHERE id = $1 ${sql.travarLinhas()}`,
+      [id]
     );
 
-    if (caixaAberto.rows.length > 0) {
-      return res.status(400).json({
+    if (naoMapeadoResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
         success: false,
-        message: 'Já existe um caixa aberto'
+        message: 'Nome não mapeado não encontrado'
       });
     }
 
-    const caixaId = gerarUUID();
-    
+    const produtoResult = await client.query(`SELECT * FROM produtos WHERE id = $1`, [produto_id]);
+
+    if (produtoResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Produto não encontrado'
+      });
+    }
+
+    const naoMapeado = naoMapeadoResult.rows[0];
+
+    await client.query(
+      `INSERT INTO produtos_aliases (nome_normalizado, produto_id) VALUES ($1, $2)
+       ON CONFLICT (nome_normalizado) DO UPDATE SET produto_id = EXCLUDED.produto_id`,
+      [naoMapeado.nome_normalizado, produto_id]
+    );
+
     const result = await client.query(
-      `INSERT INTO caixa_abertura (id, valor_inicial, observacao, status) 
-       VALUES ($1, $2, $3, 'ABERTO') RETURNING *`,
-      [caixaId, valor_inicial, observacao || '']
+      `UPDATE produtos_nao_mapeados SET produto_id = $1 WHERE id = $2 RETURNING *`,
+      [produto_id, id]
+    );
+
+    // Vendas anteriores passam a apontar para o produto, sem mexer no estoque
+    const itensResult = await client.query(
+      `UPDATE itens_venda SET produto_id = $1 
+       WHERE produto_id IS NULL AND nome_normalizado = $2`,
+      [produto_id, naoMapeado.nome_normalizado]
     );
 
+    await client.query('COMMIT');
+
     res.json({
       success: true,
-      data: result.rows[0]
+      data: result.rows[0],
+      itens_atualizados: itensResult.rowCount
     });
   } catch (error) {
-    console.error('❌ Erro ao abrir caixa:', error);
+    await client.query('ROLLBACK');
+    console.error('Erro ao mapear produto:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao abrir caixa: ' + error.message
+      message: 'Erro ao mapear produto'
     });
   } finally {
     client.release();
   }
 });
 
-// Endpoint para listar vendas
-app.get('/vendas', async (req, res) => {
+// Endpoint para buscar um produto
+app.get('/produtos/:id', autenticarOperador, validar({ params: PARAMS_ID }), async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT 
-        v.*,
-        c.valor_inicial,
-        c.data_abertura
-       FROM vendas v
-       LEFT JOIN caixa_abertura c ON v.caixa_abertura_id = c.id
-       ORDER BY v.data_venda DESC`
-    );
+    const { id } = req.params;
 
-    const vendas = result.rows.map(venda => ({
-      ...venda,
-      dados_pedido: typeof venda.dados_pedido === 'string' 
-        ? JSON.parse(venda.dados_pedido) 
-        : venda.dados_pedido
-    }));
+    const result = await pool.query(`SELECT * FROM produtos WHERE id = $1`, [id]);
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Produto não encontrado'
+      });
+    }
 
     res.json({
       success: true,
-      data: vendas
+      data: result.rows[0]
     });
   } catch (error) {
-    console.error('Erro ao buscar vendas:', error);
+    console.error('Erro ao buscar produto:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao buscar vendas'
+      message: 'Erro ao buscar produto'
     });
   }
 });
 
-// Endpoint para listar retiradas de um caixa
-app.get('/retiradas/caixa/:caixaId', async (req, res) => {
+// Campos do produto aceitos no cadastro e na alteração
+const BODY_PRODUTO = {
+  nome: texto({ maximo: 200 }),
+  codigo_externo: texto({ maximo: 100 }),
+  preco: moeda({ permiteZero: true }),
+  controla_estoque: booleano(),
+  estoque: numero(),
+  estoque_minimo: numero({ minimo: 0 })
+};
+
+// Endpoint para cadastrar produto
+app.post('/produtos', autenticarOperador, exigirPapel('gerente'), validar({
+  body: { ...BODY_PRODUTO, nome: texto({ obrigatorio: true, maximo: 200 }) }
+}), async (req, res) => {
   try {
-    const { caixaId } = req.params;
-    
+    const { nome, codigo_externo, preco, controla_estoque, estoque, estoque_minimo } = req.body;
+
     const result = await pool.query(
-      `SELECT * FROM retiradas WHERE caixa_abertura_id = $1 ORDER BY data_retirada DESC`,
-      [caixaId]
+      `INSERT INTO produtos 
+       (id, nome, nome_normalizado, codigo_externo, preco, controla_estoque, estoque, estoque_minimo) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+      [
+        gerarUUID(),
+        nome,
+        normalizarNomeProduto(nome),
+        codigo_externo || null,
+        preco || 0,
+        controla_estoque !== false,
+        estoque || 0,
+        estoque_minimo || 0
+      ]
     );
 
     res.json({
       success: true,
-      data: result.rows
+      data: result.rows[0]
     });
   } catch (error) {
-    console.error('Erro ao buscar retiradas:', error);
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe um produto com este código externo'
+      });
+    }
+    console.error('Erro ao cadastrar produto:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao buscar retiradas'
+      message: 'Erro ao cadastrar produto'
     });
   }
 });
 
-// Endpoint para registrar retirada
-app.post('/retiradas', async (req, res) => {
-  const client = await pool.connect();
-  
+// Endpoint para atualizar produto
+app.put('/produtos/:id', autenticarOperador, exigirPapel('gerente'), validar({
+  params: PARAMS_ID,
+  body: { ...BODY_PRODUTO, ativo: booleano() }
+}), async (req, res) => {
   try {
-    const { valor, observacao, caixa_abertura_id } = req.body;
-
-    const retiradaId = gerarUUID();
+    const { id } = req.params;
+    const { nome, codigo_externo, preco, controla_estoque, estoque, estoque_minimo, ativo } = req.body;
 
-    const result = await client.query(
-      `INSERT INTO retiradas (id, valor, observacao, caixa_abertura_id) 
-       VALUES ($1, $2, $3, $4) RETURNING *`,
-      [retiradaId, valor, observacao || '', caixa_abertura_id]
+    const result = await pool.query(
+      `UPDATE produtos SET
+         nome = COALESCE($1, nome),
+         nome_normalizado = COALESCE($2, nome_normalizado),
+         codigo_externo = COALESCE($3, codigo_externo),
+         preco = COALESCE($4, preco),
+         controla_estoque = COALESCE($5, controla_estoque),
+         estoque = COALESCE($6, estoque),
+         estoque_minimo = COALESCE($7, estoque_minimo),
+         ativo = COALESCE($8, ativo),
+         updated_at = NOW()
+       WHERE id = $9 RETURNING *`,
+      [
+        nome || null,
+        nome ? normalizarNomeProduto(nome) : null,
+        codigo_externo === undefined ? null : codigo_externo,
+        preco === undefined ? null : preco,
+        controla_estoque === undefined ? null : controla_estoque,
+        estoque === undefined ? null : estoque,
+        estoque_minimo === undefined ? null : estoque_minimo,
+        ativo === undefined ? null : ativo,
+        id
+      ]
     );
 
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Produto não encontrado'
+      });
+    }
+
     res.json({
       success: true,
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('Erro ao registrar retirada:', error);
+    if (error.code === '23505') {
+      return res.status(400).json({
+        success: false,
+        message: 'Já existe um produto com este código externo'
+      });
+    }
+    console.error('Erro ao atualizar produto:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao registrar retirada'
+      message: 'Erro ao atualizar produto'
     });
-  } finally {
-    client.release();
   }
 });
 
-// Endpoint para atualizar venda
-app.put('/vendas/:id', async (req, res) => {
-  const client = await pool.connect();
-  
+// Endpoint para lançar entrada ou ajuste de estoque
+app.post('/produtos/:id/estoque', autenticarOperador, exigirPapel('gerente'), validar({
+  params: PARAMS_ID,
+  body: { quantidade: numero({ obrigatorio: true, diferenteDeZero: true }) }
+}), async (req, res) => {
   try {
     const { id } = req.params;
-    const { tipo_pagamento } = req.body;
+    const { quantidade } = req.body;
 
-    const result = await client.query(
-      `UPDATE vendas SET tipo_pagamento = $1, updated_at = NOW() 
-       WHERE id = $2 RETURNING *`,
-      [tipo_pagamento, id]
+    const result = await pool.query(
+      `UPDATE produtos SET estoque = estoque + $1, updated_at = NOW() WHERE id = $2 RETURNING *`,
+      [quantidade, id]
     );
 
     if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Venda não encontrada'
+        message: 'Produto não encontrado'
       });
     }
 
@@ -335,283 +4119,264 @@ app.put('/vendas/:id', async (req, res) => {
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('Erro ao atualizar venda:', error);
+    console.error('Erro ao ajustar estoque:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao atualizar venda'
+      message: 'Erro ao ajustar estoque'
     });
-  } finally {
-    client.release();
   }
 });
 
-// Endpoint para fechar caixa
-app.post('/caixa/fechar', async (req, res) => {
-  const client = await pool.connect();
-  
+// Endpoint para excluir produto (os itens de venda mantêm o nome vendido)
+app.delete('/produtos/:id', autenticarOperador, exigirPapel('gerente'), validar({ params: PARAMS_ID }), async (req, res) => {
   try {
-    await client.query('BEGIN');
-    
-    const { caixa_abertura_id, observacoes } = req.body;
+    const { id } = req.params;
 
-    const caixaResult = await client.query(
-      `SELECT * FROM caixa_abertura WHERE id = $1`,
-      [caixa_abertura_id]
-    );
+    const result = await pool.query(`DELETE FROM produtos WHERE id = $1 RETURNING *`, [id]);
 
-    if (caixaResult.rows.length === 0) {
-      await client.query('ROLLBACK');
+    if (result.rows.length === 0) {
       return res.status(404).json({
         success: false,
-        message: 'Caixa não encontrado'
+        message: 'Produto não encontrado'
       });
     }
 
-    const caixa = caixaResult.rows[0];
+    res.json({
+      success: true,
+      message: 'Produto excluído com sucesso',
+      data: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Erro ao excluir produto:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao excluir produto'
+    });
+  }
+});
 
-    const vendasResult = await client.query(
-      `SELECT * FROM vendas WHERE caixa_abertura_id = $1`,
-      [caixa_abertura_id]
-    );
+// Endpoint para listar os itens de uma venda
+app.get('/vendas/:id/itens', autenticarOperador, validar({ params: PARAMS_ID }), async (req, res) => {
+  try {
+    const { id } = req.params;
 
-    const vendasManuaisResult = await client.query(
-      `SELECT * FROM vendas_manuais WHERE caixa_abertura_id = $1`,
-      [caixa_abertura_id]
+    const result = await pool.query(
+      `SELECT i.*, p.nome AS nome_catalogo FROM itens_venda i
+       LEFT JOIN produtos p ON p.id = i.produto_id
+       WHERE i.venda_id = $1 ORDER BY i.created_at`,
+      [id]
     );
 
-    const retiradasResult = await client.query(
-      `SELECT * FROM retiradas WHERE caixa_abertura_id = $1`,
-      [caixa_abertura_id]
-    );
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Erro ao buscar itens da venda:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar itens da venda'
+    });
+  }
+});
 
-    const totalVendasSistema = vendasResult.rows.reduce((total, venda) => total + parseFloat(venda.valor_total), 0);
-    const totalVendasManuais = vendasManuaisResult.rows.reduce((total, venda) => total + parseFloat(venda.valor), 0);
-    const totalVendas = totalVendasSistema + totalVendasManuais;
-    const totalRetiradas = retiradasResult.rows.reduce((total, retirada) => total + parseFloat(retirada.valor), 0);
-    
-    const vendasDinheiroSistema = vendasResult.rows
-      .filter(v => v.tipo_pagamento === 'DINHEIRO')
-      .reduce((total, v) => total + parseFloat(v.valor_total), 0);
-    
-    const vendasDinheiroManuais = vendasManuaisResult.rows
-      .filter(v => v.tipo_pagamento === 'DINHEIRO')
-      .reduce((total, v) => total + parseFloat(v.valor), 0);
-    
-    const totalDinheiro = vendasDinheiroSistema + vendasDinheiroManuais;
-    const saldoFinal = parseFloat(caixa.valor_inicial) + totalDinheiro - totalRetiradas;
+// Endpoint para listar entregadores
+app.get('/entregadores', autenticarOperador, validar({ query: { ativos: booleano() } }), async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT * FROM entregadores ${req.query.ativos ? 'WHERE ativo = TRUE' : ''} ORDER BY nome`
+    );
 
-    const fechamentoId = gerarUUID();
+    res.json({
+      success: true,
+      data: result.rows
+    });
+  } catch (error) {
+    console.error('Erro ao buscar entregadores:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar entregadores'
+    });
+  }
+});
 
-    const fechamentoResult = await client.query(
-      `INSERT INTO caixa_fechamento 
-       (id, valor_abertura, total_vendas, retiradas, saldo_final, observacoes, caixa_abertura_id) 
-       VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
-      [fechamentoId, caixa.valor_inicial, totalVendas, totalRetiradas, saldoFinal, observacoes || '', caixa_abertura_id]
-    );
+// Endpoint para cadastrar entregador
+app.post('/entregadores', autenticarOperador, exigirPapel('gerente'), validar({
+  body: {
+    nome: texto({ obrigatorio: true, maximo: 100 }),
+    telefone: texto({ maximo: 30 })
+  }
+}), async (req, res) => {
+  try {
+    const { nome, telefone } = req.body;
 
-    await client.query(
-      `UPDATE caixa_abertura SET status = 'FECHADO', updated_at = NOW() WHERE id = $1`,
-      [caixa_abertura_id]
+    const result = await pool.query(
+      `INSERT INTO entregadores (id, nome, telefone) VALUES ($1, $2, $3) RETURNING *`,
+      [gerarUUID(), nome.trim(), telefone || null]
     );
 
-    await client.query('COMMIT');
-
     res.json({
       success: true,
-      data: fechamentoResult.rows[0],
-      resumo: {
-        vendas_sistema: totalVendasSistema,
-        vendas_manuais: totalVendasManuais,
-        total_vendas: totalVendas,
-        total_retiradas: totalRetiradas,
-        saldo_final: saldoFinal
-      }
+      data: result.rows[0]
     });
-
-  } catch (error) {
-    await client.query('ROLLBACK');
-    console.error('Erro ao fechar caixa:', error);
+  } catch (error) {
+    console.error('Erro ao cadastrar entregador:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao fechar caixa: ' + error.message
+      message: 'Erro ao cadastrar entregador'
     });
-  } finally {
-    client.release();
   }
 });
 
-// Endpoint para criar venda manual
-app.post('/vendas/manuais', async (req, res) => {
-  const client = await pool.connect();
-  
+// Endpoint para atualizar entregador
+app.put('/entregadores/:id', autenticarOperador, exigirPapel('gerente'), validar({
+  params: PARAMS_ID,
+  body: {
+    nome: texto({ maximo: 100 }),
+    telefone: texto({ maximo: 30 }),
+    ativo: booleano()
+  }
+}), async (req, res) => {
   try {
-    const { tipo_pagamento, valor, descricao, caixa_abertura_id } = req.body;
-
-    if (!tipo_pagamento || !valor || !caixa_abertura_id) {
-      return res.status(400).json({
-        success: false,
-        message: 'tipo_pagamento, valor e caixa_abertura_id são obrigatórios'
-      });
-    }
+    const { id } = req.params;
+    const { nome, telefone, ativo } = req.body;
 
-    const caixaResult = await client.query(
-      `SELECT * FROM caixa_abertura WHERE id = $1 AND status = 'ABERTO'`,
-      [caixa_abertura_id]
+    const result = await pool.query(
+      `UPDATE entregadores SET
+         nome = COALESCE($1, nome),
+         telefone = COALESCE($2, telefone),
+         ativo = COALESCE($3, ativo),
+         updated_at = NOW()
+       WHERE id = $4 RETURNING *`,
+      [nome ? nome.trim() : null, telefone || null, ativo === undefined ? null : ativo, id]
     );
 
-    if (caixaResult.rows.length === 0) {
-      return res.status(400).json({
+    if (result.rows.length === 0) {
+      return res.status(404).json({
         success: false,
-        message: 'Caixa não encontrado ou já fechado'
+        message: 'Entregador não encontrado'
       });
     }
 
-    const vendaManualId = gerarUUID();
-
-    const result = await client.query(
-      `INSERT INTO vendas_manuais (id, tipo_pagamento, valor, descricao, caixa_abertura_id) 
-       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
-      [vendaManualId, tipo_pagamento, valor, descricao || '', caixa_abertura_id]
-    );
-
     res.json({
       success: true,
       data: result.rows[0]
     });
   } catch (error) {
-    console.error('❌ Erro ao salvar venda manual:', error);
+    console.error('Erro ao atualizar entregador:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao salvar venda manual: ' + error.message
+      message: 'Erro ao atualizar entregador'
     });
-  } finally {
-    client.release();
   }
 });
 
-// Endpoint para listar vendas manuais de um caixa
-app.get('/vendas/manuais/caixa/:caixaId', async (req, res) => {
+// Endpoint para buscar clientes por nome ou telefone, com o resumo das compras
+app.get('/clientes', autenticarOperador, validar({
+  query: {
+    busca: texto({ maximo: 100 }),
+    limite: inteiro({ minimo: 1, maximo: 200 })
+  }
+}), async (req, res) => {
   try {
-    const { caixaId } = req.params;
-    
-    const result = await pool.query(
-      `SELECT * FROM vendas_manuais 
-       WHERE caixa_abertura_id = $1 
-       ORDER BY data_venda DESC`,
-      [caixaId]
-    );
+    const { busca, limite } = req.query;
+
+    const clientes = await buscarClientes(pool, { busca, limite: limite || 50 });
 
     res.json({
       success: true,
-      data: result.rows
+      data: clientes
     });
   } catch (error) {
-    console.error('Erro ao buscar vendas manuais:', error);
+    console.error('Erro ao buscar clientes:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao buscar vendas manuais'
+      message: 'Erro ao buscar clientes'
     });
   }
 });
 
-// Endpoint para excluir venda manual
-app.delete('/vendas/manuais/:id', async (req, res) => {
-  const client = await pool.connect();
-  
+// Endpoint para buscar um cliente com o resumo das compras e os endereços usados
+app.get('/clientes/:id', autenticarOperador, validar({ params: PARAMS_ID }), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await client.query(
-      `DELETE FROM vendas_manuais WHERE id = $1 RETURNING *`,
-      [id]
-    );
+    const [cliente] = await buscarClientes(pool, { clienteId: id, limite: 1 });
 
-    if (result.rows.length === 0) {
+    if (!cliente) {
       return res.status(404).json({
         success: false,
-        message: 'Venda manual não encontrada'
+        message: 'Cliente não encontrado'
       });
     }
 
+    const enderecosResult = await pool.query(
+      `SELECT endereco, ultimo_uso FROM enderecos_cliente
+       WHERE cliente_id = $1 ORDER BY ultimo_uso DESC`,
+      [id]
+    );
+
     res.json({
       success: true,
-      message: 'Venda manual excluída com sucesso',
-      data: result.rows[0]
+      data: { ...cliente, enderecos: enderecosResult.rows }
     });
   } catch (error) {
-    console.error('Erro ao excluir venda manual:', error);
+    console.error('Erro ao buscar cliente:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao excluir venda manual'
+      message: 'Erro ao buscar cliente'
     });
-  } finally {
-    client.release();
   }
 });
 
-// Endpoint para buscar vendas por data
-app.get('/vendas/data/:data', async (req, res) => {
+// Endpoint para listar o histórico de pedidos de um cliente, do mais recente
+app.get('/clientes/:id/pedidos', autenticarOperador, validar({
+  params: PARAMS_ID,
+  query: { limite: inteiro({ minimo: 1, maximo: 200 }) }
+}), async (req, res) => {
   try {
-    const { data } = req.params;
-    
-    const vendasSistema = await pool.query(
-      `SELECT v.*, ca.data_abertura 
-       FROM vendas v
-       LEFT JOIN caixa_abertura ca ON v.caixa_abertura_id = ca.id
-       WHERE DATE(v.data_venda) = $1 
-       ORDER BY v.data_venda DESC`,
-      [data]
-    );
+    const { id } = req.params;
+    const { limite } = req.query;
 
-    const vendasManuais = await pool.query(
-      `SELECT 
-         vm.*,
-         ca.data_abertura,
-         'manual' as origem
-       FROM vendas_manuais vm
-       LEFT JOIN caixa_abertura ca ON vm.caixa_abertura_id = ca.id
-       WHERE DATE(vm.data_venda) = $1 
-       ORDER BY vm.data_venda DESC`,
-      [data]
+    const result = await pool.query(
+      `SELECT * FROM vendas WHERE cliente_id = $1
+       ORDER BY data_venda DESC LIMIT $2`,
+      [id, limite || 50]
     );
 
-    const todasVendas = [
-      ...vendasSistema.rows.map(v => ({ ...v, manual: false })),
-      ...vendasManuais.rows.map(v => ({ ...v, manual: true }))
-    ].sort((a, b) => new Date(b.data_venda) - new Date(a.data_venda));
-
-    const vendasProcessadas = todasVendas.map(venda => ({
-      ...venda,
-      dados_pedido: venda.dados_pedido && typeof venda.dados_pedido === 'string' 
-        ? JSON.parse(venda.dados_pedido) 
-        : venda.dados_pedido
-    }));
-
     res.json({
       success: true,
-      data: vendasProcessadas
+      data: result.rows
     });
   } catch (error) {
-    console.error('Erro ao buscar vendas por data:', error);
+    console.error('Erro ao buscar pedidos do cliente:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao buscar vendas por data'
+      message: 'Erro ao buscar pedidos do cliente'
     });
   }
 });
 
-// Endpoint para buscar retiradas por data
-app.get('/retiradas/data/:data', async (req, res) => {
+// Endpoint para listar pedidos recebidos com o caixa fechado
+app.get('/pedidos-pendentes', autenticarOperador, validar({
+  query: {
+    status: opcao(SITUACOES_PEDIDO_PENDENTE),
+    loja_id: uuid()
+  }
+}), async (req, res) => {
   try {
-    const { data } = req.params;
-    
+    const status = req.query.status || 'PENDENTE';
+    const valores = [status];
+    let filtroLoja = '';
+
+    if (req.query.loja_id) {
+      valores.push(req.query.loja_id);
+      filtroLoja = ` AND (loja_id = $2 OR loja_id IS NULL)`;
+    }
+
     const result = await pool.query(
-      `SELECT r.*, ca.data_abertura 
-       FROM retiradas r
-       LEFT JOIN caixa_abertura ca ON r.caixa_abertura_id = ca.id
-       WHERE DATE(r.data_retirada) = $1 
-       ORDER BY r.data_retirada DESC`,
-      [data]
+      `SELECT * FROM pedidos_pendentes WHERE status = $1${filtroLoja} ORDER BY data_pedido ASC`,
+      valores
     );
 
     res.json({
@@ -619,112 +4384,409 @@ app.get('/retiradas/data/:data', async (req, res) => {
       data: result.rows
     });
   } catch (error) {
-    console.error('Erro ao buscar retiradas por data:', error);
+    console.error('Erro ao buscar pedidos pendentes:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao buscar retiradas por data'
+      message: 'Erro ao buscar pedidos pendentes'
     });
   }
 });
 
-// Endpoint para buscar aberturas por data
-app.get('/caixa/aberturas/data/:data', async (req, res) => {
+// Endpoint para anexar um pedido pendente ao caixa aberto
+app.post('/pedidos-pendentes/:id/anexar', autenticarOperador, validar({
+  params: PARAMS_ID,
+  body: { caixa_abertura_id: uuid({ obrigatorio: true }) }
+}), async (req, res) => {
+  const client = await pool.connect();
+
   try {
-    const { data } = req.params;
-    
+    const { id } = req.params;
+    const { caixa_abertura_id } = req.body;
+
+    await client.query('BEGIN');
+
+    const pendenteResult = await client.query(
+      `SELECT * FROM pedidos_pendentes WHERE id = $1 ${sql.travarLinhas()}`,
+      [id]
+    );
+
+    if (pendenteResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({
+        success: false,
+        message: 'Pedido pendente não encontrado'
+      });
+    }
+
+    const pendente = pendenteResult.rows[0];
+
+    if (pendente.status !== 'PENDENTE') {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Pedido já foi revisado'
+      });
+    }
+
+    const caixaResult = await client.query(
+      `SELECT * FROM caixa_abertura WHERE id = $1 AND status = 'ABERTO'`,
+      [caixa_abertura_id]
+    );
+
+    if (caixaResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Caixa não encontrado ou já fechado'
+      });
+    }
+
+    if (pendente.loja_id && caixaResult.rows[0].loja_id !== pendente.loja_id) {
+      await client.query('ROLLBACK');
+      return res.status(400).json({
+        success: false,
+        message: 'Pedido pertence a outra loja'
+      });
+    }
+
+    const { venda, estoqueBaixo } = await inserirVendaWebhook(client, pendente, caixa_abertura_id, req.operador.id);
+
+    await client.query(
+      `UPDATE vendas SET operador_id = $1 WHERE id = $2`,
+      [req.operador.id, venda.id]
+    );
+
+    const result = await client.query(
+      `UPDATE pedidos_pendentes 
+       SET status = 'ANEXADO', venda_id = $1, resolvido_em = NOW(), resolvido_por = $2, updated_at = NOW()
+       WHERE id = $3 RETURNING *`,
+      [venda.id, req.operador.id, id]
+    );
+
+    await client.query('COMMIT');
+
+    res.json({
+      success: true,
+      data: result.rows[0],
+      venda_id: venda.id,
+      estoque_baixo: estoqueBaixo
+    });
+  } catch (error) {
+    await client.query('ROLLBACK');
+    console.error('Erro ao anexar pedido pendente:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao anexar pedido pendente'
+    });
+  } finally {
+    client.release();
+  }
+});
+
+// Endpoint para descartar um pedido pendente
+app.post('/pedidos-pendentes/:id/descartar', autenticarOperador, exigirPapel('gerente'), validar({
+  params: PARAMS_ID,
+  body: { motivo: texto({ maximo: 500 }) }
+}), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { motivo } = req.body;
+
     const result = await pool.query(
-      `SELECT * FROM caixa_abertura 
-       WHERE DATE(data_abertura) = $1 
-       ORDER BY data_abertura DESC`,
-      [data]
+      `UPDATE pedidos_pendentes 
+       SET status = 'DESCARTADO', motivo_descarte = $1, resolvido_em = NOW(), resolvido_por = $2, updated_at = NOW()
+       WHERE id = $3 AND status = 'PENDENTE' RETURNING *`,
+      [motivo || '', req.operador.id, id]
     );
 
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pedido pendente não encontrado ou já revisado'
+      });
+    }
+
     res.json({
       success: true,
-      data: result.rows
+      data: result.rows[0]
     });
   } catch (error) {
-    console.error('Erro ao buscar aberturas por data:', error);
+    console.error('Erro ao descartar pedido pendente:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao buscar aberturas por data'
+      message: 'Erro ao descartar pedido pendente'
     });
   }
 });
 
-// Endpoint do Webhook para receber pedidos do cardapio.ai
-app.post('/webhook/vendas', async (req, res) => {
-  console.log('📦 Webhook recebido do cardapio.ai');
+// Validação do payload de cada fonte, com o esquema do adaptador
+const VALIDACAO_FONTES = new Map(ADAPTADORES.map(adaptador => [adaptador, validar({
+  params: { loja: texto({ maximo: 50 }) },
+  body: adaptador.esquema
+})]));
+
+function validarPedidoFonte(req, res, next) {
+  return VALIDACAO_FONTES.get(req.adaptadorFonte)(req, res, next);
+}
+
+// Endpoint do Webhook para receber pedidos das fontes (cardapio.ai, iFood, site);
+// /webhook/vendas/:loja? continua sendo o do cardapio.ai
+app.post('/webhook/:fonte/:loja?', identificarFonteWebhook, autenticarWebhook, validarPedidoFonte, async (req, res) => {
+  const adaptador = req.adaptadorFonte;
+  console.log(`📦 Webhook recebido do ${adaptador.nome}`);
   
+  const client = await pool.connect();
+
   try {
-    const pedido = req.body;
-    
-    if (!pedido.valor_total || !pedido.produtos || !Array.isArray(pedido.produtos)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Dados do pedido inválidos. valor_total e produtos são obrigatórios.'
+    // Payload da origem convertido no modelo comum do pedido
+    const pedido = adaptador.mapearPedido(req.body);
+    const dadosPedido = pedido.dados_pedido;
+
+    // Sem identificador do pedido na origem, o hash do conteúdo faz reentregas
+    // idênticas apontarem para a mesma venda
+    const fonte = adaptador.codigo;
+    const hashPedido = gerarHashPedido(req.body);
+    const idExterno = pedido.id_externo ? String(pedido.id_externo) : `hash:${hashPedido}`;
+
+    await client.query('BEGIN');
+
+    const existenteResult = await client.query(
+      `SELECT v.*, c.status AS status_caixa FROM vendas v
+       LEFT JOIN caixa_abertura c ON c.id = v.caixa_abertura_id
+       WHERE v.fonte = $1 AND v.id_externo = $2 ${sql.travarLinhas('v')}`,
+      [fonte, idExterno]
+    );
+
+    if (existenteResult.rows.length > 0) {
+      const { status_caixa, ...vendaExistente } = existenteResult.rows[0];
+
+      // Reentrega do mesmo pedido: devolve a venda original sem duplicar
+      if (vendaExistente.hash_pedido === hashPedido) {
+        await client.query('COMMIT');
+        console.log('🔁 Pedido já processado:', vendaExistente.id);
+
+        return res.status(200).json({
+          success: true,
+          message: 'Pedido já processado',
+          venda_id: vendaExistente.id,
+          duplicado: true
+        });
+      }
+
+      // Mesmo pedido com conteúdo diferente: atualiza e guarda o histórico
+      const tipoPagamento = pedido.tipo_pagamento || vendaExistente.tipo_pagamento;
+      const versaoNova = {
+        dados_pedido: dadosPedido,
+        tipo_pagamento: tipoPagamento,
+        valor_total: dadosPedido.valor_total,
+        hash_pedido: hashPedido
+      };
+
+      // Venda de caixa já fechado (conferida no fechamento) ou cancelada/estornada
+      // não muda mais: a nova versão fica só no histórico, para revisão, uma vez
+      // por versão mesmo que a origem repita a entrega
+      if (status_caixa !== 'ABERTO' || vendaExistente.situacao !== 'ATIVA') {
+        const historicoResult = await client.query(
+          `SELECT dados_novos FROM vendas_historico WHERE venda_id = $1`,
+          [vendaExistente.id]
+        );
+
+        if (!historicoResult.rows.some(versao => versao.dados_novos && versao.dados_novos.hash_pedido === hashPedido)) {
+          await registrarHistoricoVenda(client, vendaExistente, versaoNova, fonte);
+        }
+
+        await client.query('COMMIT');
+        console.warn('🔒 Alteração de venda encerrada guardada no histórico:', vendaExistente.id);
+
+        return res.status(409).json({
+          success: false,
+          message: status_caixa !== 'ABERTO'
+            ? 'Caixa da venda já está fechado. Alteração registrada no histórico, sem alterar a venda.'
+            : 'Venda cancelada ou estornada. Alteração registrada no histórico, sem alterar a venda.',
+          venda_id: vendaExistente.id
+        });
+      }
+
+      // Fontes que assinam só o corpo (hmac-corpo) não mandam timestamp nem nonce:
+      // uma versão anterior reenviada, pela origem ou por quem capturou a
+      // requisição, não desfaz as alterações que vieram depois
+      if (req.adaptadorFonte.autenticacao.tipo === 'hmac-corpo'
+        && await versaoPedidoRecebida(client, vendaExistente.id, hashPedido)) {
+        await client.query('COMMIT');
+        console.log('🔁 Versão anterior do pedido ignorada:', vendaExistente.id);
+
+        return res.status(200).json({
+          success: true,
+          message: 'Versão anterior do pedido já processada',
+          venda_id: vendaExistente.id,
+          duplicado: true
+        });
+      }
+
+      await registrarHistoricoVenda(client, vendaExistente, versaoNova, fonte);
+
+      const vendaAtualizada = await client.query(
+        `UPDATE vendas 
+         SET dados_pedido = $1, tipo_pagamento = $2, valor_total = $3, hash_pedido = $4, taxa_entrega = $5, updated_at = NOW()
+         WHERE id = $6 RETURNING *`,
+        [dadosPedido, tipoPagamento, dadosPedido.valor_total, hashPedido, dadosPedido.taxa_entrega, vendaExistente.id]
+      );
+
+      // Os itens são refeitos a partir do novo conteúdo, devolvendo o estoque dos anteriores
+      await removerItensVenda(client, vendaExistente.id);
+      const estoqueBaixo = await registrarItensVenda(client, vendaAtualizada.rows[0]);
+      await registrarClienteVenda(client, vendaAtualizada.rows[0]);
+
+      // Pagamento informado pela origem substitui o atual; sem ele, os pagamentos
+      // registrados no caixa só são mantidos se ainda fecham com o novo total
+      if (pedido.tipo_pagamento) {
+        await registrarPagamentoIntegral(client, vendaAtualizada.rows[0]);
+      } else {
+        const pagamentosResult = await client.query(
+          `SELECT COALESCE(SUM(valor), 0) AS total FROM pagamentos_venda WHERE venda_id = $1`,
+          [vendaExistente.id]
+        );
+
+        if (paraCentavos(pagamentosResult.rows[0].total) !== paraCentavos(dadosPedido.valor_total)) {
+          await definirPagamentosVenda(client, vendaExistente.id, []);
+        }
+      }
+
+      await registrarAuditoria(client, {
+        entidade: 'venda',
+        entidadeId: vendaExistente.id,
+        acao: 'ATUALIZAR',
+        anterior: vendaExistente,
+        novo: vendaAtualizada.rows[0]
+      });
+
+      await registrarEvento(client, 'VENDA_ALTERADA', {
+        caixaId: vendaExistente.caixa_abertura_id,
+        entidadeId: vendaExistente.id,
+        dados: { estoque_baixo: estoqueBaixo }
+      });
+
+      await client.query('COMMIT');
+      console.log('✏️ Venda atualizada pelo webhook:', vendaExistente.id);
+
+      return res.status(200).json({
+        success: true,
+        message: 'Pedido atualizado com sucesso',
+        venda_id: vendaExistente.id,
+        atualizado: true,
+        estoque_baixo: estoqueBaixo
       });
     }
 
-    const caixaResult = await pool.query(
-      `SELECT * FROM caixa_abertura WHERE status = 'ABERTO' ORDER BY data_abertura DESC LIMIT 1`
+    // Pedido que já passou pela fila e foi revisado: descartado pelo gerente ou
+    // anexado a um caixa. A reentrega não vira uma venda nova.
+    const revisadoResult = await client.query(
+      `SELECT * FROM pedidos_pendentes
+       WHERE fonte = $1 AND id_externo = $2 AND status <> 'PENDENTE' ${sql.travarLinhas()}`,
+      [fonte, idExterno]
     );
 
-    if (caixaResult.rows.length === 0) {
-      return res.status(400).json({
+    if (revisadoResult.rows.length > 0) {
+      const revisado = revisadoResult.rows[0];
+      await client.query('COMMIT');
+      console.log(`🔁 Pedido já revisado na fila (${revisado.status}):`, revisado.id);
+
+      if (revisado.hash_pedido === hashPedido) {
+        return res.status(200).json({
+          success: true,
+          message: 'Pedido já processado',
+          pedido_pendente_id: revisado.id,
+          venda_id: revisado.venda_id,
+          duplicado: true
+        });
+      }
+
+      return res.status(409).json({
         success: false,
-        message: 'Caixa fechado. Não é possível processar vendas.'
+        message: revisado.status === 'DESCARTADO'
+          ? 'Pedido descartado na revisão. Alteração não aplicada.'
+          : 'Pedido já anexado a um caixa. Alteração não aplicada.',
+        pedido_pendente_id: revisado.id
       });
     }
 
-    const caixaAberto = caixaResult.rows[0];
+    // Loja identificada pela URL (/webhook/:fonte/:loja) ou pelo payload
+    const codigoLoja = req.params.loja || pedido.codigo_loja;
+    const loja = await buscarLojaPorCodigo(client, codigoLoja);
 
-    const dadosPedido = {
-      nome_cliente: pedido.nome_cliente || '',
-      telefone_cliente: pedido.telefone_cliente || '',
-      tipo_pedido: pedido.tipo_pedido || 'outro',
-      endereco_completo: pedido.endereco_completo || '',
-      data_hora_pedido: pedido.data_hora_pedido || new Date().toISOString(),
-      valor_total: pedido.valor_total,
-      produtos: pedido.produtos.map(produto => ({
-        nome_produto: produto.nome_produto,
-        quantidade: produto.quantidade,
-        valor: produto.valor,
-        adicionais: produto.adicionais || [],
-        complementos: produto.complementos || []
-      }))
+    const pedidoNormalizado = {
+      loja_id: loja ? loja.id : null,
+      fonte,
+      id_externo: idExterno,
+      hash_pedido: hashPedido,
+      dados_pedido: dadosPedido,
+      tipo_pagamento: pedido.tipo_pagamento || 'PENDENTE',
+      valor_total: dadosPedido.valor_total,
+      data_pedido: new Date(dadosPedido.data_hora_pedido)
     };
 
-    const vendaId = gerarUUID();
+    // Loja desconhecida: o pedido não se perde, fica na fila sem loja (visível
+    // em todas) para o operador anexar ao caixa certo
+    if (!loja) {
+      const pendente = await enfileirarPedidoPendente(client, pedidoNormalizado);
+      await client.query('COMMIT');
 
-    const vendaResult = await pool.query(
-      `INSERT INTO vendas 
-       (id, data_venda, dados_pedido, tipo_pagamento, valor_total, caixa_abertura_id) 
-       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
-      [
-        vendaId,
-        new Date(pedido.data_hora_pedido) || new Date(),
-        dadosPedido,
-        pedido.tipo_pagamento || 'PENDENTE',
-        pedido.valor_total,
-        caixaAberto.id
-      ]
-    );
+      console.warn('🚫 Webhook para loja desconhecida, pedido guardado na fila:', codigoLoja, pendente.id);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Loja não encontrada. Pedido guardado para revisão.',
+        pedido_pendente_id: pendente.id
+      });
+    }
+
+    const caixaAberto = await buscarCaixaPedidosLoja(client, loja.id);
+
+    // Caixa fechado: o pedido fica na fila até a próxima abertura
+    if (!caixaAberto) {
+      const pendente = await enfileirarPedidoPendente(client, pedidoNormalizado);
+      await client.query('COMMIT');
+
+      console.log('⏳ Caixa fechado, pedido guardado na fila:', pendente.id);
+
+      return res.status(202).json({
+        success: true,
+        message: 'Caixa fechado. Pedido guardado para revisão na próxima abertura.',
+        pedido_pendente_id: pendente.id
+      });
+    }
 
-    console.log('✅ Venda salva com sucesso:', vendaResult.rows[0].id);
+    const { venda, duplicado, estoqueBaixo } = await inserirVendaWebhook(client, pedidoNormalizado, caixaAberto.id);
+
+    await client.query('COMMIT');
+
+    if (duplicado) {
+      return res.status(200).json({
+        success: true,
+        message: 'Pedido já processado',
+        venda_id: venda.id,
+        duplicado: true
+      });
+    }
+
+    console.log('✅ Venda salva com sucesso:', venda.id);
     
     res.status(200).json({
       success: true,
       message: 'Pedido processado com sucesso',
-      venda_id: vendaResult.rows[0].id
+      venda_id: venda.id,
+      estoque_baixo: estoqueBaixo
     });
 
   } catch (error) {
+    await client.query('ROLLBACK');
     console.error('❌ Erro no webhook:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro interno do servidor: ' + error.message
+      message: 'Erro ao processar pedido'
     });
+  } finally {
+    client.release();
   }
 });
 
@@ -744,36 +4806,73 @@ app.get('/', (req, res) => {
   res.json({
     message: '🚀 Servidor PDV funcionando com NeonDB!',
     endpoints: {
-      webhook: 'POST /webhook/vendas',
+      webhook: 'POST /webhook/:fonte/:loja? (vendas, ifood, site)',
+      lojas: 'GET /lojas',
+      auth: {
+        login: 'POST /auth/login',
+        logout: 'POST /auth/logout'
+      },
       caixa: {
         status: 'GET /caixa/status',
         abrir: 'POST /caixa/abrir',
+        resumo: 'GET /caixa/:id/resumo',
         fechar: 'POST /caixa/fechar'
       },
       vendas: 'GET /vendas',
-      retiradas: 'POST /retiradas'
+      retiradas: 'POST /retiradas',
+      eventos: 'GET /eventos?since=',
+      exportar: 'GET /exportar/:tipo',
+      impressao: 'GET /impressao/caixa/:caixaId',
+      pedidosPendentes: 'GET /pedidos-pendentes',
+      produtos: 'GET /produtos',
+      clientes: {
+        buscar: 'GET /clientes?busca=',
+        detalhes: 'GET /clientes/:id',
+        pedidos: 'GET /clientes/:id/pedidos'
+      },
+      entregadores: {
+        listar: 'GET /entregadores',
+        atribuir: 'PUT /vendas/:id/entregador',
+        acerto: 'GET /caixa/:id/entregadores'
+      }
     },
     timestamp: new Date().toISOString()
   });
 });
 
-// Inicializar banco de dados
+// JSON malformado e erros não tratados pelas rotas
+app.use(tratarErroRequisicao);
+
+// Inicializar banco de dados. O schema é aplicado fora das requisições,
+// com `npm run migrate` (ver netlify/migrations).
 const initDB = async () => {
   try {
     const conectado = await testarConexao();
     if (conectado) {
-      await criarTabelas();
+      await criarGerenteInicial();
     }
   } catch (error) {
     console.error('Erro na inicialização do banco:', error);
   }
 };
 
-initDB();
+// Aguardada pelo servidor local e pelos testes antes de atender requisições
+const bancoPronto = initDB();
 
-// Exportar como função serverless para Netlify
-const handler = serverless(app);
+// Exportar como função serverless para Netlify. Planilhas, PDFs e
+// comprovantes ESC/POS saem em base64 para não corromper o binário.
+const handler = serverless(app, {
+  binary: [
+    'application/pdf',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/octet-stream'
+  ]
+});
 
 module.exports.handler = async (event, context) => {
   return await handler(event, context);
-};
\ No newline at end of file
+};
+
+// O mesmo app, montado em /api pelo servidor local (server.js)
+module.exports.app = app;
+module.exports.bancoPronto = bancoPronto;
\ No newline at end of file
@@ -0,0 +1,15 @@
+// Camada de armazenamento: o mesmo SQL das rotas roda no PostgreSQL (Netlify,
+// padrão) ou em um arquivo SQLite local (servidor no balcão), conforme a
+// variável ARMAZENAMENTO. Cada backend exporta:
+//   pool               query, connect (client com query/release) e end, como o Pool do pg
+//   sql                trechos de SQL que mudam de um banco para o outro
+//   migracoesIniciais  esquema próprio que substitui as primeiras migrações (só o SQLite)
+//   listarTabelas, travarMigracoes, liberarMigracoes
+const ARMAZENAMENTO = (process.env.ARMAZENAMENTO || 'postgres').toLowerCase();
+
+if (!['postgres', 'sqlite'].includes(ARMAZENAMENTO)) {
+  throw new Error(`ARMAZENAMENTO inválido: ${ARMAZENAMENTO} (use postgres ou sqlite)`);
+}
+
+// Requires estáticos, para o esbuild do Netlify empacotar os dois
+module.exports = ARMAZENAMENTO === 'sqlite' ? require('./sqlite') : require('./postgres');
@@ -0,0 +1,73 @@
+const { Pool } = require('pg');
+
+// Armazenamento no PostgreSQL (NeonDB), usado no Netlify
+const pool = new Pool({
+  connectionString: process.env.DATABASE_URL,
+  ssl: {
+    rejectUnauthorized: false
+  },
+  max: 20,
+  idleTimeoutMillis: 30000,
+  connectionTimeoutMillis: 2000,
+});
+
+// Chave do advisory lock que impede duas execuções simultâneas das migrações
+const CHAVE_LOCK_MIGRACOES = 7274001;
+
+// Trechos de SQL que mudam de um banco para o outro
+const sql = {
+  // Instante atual deslocado de "quantidade" (expressão inteira) unidades
+  agoraMais: (quantidade, unidade) => `NOW() + ((${quantidade})::int * INTERVAL '1 ${unidade}')`,
+  agoraMenos: (quantidade, unidade) => `NOW() - ((${quantidade})::int * INTERVAL '1 ${unidade}')`,
+
+  // Instante (timestamptz) da hora de corte no dia "dia" (AAAA-MM-DD) mais
+  // "dias", no horário local do fuso
+  inicioDiaOperacional: (dia, dias, horaCorte, fuso) =>
+    `(((${dia})::date + ${dias})::timestamp + make_interval(hours => ${horaCorte})) AT TIME ZONE ${fuso}`,
+
+  // Dia (AAAA-MM-DD) do instante no fuso, recuado da hora de corte
+  diaOperacional: (instante, horaCorte, fuso) =>
+    `to_char((${instante} AT TIME ZONE ${fuso}) - make_interval(hours => ${horaCorte}), 'YYYY-MM-DD')`,
+
+  horaLocal: (instante, fuso) => `EXTRACT(HOUR FROM ${instante} AT TIME ZONE ${fuso})::int`,
+
+  segundosEntre: (fim, inicio) => `EXTRACT(EPOCH FROM (${fim} - ${inicio}))`,
+
+  // Trava das linhas lidas até o fim da transação; com "tabela" (alias), só as
+  // dela, para consultas com LEFT JOIN
+  travarLinhas: tabela => (tabela ? `FOR UPDATE OF ${tabela}` : 'FOR UPDATE'),
+
+  // LIKE sem diferenciar maiúsculas, inclusive nas letras acentuadas
+  ilike: (texto, padrao) => `${texto} ILIKE ${padrao}`,
+
+  somenteDigitos: texto => `regexp_replace(${texto}, '\\D', '', 'g')`,
+
+  // Maior dos dois valores, ignorando nulos
+  maior: (a, b) => `GREATEST(${a}, ${b})`
+};
+
+async function listarTabelas(client) {
+  const result = await client.query(
+    `SELECT table_name FROM information_schema.tables WHERE table_schema = 'public'`
+  );
+  return result.rows.map(t => t.table_name);
+}
+
+async function travarMigracoes(client) {
+  await client.query('SELECT pg_advisory_lock($1)', [CHAVE_LOCK_MIGRACOES]);
+}
+
+async function liberarMigracoes(client) {
+  await client.query('SELECT pg_advisory_unlock($1)', [CHAVE_LOCK_MIGRACOES]);
+}
+
+module.exports = {
+  nome: 'postgres',
+  descricao: 'PostgreSQL',
+  pool,
+  sql,
+  migracoesIniciais: null,
+  listarTabelas,
+  travarMigracoes,
+  liberarMigracoes
+};
@@ -0,0 +1,426 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const Database = require('better-sqlite3');
+
+// Armazenamento em um arquivo SQLite local, para o servidor no PC do balcão
+// (server.js) funcionar sem internet. Expõe a mesma interface do Pool do pg
+// (query, connect, end) e roda o mesmo SQL das rotas e das migrações, escrito
+// no que os dois bancos aceitam:
+//   - os parâmetros $1, $2... são ligados por nome
+//   - NOW() e gen_random_uuid() são funções registradas aqui
+//   - o que muda de um banco para o outro (travas, intervalos, fusos, busca sem
+//     diferenciar maiúsculas) vem de `sql`
+//
+// Os valores lidos são convertidos pelo tipo declarado da coluna, como o pg
+// faz: TIMESTAMP WITH TIME ZONE vira Date, BOOLEAN vira true/false, JSONB é
+// lido como objeto e DECIMAL(p,s) vira texto com s casas.
+const ARQUIVO = path.resolve(process.env.SQLITE_ARQUIVO || path.join('dados', 'pdv.sqlite'));
+
+const MILISSEGUNDOS_UNIDADE = {
+  second: 1000,
+  minute: 60 * 1000,
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000
+};
+
+// Erros de restrição com os códigos do PostgreSQL tratados pelas rotas
+const CODIGOS_ERRO = {
+  SQLITE_CONSTRAINT_UNIQUE: '23505',
+  SQLITE_CONSTRAINT_PRIMARYKEY: '23505',
+  SQLITE_CONSTRAINT_FOREIGNKEY: '23503',
+  SQLITE_CONSTRAINT_NOTNULL: '23502',
+  SQLITE_CONSTRAINT_CHECK: '23514'
+};
+
+const LIMITE_CACHE_COMANDOS = 500;
+
+// Instante em texto com fuso ou Z, como o PostgreSQL aceita em timestamptz
+const INSTANTE_COM_FUSO = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}(:?\d{2})?)$/;
+
+fs.mkdirSync(path.dirname(ARQUIVO), { recursive: true });
+
+const db = new Database(ARQUIVO);
+db.pragma('journal_mode = WAL');
+db.pragma('foreign_keys = ON');
+db.pragma('busy_timeout = 5000');
+
+// Hora local de parede de um instante no fuso, como milissegundos UTC
+const formatadoresFuso = new Map();
+
+function paredeLocal(instante, fuso) {
+  let formatador = formatadoresFuso.get(fuso);
+
+  if (!formatador) {
+    formatador = new Intl.DateTimeFormat('en-US', {
+      timeZone: fuso,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    });
+    formatadoresFuso.set(fuso, formatador);
+  }
+
+  const segundos = Math.floor(instante / 1000) * 1000;
+  const partes = Object.fromEntries(formatador.formatToParts(new Date(segundos)).map(parte => [parte.type, parte.value]));
+
+  return Date.UTC(partes.year, partes.month - 1, partes.day, partes.hour, partes.minute, partes.second) + (instante - segundos);
+}
+
+function instanteDaParede(parede, fuso) {
+  const aproximado = parede - (paredeLocal(parede, fuso) - parede);
+  return parede - (paredeLocal(aproximado, fuso) - aproximado);
+}
+
+// Instantes são gravados em ISO 8601 UTC, com milissegundos, o mesmo formato de
+// Date.toISOString(), para que a comparação como texto siga a cronologia. Por
+// usar NOW() nos DEFAULT das tabelas, o arquivo só recebe inserções por aqui.
+db.function('now', { deterministic: false }, () => new Date().toISOString());
+
+db.function('gen_random_uuid', { deterministic: false }, () => crypto.randomUUID());
+
+db.function('somar_tempo', (instante, quantidade, unidade) => {
+  if (instante === null || quantidade === null) return null;
+  return new Date(Date.parse(instante) + Number(quantidade) * MILISSEGUNDOS_UNIDADE[unidade]).toISOString();
+});
+
+db.function('segundos_entre', (fim, inicio) => {
+  if (fim === null || inicio === null) return null;
+  return (Date.parse(fim) - Date.parse(inicio)) / 1000;
+});
+
+db.function('inicio_dia_operacional', (dia, dias, horaCorte, fuso) => {
+  if (dia === null) return null;
+  const [ano, mes, diaMes] = String(dia).slice(0, 10).split('-').map(Number);
+  return new Date(instanteDaParede(Date.UTC(ano, mes - 1, diaMes + Number(dias), Number(horaCorte)), fuso)).toISOString();
+});
+
+db.function('dia_operacional', (instante, horaCorte, fuso) => {
+  if (instante === null) return null;
+  return new Date(paredeLocal(Date.parse(instante), fuso) - Number(horaCorte) * MILISSEGUNDOS_UNIDADE.hour).toISOString().slice(0, 10);
+});
+
+db.function('hora_local', (instante, fuso) => {
+  if (instante === null) return null;
+  return new Date(paredeLocal(Date.parse(instante), fuso)).getUTCHours();
+});
+
+// O lower() do SQLite só conhece as letras sem acento
+db.function('minusculas', texto => (texto === null ? null : String(texto).toLowerCase()));
+
+db.function('somente_digitos', texto => (texto === null ? null : String(texto).replace(/\D/g, '')));
+
+function converterParametro(valor) {
+  if (valor === undefined || valor === null) return null;
+  if (valor instanceof Date) return valor.toISOString();
+  if (typeof valor === 'boolean') return valor ? 1 : 0;
+  if (typeof valor === 'string' && INSTANTE_COM_FUSO.test(valor) && !Number.isNaN(Date.parse(valor))) {
+    return new Date(valor).toISOString();
+  }
+  if (typeof valor === 'object' && !Buffer.isBuffer(valor)) return JSON.stringify(valor);
+  return valor;
+}
+
+// Colunas JSONB do schema, pelo nome: nas uniões (UNION) o SQLite não informa o
+// tipo declarado, e o JSON viria como texto
+let colunasJson = null;
+
+function nomesColunasJson() {
+  if (!colunasJson) {
+    colunasJson = new Set(db.prepare(
+      `SELECT DISTINCT c.name FROM sqlite_master t, pragma_table_info(t.name) c
+       WHERE t.type = 'table' AND upper(c.type) IN ('JSON', 'JSONB')`
+    ).pluck().all());
+  }
+  return colunasJson;
+}
+
+function conversorColuna(nome, tipo) {
+  const declarado = String(tipo || (nomesColunasJson().has(nome) ? 'JSONB' : '')).toUpperCase();
+  const decimal = declarado.match(/^(DECIMAL|NUMERIC)\s*\(\s*\d+\s*,\s*(\d+)\s*\)$/);
+
+  if (declarado === 'BOOLEAN') return valor => (valor === null ? null : Boolean(valor));
+  if (declarado.startsWith('TIMESTAMP')) return valor => (valor === null ? null : new Date(valor));
+  if (declarado === 'JSON' || declarado === 'JSONB') return valor => (typeof valor === 'string' ? JSON.parse(valor) : valor);
+  if (decimal) return valor => (valor === null ? null : Number(valor).toFixed(Number(decimal[2])));
+  return null;
+}
+
+function converterErro(error) {
+  if (CODIGOS_ERRO[error.code]) {
+    error.codigoSqlite = error.code;
+    error.code = CODIGOS_ERRO[error.code];
+  }
+  return error;
+}
+
+// Comandos preparados, com os conversores das colunas do resultado. Valem para
+// uma versão do schema: depois de um CREATE ou ALTER, são preparados de novo.
+const comandos = new Map();
+let versaoSchema = null;
+
+function conferirVersaoSchema() {
+  const versao = db.pragma('schema_version', { simple: true });
+
+  if (versao !== versaoSchema) {
+    versaoSchema = versao;
+    comandos.clear();
+    colunasJson = null;
+  }
+}
+
+function preparar(texto) {
+  let comando = comandos.get(texto);
+
+  if (!comando) {
+    const stmt = db.prepare(texto);
+    const conversores = stmt.reader
+      ? stmt.columns().map(coluna => [coluna.name, conversorColuna(coluna.name, coluna.type)]).filter(([, conversor]) => conversor)
+      : [];
+
+    if (comandos.size >= LIMITE_CACHE_COMANDOS) comandos.clear();
+    comando = { stmt, conversores };
+    comandos.set(texto, comando);
+  }
+
+  return comando;
+}
+
+function executar(texto, valores = []) {
+  let comando;
+
+  try {
+    comando = preparar(texto);
+  } catch (error) {
+    // Arquivos de migração têm vários comandos e nenhum parâmetro
+    if (valores.length === 0 && /more than one statement/.test(error.message)) {
+      try {
+        db.exec(texto);
+      } catch (erroExec) {
+        throw converterErro(erroExec);
+      }
+      conferirVersaoSchema();
+      return { rows: [], rowCount: 0 };
+    }
+    throw converterErro(error);
+  }
+
+  const parametros = valores.length > 0
+    ? [Object.fromEntries(valores.map((valor, indice) => [indice + 1, converterParametro(valor)]))]
+    : [];
+
+  try {
+    if (!comando.stmt.reader) {
+      const info = comando.stmt.run(...parametros);
+      conferirVersaoSchema();
+      return { rows: [], rowCount: info.changes };
+    }
+
+    const rows = comando.stmt.all(...parametros);
+
+    if (comando.conversores.length > 0) {
+      rows.forEach(linha => {
+        comando.conversores.forEach(([coluna, conversor]) => {
+          if (coluna in linha) linha[coluna] = conversor(linha[coluna]);
+        });
+      });
+    }
+
+    return { rows, rowCount: rows.length };
+  } catch (error) {
+    throw converterErro(error);
+  }
+}
+
+// BEGIN, COMMIT e ROLLBACK de um client. A transação começa com BEGIN
+// IMMEDIATE, que já reserva a escrita no arquivo até o fim: por isso
+// sql.travarLinhas não trava nada aqui. Se a conexão já está numa transação
+// (client aninhado, ver connect), o client abre um SAVEPOINT dentro dela.
+let pontosSalvamento = 0;
+
+function controlarTransacao(cliente, comando) {
+  if (comando === 'BEGIN') {
+    if (cliente.transacao) throw new Error('Já existe uma transação aberta neste client');
+
+    if (db.inTransaction) {
+      cliente.transacao = `client_${++pontosSalvamento}`;
+      db.exec(`SAVEPOINT ${cliente.transacao}`);
+    } else {
+      cliente.transacao = 'BEGIN';
+      db.exec('BEGIN IMMEDIATE');
+    }
+    return;
+  }
+
+  // COMMIT e ROLLBACK sem transação aberta só geram aviso no PostgreSQL
+  const transacao = cliente.transacao;
+  if (!transacao) return;
+
+  // Em alguns erros o próprio SQLite já desfez a transação
+  if (db.inTransaction) {
+    if (transacao === 'BEGIN') {
+      db.exec(comando);
+    } else if (comando === 'COMMIT') {
+      db.exec(`RELEASE ${transacao}`);
+    } else {
+      db.exec(`ROLLBACK TO ${transacao}; RELEASE ${transacao}`);
+    }
+  }
+
+  cliente.transacao = null;
+}
+
+const COMANDOS_TRANSACAO = ['BEGIN', 'COMMIT', 'ROLLBACK'];
+
+function criarCliente(aoLiberar) {
+  let liberado = false;
+
+  const cliente = {
+    transacao: null,
+
+    query: async (texto, valores) => {
+      const comando = String(texto).trim().toUpperCase();
+
+      if (COMANDOS_TRANSACAO.includes(comando)) {
+        controlarTransacao(cliente, comando);
+        return { rows: [], rowCount: 0 };
+      }
+
+      return executar(texto, valores);
+    },
+
+    release() {
+      if (liberado) return;
+      liberado = true;
+
+      try {
+        controlarTransacao(cliente, 'ROLLBACK');
+      } finally {
+        aoLiberar();
+      }
+    }
+  };
+
+  return cliente;
+}
+
+// Há uma só conexão: quem pega um client (pool.connect) fica com ela até o
+// release, e as demais consultas esperam a vez. As consultas feitas com
+// pool.query por quem está com o client rodam nele, sem esperar a si mesmas, e
+// um connect feito por quem já está com a conexão devolve um client aninhado,
+// que usa a mesma conexão em vez de esperar pela própria liberação. O que o
+// client aninhado grava dentro da transação de fora só fica no banco com o
+// COMMIT dela.
+const contexto = new AsyncLocalStorage();
+const fila = [];
+let titular = null;
+
+function aguardarVez(cliente) {
+  if (!titular) {
+    titular = cliente;
+    return Promise.resolve();
+  }
+
+  return new Promise(resolve => fila.push(() => {
+    titular = cliente;
+    resolve();
+  }));
+}
+
+function passarVez() {
+  titular = null;
+  const proximo = fila.shift();
+  if (proximo) proximo();
+}
+
+function temAConexao() {
+  return titular !== null && contexto.getStore() === titular;
+}
+
+const pool = {
+  async query(texto, valores) {
+    if (temAConexao()) {
+      return executar(texto, valores);
+    }
+
+    const avulso = {};
+    await aguardarVez(avulso);
+
+    try {
+      return executar(texto, valores);
+    } finally {
+      passarVez();
+    }
+  },
+
+  // Não é async: o contexto precisa ser marcado na chamada, antes do await de quem pede
+  connect() {
+    if (temAConexao()) {
+      return Promise.resolve(criarCliente(() => {}));
+    }
+
+    const cliente = criarCliente(() => {
+      if (db.inTransaction) db.exec('ROLLBACK');
+      passarVez();
+    });
+    contexto.enterWith(cliente);
+    return aguardarVez(cliente).then(() => cliente);
+  },
+
+  async end() {
+    db.close();
+  }
+};
+
+const sql = {
+  agoraMais: (quantidade, unidade) => `somar_tempo(NOW(), (${quantidade}), '${unidade}')`,
+  agoraMenos: (quantidade, unidade) => `somar_tempo(NOW(), -(${quantidade}), '${unidade}')`,
+  inicioDiaOperacional: (dia, dias, horaCorte, fuso) => `inicio_dia_operacional(${dia}, ${dias}, ${horaCorte}, ${fuso})`,
+  diaOperacional: (instante, horaCorte, fuso) => `dia_operacional(${instante}, ${horaCorte}, ${fuso})`,
+  horaLocal: (instante, fuso) => `hora_local(${instante}, ${fuso})`,
+  segundosEntre: (fim, inicio) => `segundos_entre(${fim}, ${inicio})`,
+
+  // A transação (BEGIN IMMEDIATE) já impede outras escritas até o COMMIT
+  travarLinhas: () => '',
+
+  ilike: (texto, padrao) => `minusculas(${texto}) LIKE minusculas(${padrao})`,
+  somenteDigitos: texto => `somente_digitos(${texto})`,
+
+  // O MAX de vários argumentos do SQLite é nulo se algum for; o GREATEST ignora os nulos
+  maior: (a, b) => `MAX(COALESCE(${a}, ${b}), COALESCE(${b}, ${a}))`
+};
+
+async function listarTabelas(client) {
+  const result = await client.query(
+    `SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'`
+  );
+  return result.rows.map(t => t.name);
+}
+
+// O SQLite começou com um esquema próprio, equivalente às migrações 001 a 015
+// do PostgreSQL; as seguintes, de netlify/migrations, valem para os dois
+const migracoesIniciais = {
+  pasta: path.join(__dirname, '..', '..', 'migrations', 'sqlite'),
+  substituiAte: '015'
+};
+
+// O BEGIN IMMEDIATE de cada migração já trava o arquivo para outros processos
+async function travarMigracoes() {}
+
+async function liberarMigracoes() {}
+
+module.exports = {
+  nome: 'sqlite',
+  descricao: `SQLite (${ARQUIVO})`,
+  pool,
+  sql,
+  migracoesIniciais,
+  listarTabelas,
+  travarMigracoes,
+  liberarMigracoes
+};
@@ -0,0 +1,68 @@
+// Dia operacional das lojas. Cada loja tem o fuso horário e a hora de corte:
+// a hora local em que começa o dia do caixa. Com corte às 4h, uma venda à 1h
+// de sábado ainda conta na sexta, junto com o resto do turno.
+const { sql } = require('./db');
+
+// Fuso e corte das lojas sem configuração própria e dos registros sem loja
+const FUSO_HORARIO_PADRAO = fusoHorarioValido(process.env.FUSO_HORARIO) ? process.env.FUSO_HORARIO : 'America/Sao_Paulo';
+const HORA_CORTE_PADRAO = horaCorteValida(parseInt(process.env.HORA_CORTE_DIA, 10)) ? parseInt(process.env.HORA_CORTE_DIA, 10) : 0;
+
+// Nome IANA reconhecido pelo Node (o PostgreSQL usa a mesma base de fusos)
+function fusoHorarioValido(fuso) {
+  if (typeof fuso !== 'string' || !/^[A-Za-z0-9_+\-/]+$/.test(fuso)) return false;
+
+  try {
+    new Intl.DateTimeFormat('pt-BR', { timeZone: fuso });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+function horaCorteValida(hora) {
+  return Number.isInteger(hora) && hora >= 0 && hora <= 23;
+}
+
+// Expressões SQL com o fuso e a hora de corte da loja "aliasLoja" (tabela
+// lojas); sem alias, ou sem loja na linha, valem os padrões
+function fusoLoja(aliasLoja) {
+  return aliasLoja ? `COALESCE(${aliasLoja}.fuso_horario, '${FUSO_HORARIO_PADRAO}')` : `'${FUSO_HORARIO_PADRAO}'`;
+}
+
+function horaCorteLoja(aliasLoja) {
+  return aliasLoja ? `COALESCE(${aliasLoja}.hora_corte, ${HORA_CORTE_PADRAO})` : String(HORA_CORTE_PADRAO);
+}
+
+// Instante em que começa o dia operacional "dia" (expressão AAAA-MM-DD),
+// avançado de "dias" dias
+function inicioDiaOperacional(dia, aliasLoja, dias = 0) {
+  return sql.inicioDiaOperacional(dia, dias, horaCorteLoja(aliasLoja), fusoLoja(aliasLoja));
+}
+
+// Condição SQL: "coluna" (timestamptz) dentro dos dias operacionais de
+// "inicio" a "fim", parâmetros no formato AAAA-MM-DD
+function condicaoPeriodoOperacional(coluna, aliasLoja, inicio, fim = inicio) {
+  return `${coluna} >= ${inicioDiaOperacional(inicio, aliasLoja)}` +
+    ` AND ${coluna} < ${inicioDiaOperacional(fim, aliasLoja, 1)}`;
+}
+
+// Dia operacional (texto AAAA-MM-DD) de um instante
+function diaOperacional(coluna, aliasLoja) {
+  return sql.diaOperacional(coluna, horaCorteLoja(aliasLoja), fusoLoja(aliasLoja));
+}
+
+// Hora local (0 a 23) de um instante, sem o deslocamento do corte
+function horaLocal(coluna, aliasLoja) {
+  return sql.horaLocal(coluna, fusoLoja(aliasLoja));
+}
+
+module.exports = {
+  FUSO_HORARIO_PADRAO,
+  HORA_CORTE_PADRAO,
+  fusoHorarioValido,
+  horaCorteValida,
+  inicioDiaOperacional,
+  condicaoPeriodoOperacional,
+  diaOperacional,
+  horaLocal
+};
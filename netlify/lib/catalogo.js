@@ -0,0 +1,131 @@
+const { gerarUUID } = require('./db');
+
+// Normalizar nome de produto para comparação (sem acentos, caixa ou espaços extras)
+function normalizarNomeProduto(nome) {
+  return String(nome || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Localizar o produto do catálogo correspondente a um item do pedido:
+// primeiro pelo código externo, depois pelos nomes já mapeados e pelo nome
+async function buscarProdutoCatalogo(client, nomeNormalizado, codigoExterno) {
+  if (codigoExterno) {
+    const porCodigo = await client.query(
+      `SELECT * FROM produtos WHERE codigo_externo = $1`,
+      [codigoExterno]
+    );
+    if (porCodigo.rows.length > 0) return porCodigo.rows[0];
+  }
+
+  const porAlias = await client.query(
+    `SELECT p.* FROM produtos_aliases a JOIN produtos p ON p.id = a.produto_id 
+     WHERE a.nome_normalizado = $1`,
+    [nomeNormalizado]
+  );
+  if (porAlias.rows.length > 0) return porAlias.rows[0];
+
+  const porNome = await client.query(
+    `SELECT * FROM produtos WHERE nome_normalizado = $1 ORDER BY ativo DESC LIMIT 1`,
+    [nomeNormalizado]
+  );
+  return porNome.rows[0] || null;
+}
+
+// Gravar os itens de uma venda a partir de dados_pedido.produtos. Com baixarEstoque,
+// desconta o estoque dos produtos encontrados e devolve os que ficaram abaixo do mínimo.
+async function registrarItensVenda(client, venda, { baixarEstoque = true } = {}) {
+  const produtos = (venda.dados_pedido && venda.dados_pedido.produtos) || [];
+  const alertasEstoque = [];
+
+  for (const item of produtos) {
+    const nomeProduto = item.nome_produto || 'Produto sem nome';
+    const nomeNormalizado = normalizarNomeProduto(nomeProduto);
+    const codigoExterno = item.codigo_produto ? String(item.codigo_produto) : null;
+    const quantidade = parseFloat(item.quantidade) || 1;
+    const produto = await buscarProdutoCatalogo(client, nomeNormalizado, codigoExterno);
+    const baixaEstoque = Boolean(baixarEstoque && produto && produto.controla_estoque);
+
+    if (!produto) {
+      await client.query(
+        `INSERT INTO produtos_nao_mapeados (id, nome_normalizado, nome_produto, codigo_externo) 
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (nome_normalizado) DO UPDATE SET
+           ocorrencias = produtos_nao_mapeados.ocorrencias + 1,
+           codigo_externo = COALESCE(EXCLUDED.codigo_externo, produtos_nao_mapeados.codigo_externo),
+           ultima_ocorrencia = NOW()`,
+        [gerarUUID(), nomeNormalizado, nomeProduto, codigoExterno]
+      );
+    }
+
+    await client.query(
+      `INSERT INTO itens_venda 
+       (id, venda_id, produto_id, nome_produto, nome_normalizado, codigo_externo, quantidade, valor_unitario, adicionais, complementos, baixou_estoque) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+      [
+        gerarUUID(),
+        venda.id,
+        produto ? produto.id : null,
+        nomeProduto,
+        nomeNormalizado,
+        codigoExterno,
+        quantidade,
+        parseFloat(item.valor) || 0,
+        JSON.stringify(item.adicionais || []),
+        JSON.stringify(item.complementos || []),
+        baixaEstoque
+      ]
+    );
+
+    if (baixaEstoque) {
+      const estoqueResult = await client.query(
+        `UPDATE produtos SET estoque = estoque - $1, updated_at = NOW() 
+         WHERE id = $2 RETURNING id, nome, estoque, estoque_minimo`,
+        [quantidade, produto.id]
+      );
+      const atualizado = estoqueResult.rows[0];
+
+      if (parseFloat(atualizado.estoque) <= parseFloat(atualizado.estoque_minimo)) {
+        console.warn(`⚠️ Estoque baixo: ${atualizado.nome} (${atualizado.estoque})`);
+        alertasEstoque.push(atualizado);
+      }
+    }
+  }
+
+  return alertasEstoque;
+}
+
+// Devolver ao estoque o que a venda baixou, mantendo os itens registrados
+async function devolverEstoqueVenda(client, vendaId) {
+  await client.query(
+    `UPDATE produtos AS p SET estoque = p.estoque + i.total, updated_at = NOW()
+     FROM (
+       SELECT produto_id, SUM(quantidade) AS total FROM itens_venda 
+       WHERE venda_id = $1 AND baixou_estoque GROUP BY produto_id
+     ) AS i
+     WHERE p.id = i.produto_id`,
+    [vendaId]
+  );
+
+  await client.query(
+    `UPDATE itens_venda SET baixou_estoque = false WHERE venda_id = $1 AND baixou_estoque`,
+    [vendaId]
+  );
+}
+
+// Remover os itens de uma venda devolvendo ao estoque o que foi baixado
+async function removerItensVenda(client, vendaId) {
+  await devolverEstoqueVenda(client, vendaId);
+  await client.query(`DELETE FROM itens_venda WHERE venda_id = $1`, [vendaId]);
+}
+
+module.exports = {
+  normalizarNomeProduto,
+  buscarProdutoCatalogo,
+  registrarItensVenda,
+  devolverEstoqueVenda,
+  removerItensVenda
+};
@@ -0,0 +1,133 @@
+const { sql, gerarUUID } = require('./db');
+const { paraCentavos } = require('./dinheiro');
+
+// Pontos de fidelidade ganhos por real de cada venda (arredondados para baixo)
+const PONTOS_POR_REAL = parseFloat(process.env.PONTOS_POR_REAL) >= 0 ? parseFloat(process.env.PONTOS_POR_REAL) : 1;
+
+// Telefone só com os dígitos, sem o código do país (55) e sem o zero do DDD:
+// "+55 (11) 98765-4321" e "011 98765-4321" viram "11987654321". Números curtos
+// demais para identificar o cliente devolvem null.
+function normalizarTelefone(telefone) {
+  let digitos = String(telefone || '').replace(/\D/g, '');
+
+  if (digitos.length >= 12 && digitos.startsWith('55')) {
+    digitos = digitos.slice(2);
+  }
+  digitos = digitos.replace(/^0+/, '');
+
+  return digitos.length >= 8 ? digitos : null;
+}
+
+// Endereço para comparação: sem acentos, caixa, pontuação ou espaços extras
+function normalizarEndereco(endereco) {
+  return String(endereco || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+function calcularPontos(valorTotal) {
+  return Math.max(0, Math.floor(paraCentavos(valorTotal) * PONTOS_POR_REAL / 100));
+}
+
+// Vincular a venda ao cliente do pedido (nome, telefone e endereço de
+// dados_pedido), cadastrando o cliente ou atualizando o nome e os endereços.
+// Pedido sem telefone válido fica sem cliente.
+async function registrarClienteVenda(client, venda) {
+  const dados = venda.dados_pedido || {};
+  const telefone = normalizarTelefone(dados.telefone_cliente);
+
+  if (!telefone) {
+    if (venda.cliente_id) {
+      await client.query(`UPDATE vendas SET cliente_id = NULL, pontos = 0 WHERE id = $1`, [venda.id]);
+    }
+    return null;
+  }
+
+  const clienteResult = await client.query(
+    `INSERT INTO clientes (id, telefone, nome) VALUES ($1, $2, $3)
+     ON CONFLICT (telefone) DO UPDATE SET
+       nome = COALESCE(NULLIF(EXCLUDED.nome, ''), clientes.nome),
+       updated_at = NOW()
+     RETURNING *`,
+    [gerarUUID(), telefone, String(dados.nome_cliente || '').trim()]
+  );
+  const cliente = clienteResult.rows[0];
+
+  const endereco = String(dados.endereco_completo || '').trim();
+  const enderecoNormalizado = normalizarEndereco(endereco);
+
+  if (enderecoNormalizado) {
+    await client.query(
+      `INSERT INTO enderecos_cliente (id, cliente_id, endereco, endereco_normalizado, ultimo_uso)
+       VALUES ($1, $2, $3, $4, $5)
+       ON CONFLICT (cliente_id, endereco_normalizado) DO UPDATE SET
+         endereco = EXCLUDED.endereco,
+         ultimo_uso = ${sql.maior('enderecos_cliente.ultimo_uso', 'EXCLUDED.ultimo_uso')}`,
+      [gerarUUID(), cliente.id, endereco, enderecoNormalizado, venda.data_venda || new Date()]
+    );
+  }
+
+  await client.query(
+    `UPDATE vendas SET cliente_id = $1, pontos = $2 WHERE id = $3`,
+    [cliente.id, calcularPontos(venda.valor_total), venda.id]
+  );
+
+  return cliente;
+}
+
+// Clientes com o resumo das compras: pedidos e valor gasto (só vendas
+// ativas), data do último pedido e saldo de pontos. Filtros: clienteId ou
+// busca (parte do nome ou, com 4 dígitos ou mais, do telefone).
+async function buscarClientes(client, { clienteId, busca, limite = 50 } = {}) {
+  const condicoes = [];
+  const valores = [];
+
+  if (clienteId) {
+    valores.push(clienteId);
+    condicoes.push(`c.id = $${valores.length}`);
+  }
+
+  if (busca) {
+    const digitos = String(busca).replace(/\D/g, '');
+
+    valores.push(`%${busca}%`);
+    const porNome = sql.ilike('c.nome', `$${valores.length}`);
+
+    if (digitos.length >= 4) {
+      valores.push(`%${digitos}%`);
+      condicoes.push(`(${porNome} OR c.telefone LIKE $${valores.length})`);
+    } else {
+      condicoes.push(porNome);
+    }
+  }
+
+  valores.push(limite);
+
+  const result = await client.query(
+    `SELECT c.*,
+       CAST(COUNT(v.id) FILTER (WHERE v.situacao = 'ATIVA') AS INTEGER) AS total_pedidos,
+       COALESCE(SUM(v.valor_total) FILTER (WHERE v.situacao = 'ATIVA'), 0) AS valor_total_gasto,
+       CAST(COALESCE(SUM(v.pontos) FILTER (WHERE v.situacao = 'ATIVA'), 0) AS INTEGER) AS pontos,
+       MAX(v.data_venda) AS ultimo_pedido
+     FROM clientes c
+     LEFT JOIN vendas v ON v.cliente_id = c.id
+     WHERE TRUE${condicoes.map(condicao => ` AND ${condicao}`).join('')}
+     GROUP BY c.id
+     ORDER BY MAX(v.data_venda) DESC NULLS LAST, c.nome
+     LIMIT $${valores.length}`,
+    valores
+  );
+
+  return result.rows;
+}
+
+module.exports = {
+  PONTOS_POR_REAL,
+  normalizarTelefone,
+  calcularPontos,
+  registrarClienteVenda,
+  buscarClientes
+};
@@ -0,0 +1,291 @@
+// Modelos dos comprovantes térmicos: fechamento e relatório parcial do caixa,
+// comprovante do pedido para o cliente e comanda da cozinha. Além das opções do
+// documento ESC/POS, opcoes.fusoHorario é o fuso da loja usado nas datas.
+const { criarDocumentoEscPos } = require('./escpos');
+const { formatarMoedaBR, formatarDataBR } = require('./exportacao');
+
+const NOME_ESTABELECIMENTO = process.env.NOME_ESTABELECIMENTO || 'Restaurante Emporio do Sabor';
+
+// Endereço aberto pelo QR code do comprovante do pedido; {id} é trocado pelo id da venda
+const URL_QRCODE_PEDIDO = process.env.URL_QRCODE_PEDIDO || '';
+
+const TIPOS_PAGAMENTO = {
+  DINHEIRO: 'Dinheiro',
+  CARTAO_CREDITO: 'Cartão de Crédito',
+  CARTAO_DEBITO: 'Cartão de Débito',
+  PIX: 'PIX',
+  OUTRO: 'Outro',
+  MULTIPLO: 'Múltiplo',
+  PENDENTE: 'Pendente'
+};
+
+const CATEGORIAS_RETIRADA = {
+  SANGRIA: 'Sangria',
+  FORNECEDOR: 'Fornecedor',
+  DESPESA: 'Despesa',
+  TROCO: 'Troco',
+  ENTREGADOR: 'Entregador'
+};
+
+const moeda = valor => `R$ ${formatarMoedaBR(valor || 0)}`;
+const nomeTipoPagamento = tipo => TIPOS_PAGAMENTO[tipo] || tipo;
+
+// Nome de um adicional ou complemento, que pode vir como texto ou objeto
+const nomeExtra = extra => (typeof extra === 'string' ? extra : extra.nome || extra.nome_adicional || extra.descricao || '');
+
+function cabecalho(documento, titulo, subtitulo, fusoHorario) {
+  documento
+    .avancar()
+    .texto(NOME_ESTABELECIMENTO.toUpperCase(), { alinhamento: 'centro', negrito: true })
+    .avancar()
+    .texto(titulo, { alinhamento: 'centro', negrito: true });
+
+  if (subtitulo) documento.texto(subtitulo, { alinhamento: 'centro' });
+
+  return documento.texto(`Data: ${formatarDataBR(new Date(), fusoHorario)}`, { alinhamento: 'centro' }).divisoria();
+}
+
+// Contagem cega e conferência por forma de pagamento do fechamento. Sem
+// mostrarEsperado (operador que não é gerente), sai só a contagem.
+function conferenciaFechamento(documento, fechamento, mostrarEsperado) {
+  const contagem = fechamento.contagem_cedulas || {};
+  const esperados = fechamento.valores_esperados || {};
+  const informados = fechamento.valores_informados || {};
+
+  documento.avancar().texto('CONTAGEM DA GAVETA', { alinhamento: 'centro', negrito: true }).avancar();
+
+  Object.entries(contagem)
+    .sort(([a], [b]) => parseFloat(b) - parseFloat(a))
+    .forEach(([denominacao, quantidade]) => {
+      documento.par(`${quantidade} x ${moeda(denominacao)}`, moeda(parseFloat(denominacao) * quantidade));
+    });
+
+  documento.par('Total contado:', moeda(informados.DINHEIRO), { negrito: true });
+
+  if (!mostrarEsperado) return documento.divisoria();
+
+  documento
+    .divisoria()
+    .texto('CONFERÊNCIA', { alinhamento: 'centro', negrito: true })
+    .avancar();
+
+  Object.entries(fechamento.divergencias || {}).forEach(([tipoPagamento, diferenca]) => {
+    const esperado = esperados[tipoPagamento] || 0;
+    const informado = informados[tipoPagamento] || 0;
+    if (!esperado && !informado) return;
+
+    documento
+      .texto(nomeTipoPagamento(tipoPagamento))
+      .par(`  Esperado ${formatarMoedaBR(esperado)} / Informado ${formatarMoedaBR(informado)}`,
+        `${diferenca > 0 ? '+' : ''}${formatarMoedaBR(diferenca)}`);
+  });
+
+  documento.avancar().par('Divergência total:', moeda(fechamento.divergencia_total), { negrito: true });
+
+  if (fechamento.justificativa) {
+    documento.texto(`Justificativa: ${fechamento.justificativa}`);
+  }
+
+  return documento.divisoria();
+}
+
+// Entregas, taxas, dinheiro trazido pelos entregadores e o que foi pago a cada um
+function acertoEntregadores(documento, acertos) {
+  documento.texto('ACERTO DOS ENTREGADORES', { alinhamento: 'centro', negrito: true }).avancar();
+
+  acertos.forEach(acerto => {
+    documento
+      .texto(`${acerto.nome} (${acerto.entregas} entrega${acerto.entregas === 1 ? '' : 's'})`, { negrito: true })
+      .par('  Taxas de entrega:', moeda(acerto.taxas))
+      .par('  Dinheiro recebido:', moeda(acerto.dinheiro_recebido))
+      .par('  Pago:', moeda(acerto.pago));
+
+    if (acerto.a_pagar > 0) documento.par('  A pagar:', moeda(acerto.a_pagar));
+  });
+
+  return documento.divisoria();
+}
+
+// Fechamento (com a conferência) ou relatório parcial do caixa.
+// dados: caixa (com loja_nome e terminal_nome), resumo do caixa (o mesmo de
+// GET /caixa/:id/resumo), retiradas ativas e o registro de caixa_fechamento
+// quando houver.
+function comprovanteCaixa({ caixa, resumo, retiradas, fechamento }, opcoes = {}) {
+  const documento = criarDocumentoEscPos(opcoes);
+  const final = Boolean(fechamento);
+  // O resumo dos operadores vem sem o dinheiro esperado (contagem cega)
+  const mostrarEsperado = resumo.dinheiro.esperado !== undefined;
+
+  cabecalho(
+    documento,
+    final ? 'FECHAMENTO DE CAIXA' : 'COMPROVANTE DE CAIXA',
+    final ? 'RELATÓRIO FINAL' : 'RELATÓRIO PARCIAL',
+    opcoes.fusoHorario
+  );
+
+  documento
+    .par('Loja:', caixa.loja_nome || '-')
+    .par('Terminal:', caixa.terminal_nome || '-')
+    .par('Abertura:', formatarDataBR(caixa.data_abertura, opcoes.fusoHorario))
+    .divisoria()
+    .par('Valor de Abertura:', moeda(resumo.valor_inicial))
+    .par('Vendas em Dinheiro:', moeda(resumo.dinheiro.vendas))
+    .par('Total de Vendas:', moeda(resumo.vendas.total))
+    .par('Total de Suprimentos:', moeda(resumo.suprimentos.total))
+    .par('Total de Retiradas:', moeda(resumo.retiradas.total));
+
+  if (resumo.estornos.total > 0) {
+    documento.par('Total de Estornos:', moeda(resumo.estornos.total));
+  }
+
+  documento.divisoria().texto('VENDAS POR FORMA PAGTO', { alinhamento: 'centro', negrito: true }).avancar();
+
+  Object.entries(resumo.por_tipo_pagamento)
+    .filter(([, parcelas]) => parcelas.total > 0)
+    .forEach(([tipo, parcelas]) => documento.par(`${nomeTipoPagamento(tipo)}:`, moeda(parcelas.total)));
+
+  documento.divisoria().texto('VENDAS POR ORIGEM', { alinhamento: 'centro', negrito: true }).avancar();
+
+  Object.entries(resumo.por_fonte).forEach(([fonte, { quantidade, total }]) => {
+    documento.par(`${fonte === 'MANUAL' ? 'Manual' : fonte} (${quantidade}):`, moeda(total));
+  });
+
+  documento.divisoria().texto('DETALHES DAS RETIRADAS', { alinhamento: 'centro', negrito: true }).avancar();
+
+  if (retiradas.length === 0) {
+    documento.texto('Nenhuma retirada', { alinhamento: 'centro' });
+  }
+
+  retiradas.forEach(retirada => {
+    const categoria = CATEGORIAS_RETIRADA[retirada.categoria] || retirada.categoria;
+    documento.par(`${categoria} - ${retirada.observacao || 'Sem observação'}`, moeda(retirada.valor));
+  });
+
+  documento.divisoria();
+
+  if (mostrarEsperado) {
+    documento.par('Somente Dinheiro:', moeda(resumo.dinheiro.esperado), { negrito: true });
+  }
+
+  documento
+    .par('Faturamento Final:', moeda(resumo.faturamento_liquido), { negrito: true })
+    .divisoria();
+
+  if (final) conferenciaFechamento(documento, fechamento, mostrarEsperado);
+
+  if (final && (fechamento.acerto_entregadores || []).length > 0) {
+    acertoEntregadores(documento, fechamento.acerto_entregadores);
+  }
+
+  documento
+    .avancar()
+    .texto(`*** ${final ? 'CAIXA FECHADO' : 'CAIXA ABERTO'} ***`, { alinhamento: 'centro' })
+    .texto(NOME_ESTABELECIMENTO, { alinhamento: 'centro' })
+    .avancar(2)
+    .cortar();
+
+  if (opcoes.abrirGaveta) documento.abrirGaveta();
+
+  return documento;
+}
+
+// Itens com adicionais e complementos; com precos = false, só as quantidades
+function listarItens(documento, itens, precos) {
+  itens.forEach(item => {
+    const quantidade = parseFloat(item.quantidade);
+    const descricao = `${quantidade}x ${item.nome_produto}`;
+
+    if (precos) {
+      documento.par(descricao, moeda(quantidade * parseFloat(item.valor_unitario)));
+    } else {
+      documento.texto(descricao, { negrito: true });
+    }
+
+    [...(item.adicionais || []), ...(item.complementos || [])]
+      .map(nomeExtra)
+      .filter(Boolean)
+      .forEach(extra => documento.texto(`   + ${extra}`));
+  });
+}
+
+// Comprovante do pedido para o cliente: itens, total, pagamentos e troco.
+// dados: venda (com dados_pedido), itens de itens_venda e pagamentos.
+function comprovantePedido({ venda, itens, pagamentos }, opcoes = {}) {
+  const documento = criarDocumentoEscPos(opcoes);
+  const pedido = venda.dados_pedido || {};
+
+  cabecalho(documento, 'COMPROVANTE DO PEDIDO', 'NÃO É DOCUMENTO FISCAL', opcoes.fusoHorario);
+
+  documento.par('Pedido:', venda.id_externo || venda.id.slice(0, 8));
+  if (pedido.nome_cliente) documento.par('Cliente:', pedido.nome_cliente);
+  if (pedido.tipo_pedido) documento.par('Tipo:', pedido.tipo_pedido);
+  if (pedido.endereco_completo) documento.texto(`Endereço: ${pedido.endereco_completo}`);
+
+  documento.divisoria();
+  listarItens(documento, itens, true);
+  documento.divisoria();
+
+  if (parseFloat(venda.taxa_entrega) > 0) documento.par('Taxa de entrega:', moeda(venda.taxa_entrega));
+
+  documento
+    .par('TOTAL:', moeda(venda.valor_total), { negrito: true })
+    .avancar();
+
+  pagamentos.forEach(pagamento => {
+    documento.par(`${nomeTipoPagamento(pagamento.tipo_pagamento)}:`, moeda(pagamento.valor));
+
+    if (parseFloat(pagamento.troco) > 0) {
+      documento
+        .par('  Recebido:', moeda(pagamento.valor_recebido))
+        .par('  Troco:', moeda(pagamento.troco));
+    }
+  });
+
+  if (pagamentos.length === 0) {
+    documento.par('Pagamento:', nomeTipoPagamento(venda.tipo_pagamento));
+  }
+
+  if (URL_QRCODE_PEDIDO) {
+    documento.avancar().qrcode(URL_QRCODE_PEDIDO.replace('{id}', venda.id));
+  }
+
+  documento
+    .avancar()
+    .texto('Obrigado pela preferência!', { alinhamento: 'centro' })
+    .avancar(2)
+    .cortar();
+
+  if (opcoes.abrirGaveta) documento.abrirGaveta();
+
+  return documento;
+}
+
+// Comanda da cozinha: número do pedido em destaque e itens sem valores
+function comandaCozinha({ venda, itens }, opcoes = {}) {
+  const documento = criarDocumentoEscPos(opcoes);
+  const pedido = venda.dados_pedido || {};
+
+  documento
+    .avancar()
+    .texto('COZINHA', { alinhamento: 'centro', negrito: true })
+    .texto(`PEDIDO ${venda.id_externo || venda.id.slice(0, 8)}`, { alinhamento: 'centro', dobro: true })
+    .texto(formatarDataBR(venda.data_venda, opcoes.fusoHorario), { alinhamento: 'centro' });
+
+  if (pedido.tipo_pedido) documento.texto(String(pedido.tipo_pedido).toUpperCase(), { alinhamento: 'centro', negrito: true });
+  if (pedido.nome_cliente) documento.texto(`Cliente: ${pedido.nome_cliente}`, { alinhamento: 'centro' });
+
+  documento.divisoria('=');
+  listarItens(documento, itens, false);
+
+  if (pedido.observacoes) {
+    documento.divisoria().texto(`OBS: ${pedido.observacoes}`, { negrito: true });
+  }
+
+  return documento.divisoria('=').avancar(2).cortar();
+}
+
+module.exports = {
+  comprovanteCaixa,
+  comprovantePedido,
+  comandaCozinha
+};
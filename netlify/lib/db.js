@@ -0,0 +1,18 @@
+// Banco de dados da aplicação: PostgreSQL ou SQLite, conforme ARMAZENAMENTO
+// (ver lib/armazenamento)
+const { pool, sql } = require('./armazenamento');
+
+// Função para gerar UUID manualmente
+function gerarUUID() {
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, function(c) {
+    const r = Math.random() * 16 | 0;
+    const v = c == 'x' ? r : (r & 0x3 | 0x8);
+    return v.toString(16);
+  });
+}
+
+module.exports = {
+  pool,
+  sql,
+  gerarUUID
+};
@@ -0,0 +1,40 @@
+// Valores monetários em centavos inteiros, para que as somas do caixa sejam
+// exatas. Os valores chegam do banco como texto (DECIMAL, "12.34") ou como
+// número no corpo das requisições; a conversão para reais só acontece na saída.
+
+// "12.34", 12.34, "-0.5" -> 1234, 1234, -50. Mais de duas casas decimais
+// arredondam para o centavo mais próximo (meio centavo para longe do zero).
+// Vazio ou nulo vale zero; texto que não é número devolve NaN.
+function paraCentavos(valor) {
+  if (valor === null || valor === undefined || valor === '') return 0;
+
+  const texto = typeof valor === 'number'
+    ? (Number.isFinite(valor) ? valor.toFixed(6) : '')
+    : String(valor).trim();
+  const partes = /^([+-])?(\d*)(?:\.(\d*))?$/.exec(texto);
+
+  if (!partes || (!partes[2] && !partes[3])) return NaN;
+
+  const decimais = (partes[3] || '').padEnd(3, '0');
+  let centavos = parseInt(partes[2] || '0', 10) * 100 + parseInt(decimais.slice(0, 2), 10);
+
+  if (parseInt(decimais[2], 10) >= 5) centavos += 1;
+
+  return partes[1] === '-' && centavos ? -centavos : centavos;
+}
+
+// 1234 -> 12.34 (sem -0)
+function deCentavos(centavos) {
+  return centavos / 100 + 0;
+}
+
+// Somar valores em reais (texto ou número), devolvendo centavos
+function somarCentavos(valores) {
+  return valores.reduce((total, valor) => total + paraCentavos(valor), 0);
+}
+
+module.exports = {
+  paraCentavos,
+  deCentavos,
+  somarCentavos
+};
@@ -0,0 +1,212 @@
+// Geração de comprovantes ESC/POS para impressoras térmicas de 80mm.
+// Cada documento produz os bytes para a impressora e, em paralelo, uma
+// prévia em texto com o mesmo layout.
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Colunas da fonte A em papel de 80mm
+const COLUNAS_80MM = 48;
+
+// Caracteres de 0x80 a 0xFF de cada página de código, na ordem dos bytes
+const PAGINAS_CODIGO = {
+  cp860: {
+    numero: 3,
+    caracteres:
+      'ÇüéâãàÁçêÊèÍÔìÃÂÉÀÈôõòÚùÌÕÜ¢£Ù₧ÓáíóúñÑªº¿Ò¬½¼¡«»' +
+      '░▒▓│┤╡╢╖╕╣║╗╝╜╛┐└┴┬├─┼╞╟╚╔╩╦╠═╬╧╨╤╥╙╘╒╓╫╪┘┌█▄▌▐▀' +
+      'αßΓπΣσµτΦΘΩδ∞φε∩≡±≥≤⌠⌡÷≈°∙·√ⁿ²■ '
+  },
+  cp850: {
+    numero: 2,
+    caracteres:
+      'ÇüéâäàåçêëèïîìÄÅÉæÆôöòûùÿÖÜø£Ø×ƒáíóúñÑªº¿®¬½¼¡«»' +
+      '░▒▓│┤ÁÂÀ©╣║╗╝¢¥┐└┴┬├─┼ãÃ╚╔╩╦╠═╬¤ðÐÊËÈıÍÎÏ┘┌█▄¦Ì▀' +
+      'ÓßÔÒõÕµþÞÚÛÙýÝ¯´­±‗¾¶§÷¸°¨·¹³²■ '
+  }
+};
+
+const PAGINA_CODIGO_PADRAO = process.env.IMPRESSORA_PAGINA_CODIGO || 'cp860';
+
+// Converter texto para os bytes da página de código. Caracteres que não
+// existem nela saem sem acento ou como "?".
+function codificarTexto(texto, paginaCodigo) {
+  const { caracteres } = PAGINAS_CODIGO[paginaCodigo];
+  const bytes = [];
+
+  for (const caractere of String(texto)) {
+    const codigo = caractere.charCodeAt(0);
+
+    if (codigo < 0x80) {
+      bytes.push(codigo);
+      continue;
+    }
+
+    const posicao = caracteres.indexOf(caractere);
+
+    if (posicao >= 0) {
+      bytes.push(0x80 + posicao);
+      continue;
+    }
+
+    const semAcento = caractere.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+    bytes.push(semAcento.length === 1 && semAcento.charCodeAt(0) < 0x80 ? semAcento.charCodeAt(0) : 0x3f);
+  }
+
+  return bytes;
+}
+
+// Quebrar o texto em linhas de no máximo "largura" caracteres, por palavra.
+// Linhas que já cabem ficam como estão, com os espaços do alinhamento.
+function quebrarLinhas(texto, largura) {
+  const linhas = [];
+
+  String(texto).split('\n').forEach(paragrafo => {
+    if (paragrafo.length <= largura) {
+      linhas.push(paragrafo);
+      return;
+    }
+
+    let atual = '';
+
+    paragrafo.split(/\s+/).filter(Boolean).forEach(palavra => {
+      while (palavra.length > largura) {
+        if (atual) {
+          linhas.push(atual);
+          atual = '';
+        }
+        linhas.push(palavra.slice(0, largura));
+        palavra = palavra.slice(largura);
+      }
+
+      if (!atual) {
+        atual = palavra;
+      } else if (atual.length + 1 + palavra.length <= largura) {
+        atual += ' ' + palavra;
+      } else {
+        linhas.push(atual);
+        atual = palavra;
+      }
+    });
+
+    linhas.push(atual);
+  });
+
+  return linhas;
+}
+
+// Alinhar uma linha na largura do papel, para a prévia em texto
+function alinharTexto(linha, largura, alinhamento) {
+  const sobra = Math.max(largura - linha.length, 0);
+
+  if (alinhamento === 'centro') return ' '.repeat(Math.floor(sobra / 2)) + linha;
+  if (alinhamento === 'direita') return ' '.repeat(sobra) + linha;
+  return linha;
+}
+
+const ALINHAMENTOS = { esquerda: 0, centro: 1, direita: 2 };
+
+// Criar um documento ESC/POS. opcoes: colunas (padrão 48) e paginaCodigo
+// (cp860 ou cp850). Os métodos podem ser encadeados.
+function criarDocumentoEscPos(opcoes = {}) {
+  const colunas = opcoes.colunas || COLUNAS_80MM;
+  const paginaCodigo = PAGINAS_CODIGO[opcoes.paginaCodigo] ? opcoes.paginaCodigo : PAGINA_CODIGO_PADRAO;
+  const bytes = [ESC, 0x40, ESC, 0x74, PAGINAS_CODIGO[paginaCodigo].numero];
+  const previa = [];
+
+  const documento = {
+    // Texto com quebra de linha. estilo: alinhamento (esquerda, centro,
+    // direita), negrito e dobro (altura e largura dobradas)
+    texto(conteudo, estilo = {}) {
+      const alinhamento = estilo.alinhamento || 'esquerda';
+      const largura = estilo.dobro ? Math.floor(colunas / 2) : colunas;
+
+      bytes.push(ESC, 0x61, ALINHAMENTOS[alinhamento]);
+      if (estilo.negrito) bytes.push(ESC, 0x45, 1);
+      if (estilo.dobro) bytes.push(GS, 0x21, 0x11);
+
+      quebrarLinhas(conteudo, largura).forEach(linha => {
+        bytes.push(...codificarTexto(linha, paginaCodigo), LF);
+        previa.push(alinharTexto(estilo.dobro ? linha.toUpperCase() : linha, colunas, alinhamento));
+      });
+
+      if (estilo.dobro) bytes.push(GS, 0x21, 0);
+      if (estilo.negrito) bytes.push(ESC, 0x45, 0);
+      bytes.push(ESC, 0x61, 0);
+
+      return documento;
+    },
+
+    // Rótulo à esquerda e valor à direita na mesma linha
+    par(rotulo, valor, estilo = {}) {
+      const direita = String(valor);
+      const espaco = colunas - direita.length - 1;
+      const esquerda = String(rotulo).length > espaco ? String(rotulo).slice(0, espaco) : String(rotulo);
+
+      return documento.texto(esquerda + ' '.repeat(colunas - esquerda.length - direita.length) + direita, {
+        negrito: estilo.negrito
+      });
+    },
+
+    divisoria(caractere = '-') {
+      return documento.texto(caractere.repeat(colunas));
+    },
+
+    avancar(linhas = 1) {
+      for (let i = 0; i < linhas; i++) {
+        bytes.push(LF);
+        previa.push('');
+      }
+      return documento;
+    },
+
+    // QR code (modelo 2, correção M) centralizado
+    qrcode(dados, tamanho = 6) {
+      const conteudo = codificarTexto(dados, paginaCodigo);
+      const comprimento = conteudo.length + 3;
+
+      bytes.push(ESC, 0x61, 1);
+      bytes.push(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0);
+      bytes.push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, tamanho);
+      bytes.push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31);
+      bytes.push(GS, 0x28, 0x6b, comprimento % 256, Math.floor(comprimento / 256), 0x31, 0x50, 0x30, ...conteudo);
+      bytes.push(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30);
+      bytes.push(LF, ESC, 0x61, 0);
+
+      previa.push(alinharTexto('[QR CODE]', colunas, 'centro'));
+      quebrarLinhas(dados, colunas).forEach(linha => previa.push(alinharTexto(linha, colunas, 'centro')));
+
+      return documento;
+    },
+
+    // Pulso no conector da gaveta (pino 2)
+    abrirGaveta() {
+      bytes.push(ESC, 0x70, 0, 25, 250);
+      return documento;
+    },
+
+    // Avançar o papel e fazer o corte parcial
+    cortar() {
+      bytes.push(GS, 0x56, 0x42, 3);
+      previa.push('', alinharTexto('--- CORTE AQUI ---', colunas, 'centro'));
+      return documento;
+    },
+
+    bytes() {
+      return Buffer.from(bytes);
+    },
+
+    previa() {
+      return previa.join('\n');
+    }
+  };
+
+  return documento;
+}
+
+module.exports = {
+  COLUNAS_80MM,
+  PAGINAS_CODIGO,
+  criarDocumentoEscPos
+};
@@ -0,0 +1,352 @@
+const ExcelJS = require('exceljs');
+const PDFDocument = require('pdfkit');
+const { FUSO_HORARIO_PADRAO, condicaoPeriodoOperacional } = require('./calendario');
+
+const FORMATOS_EXPORTACAO = {
+  csv: { contentType: 'text/csv; charset=utf-8', extensao: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extensao: 'xlsx' },
+  pdf: { contentType: 'application/pdf', extensao: 'pdf' }
+};
+
+const formatadorMoeda = new Intl.NumberFormat('pt-BR', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+// 1234.5 -> "1.234,50"
+function formatarMoedaBR(valor) {
+  if (valor === null || valor === undefined || valor === '') return '';
+  return formatadorMoeda.format(parseFloat(valor));
+}
+
+// Data e hora no fuso da loja (ou no padrão): "31/05/2024 18:45"
+function formatarDataBR(data, fuso) {
+  if (!data) return '';
+  return new Date(data).toLocaleString('pt-BR', {
+    timeZone: fuso || FUSO_HORARIO_PADRAO,
+    day: '2-digit',
+    month: '2-digit',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).replace(',', '');
+}
+
+const SITUACOES = { ATIVA: 'Ativa', CANCELADA: 'Cancelada', ESTORNADA: 'Estornada' };
+
+// Colunas disponíveis por tipo de exportação. tipo: texto, moeda ou data.
+// somenteGerente: a coluna revela o dinheiro esperado na gaveta (contagem cega).
+const COLUNAS_EXPORTACAO = {
+  vendas: [
+    { chave: 'data', titulo: 'Data', tipo: 'data', valor: linha => linha.data_venda },
+    { chave: 'origem', titulo: 'Origem', tipo: 'texto', valor: linha => (linha.manual ? 'Manual' : linha.fonte) },
+    { chave: 'pedido', titulo: 'Pedido', tipo: 'texto', valor: linha => linha.id_externo },
+    { chave: 'cliente', titulo: 'Cliente', tipo: 'texto', valor: linha => linha.dados_pedido && linha.dados_pedido.nome_cliente },
+    { chave: 'tipo_pedido', titulo: 'Tipo de pedido', tipo: 'texto', valor: linha => (linha.manual ? 'MANUAL' : linha.dados_pedido && linha.dados_pedido.tipo_pedido) },
+    { chave: 'tipo_pagamento', titulo: 'Pagamento', tipo: 'texto', valor: linha => linha.tipo_pagamento },
+    { chave: 'valor', titulo: 'Valor', tipo: 'moeda', valor: linha => linha.valor },
+    { chave: 'situacao', titulo: 'Situação', tipo: 'texto', valor: linha => SITUACOES[linha.situacao] || linha.situacao },
+    { chave: 'motivo', titulo: 'Motivo do cancelamento', tipo: 'texto', valor: linha => linha.motivo_cancelamento },
+    { chave: 'loja', titulo: 'Loja', tipo: 'texto', valor: linha => linha.loja_nome },
+    { chave: 'terminal', titulo: 'Terminal', tipo: 'texto', valor: linha => linha.terminal_nome },
+    { chave: 'operador', titulo: 'Operador', tipo: 'texto', valor: linha => linha.operador_nome }
+  ],
+  retiradas: [
+    { chave: 'data', titulo: 'Data', tipo: 'data', valor: linha => linha.data_retirada },
+    { chave: 'categoria', titulo: 'Categoria', tipo: 'texto', valor: linha => linha.categoria },
+    { chave: 'valor', titulo: 'Valor', tipo: 'moeda', valor: linha => linha.valor },
+    { chave: 'observacao', titulo: 'Observação', tipo: 'texto', valor: linha => linha.observacao },
+    { chave: 'situacao', titulo: 'Situação', tipo: 'texto', valor: linha => (linha.situacao === 'CANCELADA' ? 'Anulada' : 'Ativa') },
+    { chave: 'motivo', titulo: 'Motivo da anulação', tipo: 'texto', valor: linha => linha.motivo_cancelamento },
+    { chave: 'loja', titulo: 'Loja', tipo: 'texto', valor: linha => linha.loja_nome },
+    { chave: 'terminal', titulo: 'Terminal', tipo: 'texto', valor: linha => linha.terminal_nome },
+    { chave: 'operador', titulo: 'Operador', tipo: 'texto', valor: linha => linha.operador_nome }
+  ],
+  fechamentos: [
+    { chave: 'data_fechamento', titulo: 'Fechamento', tipo: 'data', valor: linha => linha.data_fechamento },
+    { chave: 'data_abertura', titulo: 'Abertura', tipo: 'data', valor: linha => linha.data_abertura },
+    { chave: 'loja', titulo: 'Loja', tipo: 'texto', valor: linha => linha.loja_nome },
+    { chave: 'terminal', titulo: 'Terminal', tipo: 'texto', valor: linha => linha.terminal_nome },
+    { chave: 'valor_abertura', titulo: 'Valor de abertura', tipo: 'moeda', valor: linha => linha.valor_abertura },
+    { chave: 'total_vendas', titulo: 'Total de vendas', tipo: 'moeda', valor: linha => linha.total_vendas },
+    { chave: 'suprimentos', titulo: 'Suprimentos', tipo: 'moeda', valor: linha => linha.suprimentos },
+    { chave: 'retiradas', titulo: 'Retiradas', tipo: 'moeda', valor: linha => linha.retiradas },
+    { chave: 'saldo_final', titulo: 'Saldo final', tipo: 'moeda', valor: linha => linha.saldo_final, somenteGerente: true },
+    { chave: 'divergencia_total', titulo: 'Divergência', tipo: 'moeda', valor: linha => linha.divergencia_total, somenteGerente: true },
+    { chave: 'justificativa', titulo: 'Justificativa', tipo: 'texto', valor: linha => linha.justificativa },
+    { chave: 'operador', titulo: 'Operador', tipo: 'texto', valor: linha => linha.operador_nome }
+  ]
+};
+
+const TITULOS_EXPORTACAO = {
+  vendas: 'Vendas',
+  retiradas: 'Retiradas',
+  fechamentos: 'Fechamentos de caixa'
+};
+
+// Escolher as colunas pedidas ("data,valor"); sem seleção, todas as que o
+// papel do operador pode ver. Devolve { colunas } ou { erro }.
+function selecionarColunas(tipo, selecao, papel) {
+  const disponiveis = COLUNAS_EXPORTACAO[tipo].filter(coluna => !coluna.somenteGerente || papel === 'gerente');
+
+  if (!selecao) return { colunas: disponiveis };
+
+  const chaves = String(selecao).split(',').map(chave => chave.trim()).filter(Boolean);
+  const desconhecidas = chaves.filter(chave => !disponiveis.some(coluna => coluna.chave === chave));
+
+  if (chaves.length === 0 || desconhecidas.length > 0) {
+    return {
+      erro: `Colunas inválidas: ${desconhecidas.join(', ') || '(nenhuma)'}. Disponíveis: ${disponiveis.map(coluna => coluna.chave).join(', ')}`
+    };
+  }
+
+  return { colunas: chaves.map(chave => disponiveis.find(coluna => coluna.chave === chave)) };
+}
+
+// Filtro de período (dias operacionais da loja "l"), loja e terminal sobre a
+// data informada e o caixa "ca"
+function montarFiltroExportacao(filtros, colunaData) {
+  const valores = [filtros.data_inicio, filtros.data_fim];
+  let filtro = condicaoPeriodoOperacional(colunaData, 'l', '$1', '$2');
+
+  if (filtros.loja_id) {
+    valores.push(filtros.loja_id);
+    filtro += ` AND ca.loja_id = $${valores.length}`;
+  }
+  if (filtros.terminal_id) {
+    valores.push(filtros.terminal_id);
+    filtro += ` AND ca.terminal_id = $${valores.length}`;
+  }
+
+  return { filtro, valores };
+}
+
+// Buscar as linhas a exportar: vendas (webhook e manuais), retiradas ou fechamentos
+async function buscarDadosExportacao(client, tipo, filtros) {
+  if (tipo === 'vendas') {
+    const sistema = montarFiltroExportacao(filtros, 'v.data_venda');
+    const manuais = montarFiltroExportacao(filtros, 'vm.data_venda');
+
+    const result = await client.query(
+      `SELECT * FROM (
+         SELECT v.data_venda, v.fonte, v.id_externo, v.dados_pedido, v.tipo_pagamento, v.valor_total AS valor,
+                v.situacao, v.motivo_cancelamento, false AS manual,
+                l.nome AS loja_nome, t.nome AS terminal_nome, o.nome AS operador_nome, l.fuso_horario
+         FROM vendas v
+         LEFT JOIN caixa_abertura ca ON ca.id = v.caixa_abertura_id
+         LEFT JOIN lojas l ON l.id = ca.loja_id
+         LEFT JOIN terminais t ON t.id = ca.terminal_id
+         LEFT JOIN operadores o ON o.id = v.operador_id
+         WHERE ${sistema.filtro}
+         UNION ALL
+         SELECT vm.data_venda, NULL, NULL, NULL, vm.tipo_pagamento, vm.valor,
+                vm.situacao, vm.motivo_cancelamento, true,
+                l.nome, t.nome, o.nome, l.fuso_horario
+         FROM vendas_manuais vm
+         LEFT JOIN caixa_abertura ca ON ca.id = vm.caixa_abertura_id
+         LEFT JOIN lojas l ON l.id = ca.loja_id
+         LEFT JOIN terminais t ON t.id = ca.terminal_id
+         LEFT JOIN operadores o ON o.id = vm.operador_id
+         WHERE ${manuais.filtro}
+       ) vendas_periodo
+       ORDER BY data_venda`,
+      sistema.valores
+    );
+
+    return result.rows;
+  }
+
+  if (tipo === 'retiradas') {
+    const { filtro, valores } = montarFiltroExportacao(filtros, 'r.data_retirada');
+
+    const result = await client.query(
+      `SELECT r.*, l.nome AS loja_nome, t.nome AS terminal_nome, o.nome AS operador_nome, l.fuso_horario
+       FROM retiradas r
+       LEFT JOIN caixa_abertura ca ON ca.id = r.caixa_abertura_id
+       LEFT JOIN lojas l ON l.id = ca.loja_id
+       LEFT JOIN terminais t ON t.id = ca.terminal_id
+       LEFT JOIN operadores o ON o.id = r.operador_id
+       WHERE ${filtro}
+       ORDER BY r.data_retirada`,
+      valores
+    );
+
+    return result.rows;
+  }
+
+  const { filtro, valores } = montarFiltroExportacao(filtros, 'f.data_fechamento');
+
+  const result = await client.query(
+    `SELECT f.*, ca.data_abertura, l.nome AS loja_nome, t.nome AS terminal_nome, o.nome AS operador_nome,
+            l.fuso_horario
+     FROM caixa_fechamento f
+     LEFT JOIN caixa_abertura ca ON ca.id = f.caixa_abertura_id
+     LEFT JOIN lojas l ON l.id = ca.loja_id
+     LEFT JOIN terminais t ON t.id = ca.terminal_id
+     LEFT JOIN operadores o ON o.id = f.operador_id
+     WHERE ${filtro}
+     ORDER BY f.data_fechamento`,
+    valores
+  );
+
+  return result.rows;
+}
+
+// Valor de uma célula já formatado para texto (CSV e PDF)
+function formatarCelula(coluna, linha) {
+  const valor = coluna.valor(linha);
+
+  if (coluna.tipo === 'moeda') return formatarMoedaBR(valor);
+  if (coluna.tipo === 'data') return formatarDataBR(valor, linha.fuso_horario);
+  return valor === null || valor === undefined ? '' : String(valor);
+}
+
+// CSV no padrão do Excel brasileiro: separador ";", vírgula decimal e BOM UTF-8
+function gerarCSV(colunas, linhas) {
+  const escapar = texto => (/[;"\r\n]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto);
+
+  const conteudo = [
+    colunas.map(coluna => escapar(coluna.titulo)).join(';'),
+    ...linhas.map(linha => colunas.map(coluna => escapar(formatarCelula(coluna, linha))).join(';'))
+  ].join('\r\n');
+
+  return Buffer.from('﻿' + conteudo + '\r\n', 'utf8');
+}
+
+// Planilha com valores numéricos e datas reais, formatados em reais e dd/mm/aaaa
+async function gerarXLSX(titulo, colunas, linhas) {
+  const planilha = new ExcelJS.Workbook();
+  const aba = planilha.addWorksheet(titulo);
+
+  aba.columns = colunas.map(coluna => ({
+    header: coluna.titulo,
+    key: coluna.chave,
+    width: coluna.tipo === 'texto' ? 24 : 18,
+    style: coluna.tipo === 'moeda'
+      ? { numFmt: '"R$" #,##0.00' }
+      : coluna.tipo === 'data' ? { numFmt: 'dd/mm/yyyy hh:mm' } : {}
+  }));
+
+  linhas.forEach(linha => {
+    const registro = {};
+
+    colunas.forEach(coluna => {
+      const valor = coluna.valor(linha);
+
+      if (coluna.tipo === 'moeda') {
+        registro[coluna.chave] = valor === null || valor === undefined ? null : parseFloat(valor);
+      } else if (coluna.tipo === 'data') {
+        // O Excel não guarda fuso: a data vai como horário local da loja
+        registro[coluna.chave] = valor ? new Date(formatarDataISO(valor, linha.fuso_horario)) : null;
+      } else {
+        registro[coluna.chave] = valor === null || valor === undefined ? '' : String(valor);
+      }
+    });
+
+    aba.addRow(registro);
+  });
+
+  aba.getRow(1).font = { bold: true };
+
+  return Buffer.from(await planilha.xlsx.writeBuffer());
+}
+
+// Horário local da loja escrito como UTC ("2024-05-31T18:45:00Z")
+function formatarDataISO(data, fuso) {
+  const partes = {};
+
+  new Intl.DateTimeFormat('en-CA', {
+    timeZone: fuso || FUSO_HORARIO_PADRAO,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(data)).forEach(parte => {
+    partes[parte.type] = parte.value;
+  });
+
+  return `${partes.year}-${partes.month}-${partes.day}T${partes.hour}:${partes.minute}:${partes.second}Z`;
+}
+
+// PDF em paisagem com uma tabela simples; repete o cabeçalho a cada página
+function gerarPDF(titulo, subtitulo, colunas, linhas) {
+  return new Promise((resolve, reject) => {
+    const documento = new PDFDocument({ size: 'A4', layout: 'landscape', margin: 30 });
+    const partes = [];
+
+    documento.on('data', parte => partes.push(parte));
+    documento.on('end', () => resolve(Buffer.concat(partes)));
+    documento.on('error', reject);
+
+    const larguraUtil = documento.page.width - 60;
+    const larguraColuna = larguraUtil / colunas.length;
+    const limiteInferior = documento.page.height - 40;
+
+    const escreverLinha = (celulas, negrito) => {
+      const alturas = celulas.map(texto => documento.heightOfString(texto, { width: larguraColuna - 4 }));
+      const altura = Math.max(...alturas, 10) + 4;
+
+      if (documento.y + altura > limiteInferior) {
+        documento.addPage();
+        if (!negrito) escreverLinha(colunas.map(coluna => coluna.titulo), true);
+      }
+
+      const y = documento.y;
+      documento.font(negrito ? 'Helvetica-Bold' : 'Helvetica');
+
+      celulas.forEach((texto, indice) => {
+        documento.text(texto, 30 + indice * larguraColuna, y, {
+          width: larguraColuna - 4,
+          align: colunas[indice].tipo === 'moeda' ? 'right' : 'left'
+        });
+      });
+
+      documento.x = 30;
+      documento.y = y + altura;
+    };
+
+    documento.font('Helvetica-Bold').fontSize(14).text(titulo);
+    documento.font('Helvetica').fontSize(9).text(subtitulo).moveDown();
+    documento.fontSize(8);
+
+    escreverLinha(colunas.map(coluna => coluna.titulo), true);
+    linhas.forEach(linha => escreverLinha(colunas.map(coluna => formatarCelula(coluna, linha)), false));
+
+    if (linhas.length === 0) {
+      documento.moveDown().text('Nenhum registro no período');
+    }
+
+    documento.end();
+  });
+}
+
+// Gerar o arquivo de exportação. Devolve { conteudo, contentType, nomeArquivo }.
+async function gerarExportacao(client, { tipo, formato, colunas, filtros }) {
+  const linhas = await buscarDadosExportacao(client, tipo, filtros);
+  const titulo = TITULOS_EXPORTACAO[tipo];
+  const periodo = `${formatarDataBR(filtros.data_inicio + 'T12:00:00Z').slice(0, 10)} a ${formatarDataBR(filtros.data_fim + 'T12:00:00Z').slice(0, 10)}`;
+  let conteudo;
+
+  if (formato === 'csv') {
+    conteudo = gerarCSV(colunas, linhas);
+  } else if (formato === 'xlsx') {
+    conteudo = await gerarXLSX(titulo, colunas, linhas);
+  } else {
+    conteudo = await gerarPDF(titulo, `Período: ${periodo}`, colunas, linhas);
+  }
+
+  return {
+    conteudo,
+    contentType: FORMATOS_EXPORTACAO[formato].contentType,
+    nomeArquivo: `${tipo}_${filtros.data_inicio}_${filtros.data_fim}.${FORMATOS_EXPORTACAO[formato].extensao}`
+  };
+}
+
+module.exports = {
+  COLUNAS_EXPORTACAO,
+  FORMATOS_EXPORTACAO,
+  formatarMoedaBR,
+  formatarDataBR,
+  selecionarColunas,
+  gerarExportacao
+};
@@ -0,0 +1,47 @@
+// cardapio.ai: o payload já segue o modelo comum do pedido
+const { texto, opcao, numero, moeda, objeto, lista } = require('../validacao');
+const { pedidoComum } = require('./modelo');
+
+module.exports = {
+  codigo: 'cardapio.ai',
+  nome: 'cardapio.ai',
+  // "vendas" mantém a URL original do webhook (/webhook/vendas/:loja?)
+  rotas: ['cardapio-ai', 'vendas'],
+  autenticacao: { tipo: 'hmac-nonce', segredos: ['WEBHOOK_SECRETS', 'WEBHOOK_SECRET'] },
+
+  esquema: {
+    valor_total: moeda({ obrigatorio: true }),
+    tipo_pagamento: opcao(['DINHEIRO', 'CARTAO_CREDITO', 'CARTAO_DEBITO', 'PIX', 'OUTRO', 'PENDENTE']),
+    nome_cliente: texto({ maximo: 200 }),
+    telefone_cliente: texto({ maximo: 30 }),
+    endereco_completo: texto({ maximo: 500 }),
+    taxa_entrega: moeda({ permiteZero: true }),
+    produtos: lista(objeto({
+      nome_produto: texto({ obrigatorio: true, maximo: 200 }),
+      quantidade: numero({ minimo: 0 }),
+      valor: moeda({ permiteZero: true })
+    }), { obrigatorio: true })
+  },
+
+  mapearPedido(pedido) {
+    return {
+      id_externo: pedido.id_pedido || pedido.id || pedido.numero_pedido || null,
+      codigo_loja: pedido.codigo_loja || pedido.loja || null,
+      tipo_pagamento: pedido.tipo_pagamento || null,
+      dados_pedido: pedidoComum({
+        nome_cliente: pedido.nome_cliente,
+        telefone_cliente: pedido.telefone_cliente,
+        tipo_pedido: pedido.tipo_pedido,
+        endereco_completo: pedido.endereco_completo,
+        taxa_entrega: pedido.taxa_entrega,
+        data_hora_pedido: pedido.data_hora_pedido,
+        valor_total: pedido.valor_total,
+        observacoes: pedido.observacoes,
+        produtos: pedido.produtos.map(produto => ({
+          ...produto,
+          codigo_produto: produto.codigo_produto || produto.codigo
+        }))
+      })
+    };
+  }
+};
@@ -0,0 +1,109 @@
+// iFood: detalhes do pedido (orderType, customer, items, total, payments).
+// A loja vem da URL (/webhook/ifood/:loja), configurada por merchant no iFood.
+//
+// O iFood assina só o corpo (X-IFood-Signature), sem timestamp nem nonce, então
+// uma requisição capturada continua válida para sempre. Exigir um timestamp
+// assinado recusaria os envios do próprio iFood; quem barra a repetição é a
+// deduplicação por (fonte, id_externo) no webhook, que vale para o pedido em
+// qualquer loja da URL:
+//   - o mesmo conteúdo devolve a venda já criada, sem outra venda;
+//   - pedido descartado ou anexado na fila não volta (200 ou 409);
+//   - versão anterior de um pedido alterado não é reaplicada;
+//   - venda de caixa fechado, cancelada ou estornada não muda (409).
+// Um pedido ainda pendente na fila pode ser regravado ou lançado no caixa aberto
+// pela repetição, como numa reentrega do iFood, mas continua sendo uma venda só.
+const { texto, opcao, numero, moeda, objeto, lista } = require('../validacao');
+const { paraCentavos, deCentavos } = require('../dinheiro');
+const { pedidoComum } = require('./modelo');
+
+const TIPOS_PEDIDO = {
+  DELIVERY: 'delivery',
+  TAKEOUT: 'retirada',
+  INDOOR: 'mesa',
+  DINE_IN: 'mesa'
+};
+
+const TIPOS_PAGAMENTO = {
+  CASH: 'DINHEIRO',
+  CREDIT: 'CARTAO_CREDITO',
+  DEBIT: 'CARTAO_DEBITO',
+  PIX: 'PIX'
+};
+
+// Uma forma só vira o tipo de pagamento da venda; com mais de uma, os
+// pagamentos ficam para o caixa dividir
+function tipoPagamento(metodos = []) {
+  const tipos = [...new Set(metodos.map(metodo => TIPOS_PAGAMENTO[String(metodo.method).toUpperCase()] || 'OUTRO'))];
+  return tipos.length === 1 ? tipos[0] : null;
+}
+
+// Valor unitário com as opções (totalPrice já soma as opções de cada unidade)
+function valorUnitario(item) {
+  if (item.totalPrice === undefined || !(item.quantity > 0)) return item.unitPrice || 0;
+  return deCentavos(Math.round(paraCentavos(item.totalPrice) / item.quantity));
+}
+
+module.exports = {
+  codigo: 'ifood',
+  nome: 'iFood',
+  rotas: ['ifood'],
+  autenticacao: { tipo: 'hmac-corpo', segredos: ['WEBHOOK_IFOOD_SECRETS'], cabecalho: 'x-ifood-signature' },
+
+  esquema: {
+    id: texto({ obrigatorio: true, maximo: 100 }),
+    displayId: texto({ maximo: 50 }),
+    orderType: opcao(Object.keys(TIPOS_PEDIDO)),
+    createdAt: texto({ maximo: 50 }),
+    customer: objeto({
+      name: texto({ maximo: 200 }),
+      phone: objeto({ number: texto({ maximo: 30 }) })
+    }),
+    delivery: objeto({
+      deliveryAddress: objeto({ formattedAddress: texto({ maximo: 500 }) })
+    }),
+    items: lista(objeto({
+      name: texto({ obrigatorio: true, maximo: 200 }),
+      externalCode: texto({ maximo: 100 }),
+      quantity: numero({ minimo: 0 }),
+      unitPrice: moeda({ permiteZero: true }),
+      totalPrice: moeda({ permiteZero: true }),
+      options: lista(objeto({ name: texto({ obrigatorio: true, maximo: 200 }) }))
+    }), { obrigatorio: true, minimo: 1 }),
+    total: objeto({
+      orderAmount: moeda({ obrigatorio: true }),
+      deliveryFee: moeda({ permiteZero: true })
+    }, { obrigatorio: true }),
+    payments: objeto({
+      methods: lista(objeto({ method: texto({ obrigatorio: true, maximo: 30 }) }))
+    }),
+    extraInfo: texto({ maximo: 500 })
+  },
+
+  mapearPedido(pedido) {
+    const cliente = pedido.customer || {};
+    const endereco = (pedido.delivery && pedido.delivery.deliveryAddress) || {};
+
+    return {
+      id_externo: pedido.id,
+      codigo_loja: null,
+      tipo_pagamento: tipoPagamento(pedido.payments && pedido.payments.methods),
+      dados_pedido: pedidoComum({
+        nome_cliente: cliente.name,
+        telefone_cliente: cliente.phone && cliente.phone.number,
+        tipo_pedido: TIPOS_PEDIDO[pedido.orderType],
+        endereco_completo: endereco.formattedAddress,
+        taxa_entrega: pedido.total.deliveryFee,
+        data_hora_pedido: pedido.createdAt,
+        valor_total: pedido.total.orderAmount,
+        observacoes: pedido.extraInfo,
+        produtos: pedido.items.map(item => ({
+          nome_produto: item.name,
+          codigo_produto: item.externalCode,
+          quantidade: item.quantity || 1,
+          valor: valorUnitario(item),
+          complementos: (item.options || []).map(opcional => ({ nome: opcional.name, quantidade: opcional.quantity || 1 }))
+        }))
+      })
+    };
+  }
+};
@@ -0,0 +1,36 @@
+// Fontes dos pedidos recebidos por webhook (POST /webhook/:fonte/:loja?). Cada
+// adaptador declara:
+//   codigo        origem gravada em vendas.fonte
+//   nome          nome exibido nos relatórios
+//   rotas         trechos da URL aceitos em :fonte
+//   autenticacao  tipo ('hmac-nonce' ou 'hmac-corpo'), variáveis de ambiente dos
+//                 segredos e, opcionalmente, o cabeçalho da assinatura
+//   esquema       validação do payload (lib/validacao.js)
+//   mapearPedido  payload -> { id_externo, codigo_loja, tipo_pagamento, dados_pedido }
+//                 com dados_pedido no modelo comum (fontes/modelo.js)
+// Cada fonte tem um payload de exemplo em exemplos/<primeira rota>.json.
+const cardapioAi = require('./cardapio-ai');
+const ifood = require('./ifood');
+const site = require('./site');
+
+const ADAPTADORES = [cardapioAi, ifood, site];
+
+// Origem das vendas gravadas antes de haver mais de uma fonte
+const FONTE_PADRAO = cardapioAi.codigo;
+
+function buscarFontePorRota(rota) {
+  const trecho = String(rota || '').toLowerCase();
+  return ADAPTADORES.find(adaptador => adaptador.rotas.includes(trecho)) || null;
+}
+
+function nomeFonte(codigo) {
+  const adaptador = ADAPTADORES.find(item => item.codigo === codigo);
+  return adaptador ? adaptador.nome : codigo;
+}
+
+module.exports = {
+  ADAPTADORES,
+  FONTE_PADRAO,
+  buscarFontePorRota,
+  nomeFonte
+};
@@ -0,0 +1,26 @@
+// Modelo comum do pedido, gravado em dados_pedido da venda. Os adaptadores
+// preenchem o que a origem informa; os demais campos recebem os padrões.
+function pedidoComum({ produtos = [], ...campos }) {
+  return {
+    nome_cliente: campos.nome_cliente || '',
+    telefone_cliente: campos.telefone_cliente || '',
+    tipo_pedido: campos.tipo_pedido || 'outro',
+    endereco_completo: campos.endereco_completo || '',
+    taxa_entrega: campos.taxa_entrega || 0,
+    data_hora_pedido: campos.data_hora_pedido || new Date().toISOString(),
+    valor_total: campos.valor_total,
+    ...(campos.observacoes ? { observacoes: campos.observacoes } : {}),
+    produtos: produtos.map(produto => ({
+      nome_produto: produto.nome_produto,
+      codigo_produto: produto.codigo_produto || null,
+      quantidade: produto.quantidade,
+      valor: produto.valor,
+      adicionais: produto.adicionais || [],
+      complementos: produto.complementos || []
+    }))
+  };
+}
+
+module.exports = {
+  pedidoComum
+};
@@ -0,0 +1,74 @@
+// Site próprio: pedidos feitos na loja online, assinados como os do cardapio.ai
+// com segredos próprios
+const { texto, opcao, numero, moeda, booleano, objeto, lista } = require('../validacao');
+const { pedidoComum } = require('./modelo');
+
+const TIPOS_PEDIDO = {
+  entrega: 'delivery',
+  retirada: 'retirada',
+  mesa: 'mesa'
+};
+
+module.exports = {
+  codigo: 'site',
+  nome: 'Site próprio',
+  rotas: ['site'],
+  autenticacao: { tipo: 'hmac-nonce', segredos: ['WEBHOOK_SITE_SECRETS'] },
+
+  esquema: {
+    pedido_id: texto({ obrigatorio: true, maximo: 100 }),
+    loja: texto({ maximo: 50 }),
+    criado_em: texto({ maximo: 50 }),
+    tipo: opcao(Object.keys(TIPOS_PEDIDO)),
+    cliente: objeto({
+      nome: texto({ maximo: 200 }),
+      telefone: texto({ maximo: 30 })
+    }),
+    entrega: objeto({
+      endereco: texto({ maximo: 500 }),
+      taxa: moeda({ permiteZero: true })
+    }),
+    itens: lista(objeto({
+      sku: texto({ maximo: 100 }),
+      nome: texto({ obrigatorio: true, maximo: 200 }),
+      quantidade: numero({ minimo: 0 }),
+      preco_unitario: moeda({ permiteZero: true }),
+      opcoes: lista(texto({ maximo: 200 }))
+    }), { obrigatorio: true, minimo: 1 }),
+    pagamento: objeto({
+      forma: opcao(['dinheiro', 'cartao_credito', 'cartao_debito', 'pix', 'outro']),
+      pago: booleano()
+    }),
+    total: moeda({ obrigatorio: true }),
+    observacoes: texto({ maximo: 500 })
+  },
+
+  mapearPedido(pedido) {
+    const cliente = pedido.cliente || {};
+    const entrega = pedido.entrega || {};
+    const pagamento = pedido.pagamento || {};
+
+    return {
+      id_externo: pedido.pedido_id,
+      codigo_loja: pedido.loja || null,
+      tipo_pagamento: pagamento.forma ? pagamento.forma.toUpperCase() : null,
+      dados_pedido: pedidoComum({
+        nome_cliente: cliente.nome,
+        telefone_cliente: cliente.telefone,
+        tipo_pedido: TIPOS_PEDIDO[pedido.tipo],
+        endereco_completo: entrega.endereco,
+        taxa_entrega: entrega.taxa,
+        data_hora_pedido: pedido.criado_em,
+        valor_total: pedido.total,
+        observacoes: pedido.observacoes,
+        produtos: pedido.itens.map(item => ({
+          nome_produto: item.nome,
+          codigo_produto: item.sku,
+          quantidade: item.quantidade || 1,
+          valor: item.preco_unitario || 0,
+          adicionais: item.opcoes || []
+        }))
+      })
+    };
+  }
+};
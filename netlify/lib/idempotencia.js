@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const { pool, sql } = require('./db');
+
+// Escritas idempotentes. O cliente gera uma chave por escrita e a envia no
+// cabeçalho Idempotency-Key; reenviar a mesma requisição (fila offline, resposta
+// perdida na rede) devolve a resposta guardada da primeira vez, com o cabeçalho
+// Idempotent-Replayed, sem gravar de novo. As chaves são por operador.
+//
+//   app.post('/retiradas', autenticarOperador, idempotencia, validar({ ... }), ...)
+//
+// Respostas 5xx não são guardadas: a requisição pode ser repetida com a mesma chave.
+
+// Por quanto tempo uma chave é lembrada
+const IDEMPOTENCIA_HORAS = parseInt(process.env.IDEMPOTENCIA_HORAS, 10) || 24;
+
+// Requisição sem resposta há mais tempo que isto foi interrompida (a função
+// serverless não roda por tanto tempo) e pode ser refeita com a mesma chave
+const IDEMPOTENCIA_ABANDONO_SEGUNDOS = 60;
+
+const FORMATO_CHAVE = /^[A-Za-z0-9_-]{8,100}$/;
+
+function gerarHashRequisicao(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.originalUrl}\n${JSON.stringify(req.body || {})}`)
+    .digest('hex');
+}
+
+// Reservar a chave para esta requisição. Devolve true se ela pode ser
+// processada, ou o registro já existente.
+async function reservarChave(operadorId, chave, req, hash) {
+  const result = await pool.query(
+    `INSERT INTO requisicoes_idempotentes (operador_id, chave, metodo, rota, hash_corpo)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (operador_id, chave) DO UPDATE SET created_at = NOW()
+       WHERE requisicoes_idempotentes.status_http IS NULL
+         AND requisicoes_idempotentes.hash_corpo = EXCLUDED.hash_corpo
+         AND requisicoes_idempotentes.created_at < ${sql.agoraMenos('$6', 'second')}
+     RETURNING operador_id`,
+    [operadorId, chave, req.method, req.originalUrl, hash, IDEMPOTENCIA_ABANDONO_SEGUNDOS]
+  );
+
+  if (result.rows.length > 0) return true;
+
+  const existenteResult = await pool.query(
+    `SELECT * FROM requisicoes_idempotentes WHERE operador_id = $1 AND chave = $2`,
+    [operadorId, chave]
+  );
+
+  return existenteResult.rows[0];
+}
+
+async function concluirChave(operadorId, chave, status, corpo) {
+  if (status >= 500) {
+    await pool.query(
+      `DELETE FROM requisicoes_idempotentes WHERE operador_id = $1 AND chave = $2`,
+      [operadorId, chave]
+    );
+    return;
+  }
+
+  await pool.query(
+    `UPDATE requisicoes_idempotentes SET status_http = $1, resposta = $2, concluida_em = NOW()
+     WHERE operador_id = $3 AND chave = $4`,
+    [status, JSON.stringify(corpo), operadorId, chave]
+  );
+}
+
+// Middleware para as rotas de escrita; precisa de req.operador (autenticarOperador antes)
+async function idempotencia(req, res, next) {
+  const chave = req.get('Idempotency-Key');
+
+  if (chave === undefined) return next();
+
+  if (!FORMATO_CHAVE.test(chave)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key deve ter de 8 a 100 letras, números, "-" ou "_"'
+    });
+  }
+
+  const operadorId = req.operador.id;
+  const hash = gerarHashRequisicao(req);
+
+  try {
+    const reserva = await reservarChave(operadorId, chave, req, hash);
+
+    if (reserva !== true) {
+      if (reserva.hash_corpo !== hash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key já usada em outra requisição'
+        });
+      }
+
+      if (reserva.status_http === null) {
+        return res.status(409).json({
+          success: false,
+          message: 'Requisição com esta Idempotency-Key ainda em andamento'
+        });
+      }
+
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(reserva.status_http).json(reserva.resposta);
+    }
+
+    await pool.query(
+      `DELETE FROM requisicoes_idempotentes WHERE created_at < ${sql.agoraMenos('$1', 'hour')}`,
+      [IDEMPOTENCIA_HORAS]
+    );
+  } catch (error) {
+    console.error('Erro ao verificar Idempotency-Key:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Erro ao verificar Idempotency-Key'
+    });
+  }
+
+  // A resposta é guardada antes de ser enviada, para que uma repetição logo em
+  // seguida já a encontre
+  const json = res.json.bind(res);
+
+  res.json = corpo => {
+    res.json = json;
+
+    concluirChave(operadorId, chave, res.statusCode, corpo)
+      .catch(error => console.error('Erro ao guardar resposta idempotente:', error))
+      .finally(() => json(corpo));
+
+    return res;
+  };
+
+  next();
+}
+
+module.exports = {
+  idempotencia
+};
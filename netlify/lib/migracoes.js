@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { migracoesIniciais, travarMigracoes, liberarMigracoes } = require('./armazenamento');
+
+// Migrações versionadas do banco. Cada arquivo em netlify/migrations é nomeado
+// NNN_descricao.sql ou NNN_descricao.js (exportando `up(client)`) e roda uma única
+// vez, dentro da própria transação, na ordem do prefixo numérico. As migrações até
+// a 015 são só do PostgreSQL: o SQLite começa do próprio esquema, equivalente a
+// elas (migracoesIniciais). Da 016 em diante as mesmas migrações montam os dois
+// bancos: os arquivos .sql usam só o que os dois aceitam, e o que muda entre eles
+// vai num .js, com `sql`.
+const PASTA_MIGRACOES = path.join(__dirname, '..', 'migrations');
+
+// Arquivos de migração de uma pasta, em ordem
+function lerMigracoes(pasta) {
+  return fs.readdirSync(pasta)
+    .filter(arquivo => /^\d+_.+\.(sql|js)$/.test(arquivo))
+    .sort()
+    .map(arquivo => {
+      const caminho = path.join(pasta, arquivo);
+      const conteudo = fs.readFileSync(caminho, 'utf8');
+
+      return {
+        versao: arquivo.split('_')[0],
+        nome: arquivo,
+        caminho,
+        tipo: path.extname(arquivo).slice(1),
+        conteudo,
+        checksum: crypto.createHash('sha256').update(conteudo).digest('hex')
+      };
+    });
+}
+
+// Listar as migrações do banco em uso, em ordem
+function listarMigracoes() {
+  const migracoes = lerMigracoes(PASTA_MIGRACOES);
+
+  if (!migracoesIniciais) return migracoes;
+
+  return [
+    ...lerMigracoes(migracoesIniciais.pasta),
+    ...migracoes.filter(migracao => migracao.versao > migracoesIniciais.substituiAte)
+  ];
+}
+
+async function criarTabelaMigracoes(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      versao TEXT PRIMARY KEY,
+      nome TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      aplicada_em TIMESTAMP WITH TIME ZONE DEFAULT (NOW())
+    )
+  `);
+}
+
+// Situação de cada migração: aplicada, pendente ou alterada depois de aplicada
+async function statusMigracoes(pool) {
+  const client = await pool.connect();
+
+  try {
+    await criarTabelaMigracoes(client);
+
+    const aplicadasResult = await client.query(`SELECT * FROM schema_migrations`);
+    const aplicadas = new Map(aplicadasResult.rows.map(m => [m.versao, m]));
+
+    return listarMigracoes().map(migracao => {
+      const aplicada = aplicadas.get(migracao.versao);
+      let status = 'pendente';
+
+      if (aplicada) {
+        status = aplicada.checksum === migracao.checksum ? 'aplicada' : 'alterada';
+      }
+
+      return {
+        versao: migracao.versao,
+        nome: migracao.nome,
+        status,
+        aplicada_em: aplicada ? aplicada.aplicada_em : null
+      };
+    });
+  } finally {
+    client.release();
+  }
+}
+
+// Aplicar as migrações pendentes e devolver os nomes das que rodaram
+async function aplicarMigracoes(pool) {
+  const client = await pool.connect();
+  const aplicadasAgora = [];
+
+  try {
+    await travarMigracoes(client);
+    await criarTabelaMigracoes(client);
+
+    const aplicadasResult = await client.query(`SELECT versao FROM schema_migrations`);
+    const aplicadas = new Set(aplicadasResult.rows.map(m => m.versao));
+
+    for (const migracao of listarMigracoes()) {
+      if (aplicadas.has(migracao.versao)) continue;
+
+      console.log(`🔧 Aplicando migração ${migracao.nome}`);
+
+      try {
+        await client.query('BEGIN');
+
+        if (migracao.tipo === 'sql') {
+          await client.query(migracao.conteudo);
+        } else {
+          await require(migracao.caminho).up(client);
+        }
+
+        await client.query(
+          `INSERT INTO schema_migrations (versao, nome, checksum) VALUES ($1, $2, $3)`,
+          [migracao.versao, migracao.nome, migracao.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migração ${migracao.nome} falhou: ${error.message}`;
+        throw error;
+      }
+
+      aplicadasAgora.push(migracao.nome);
+    }
+
+    return aplicadasAgora;
+  } finally {
+    await liberarMigracoes(client).catch(() => {});
+    client.release();
+  }
+}
+
+module.exports = {
+  listarMigracoes,
+  statusMigracoes,
+  aplicarMigracoes
+};
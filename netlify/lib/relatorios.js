@@ -0,0 +1,277 @@
+// Relatórios de vendas por período, somando vendas do webhook e manuais.
+// Vendas canceladas ou estornadas ficam fora dos totais e aparecem à parte.
+const { sql } = require('./db');
+const { condicaoPeriodoOperacional, diaOperacional, horaLocal } = require('./calendario');
+const { nomeFonte } = require('./fontes');
+const { paraCentavos, deCentavos } = require('./dinheiro');
+
+// Ticket médio em reais, arredondado para o centavo a partir do total em centavos
+function ticketMedio(centavos, quantidade) {
+  return quantidade > 0 ? deCentavos(Math.round(centavos / quantidade)) : 0;
+}
+
+// Condições comuns aos relatórios: período (dias operacionais da loja), loja,
+// terminal e caixa. alias é a tabela da venda; o caixa é sempre "ca" e a loja "lj".
+function montarFiltroRelatorio(filtros, alias) {
+  const valores = [filtros.data_inicio, filtros.data_fim];
+  const condicoes = [condicaoPeriodoOperacional(`${alias}.data_venda`, 'lj', '$1', '$2')];
+
+  if (filtros.loja_id) {
+    valores.push(filtros.loja_id);
+    condicoes.push(`ca.loja_id = $${valores.length}`);
+  }
+  if (filtros.terminal_id) {
+    valores.push(filtros.terminal_id);
+    condicoes.push(`ca.terminal_id = $${valores.length}`);
+  }
+  if (filtros.caixa_abertura_id) {
+    valores.push(filtros.caixa_abertura_id);
+    condicoes.push(`${alias}.caixa_abertura_id = $${valores.length}`);
+  }
+
+  return { condicoes: condicoes.join(' AND '), valores };
+}
+
+// Vendas ativas do período (sistema e manuais) em uma única relação
+function consultaVendasPeriodo(filtros) {
+  const sistema = montarFiltroRelatorio(filtros, 'v');
+  const manuais = montarFiltroRelatorio(filtros, 'vm');
+
+  // Os dois filtros usam os mesmos parâmetros na mesma ordem
+  return {
+    sql: `
+      SELECT v.id, v.data_venda, v.valor_total AS valor, 'SISTEMA' AS origem, v.fonte,
+             COALESCE(NULLIF(v.dados_pedido->>'tipo_pedido', ''), 'NAO_INFORMADO') AS tipo_pedido,
+             lj.fuso_horario, lj.hora_corte
+      FROM vendas v
+      LEFT JOIN caixa_abertura ca ON ca.id = v.caixa_abertura_id
+      LEFT JOIN lojas lj ON lj.id = ca.loja_id
+      WHERE v.situacao = 'ATIVA' AND ${sistema.condicoes}
+      UNION ALL
+      SELECT vm.id, vm.data_venda, vm.valor, 'MANUAL' AS origem, 'MANUAL' AS fonte, 'MANUAL' AS tipo_pedido,
+             lj.fuso_horario, lj.hora_corte
+      FROM vendas_manuais vm
+      LEFT JOIN caixa_abertura ca ON ca.id = vm.caixa_abertura_id
+      LEFT JOIN lojas lj ON lj.id = ca.loja_id
+      WHERE vm.situacao = 'ATIVA' AND ${manuais.condicoes}`,
+    valores: sistema.valores
+  };
+}
+
+// Agregar as vendas ativas por uma expressão sobre a relação vendas_periodo (vp),
+// que traz também o fuso e a hora de corte da loja de cada venda
+async function agruparVendas(client, filtros, expressao, ordem) {
+  const { sql, valores } = consultaVendasPeriodo(filtros);
+
+  const result = await client.query(
+    `WITH vendas_periodo AS (${sql})
+     SELECT ${expressao} AS chave, CAST(COUNT(*) AS INTEGER) AS quantidade, COALESCE(SUM(vp.valor), 0) AS total
+     FROM vendas_periodo vp
+     GROUP BY 1
+     ORDER BY ${ordem}`,
+    valores
+  );
+
+  return result.rows.map(linha => ({
+    chave: linha.chave,
+    quantidade: linha.quantidade,
+    total: deCentavos(paraCentavos(linha.total))
+  }));
+}
+
+// Totais por forma de pagamento: vendas divididas entram em cada tipo pago
+async function agruparPorTipoPagamento(client, filtros) {
+  const sistema = montarFiltroRelatorio(filtros, 'v');
+  const manuais = montarFiltroRelatorio(filtros, 'vm');
+
+  const result = await client.query(
+    `SELECT tipo_pagamento, CAST(COUNT(DISTINCT venda_id) AS INTEGER) AS quantidade, COALESCE(SUM(valor), 0) AS total
+     FROM (
+       SELECT v.id AS venda_id, COALESCE(p.tipo_pagamento, v.tipo_pagamento) AS tipo_pagamento,
+              COALESCE(p.valor, v.valor_total) AS valor
+       FROM vendas v
+       LEFT JOIN pagamentos_venda p ON p.venda_id = v.id
+       LEFT JOIN caixa_abertura ca ON ca.id = v.caixa_abertura_id
+       LEFT JOIN lojas lj ON lj.id = ca.loja_id
+       WHERE v.situacao = 'ATIVA' AND ${sistema.condicoes}
+       UNION ALL
+       SELECT vm.id, vm.tipo_pagamento, vm.valor
+       FROM vendas_manuais vm
+       LEFT JOIN caixa_abertura ca ON ca.id = vm.caixa_abertura_id
+       LEFT JOIN lojas lj ON lj.id = ca.loja_id
+       WHERE vm.situacao = 'ATIVA' AND ${manuais.condicoes}
+     ) pagamentos
+     GROUP BY tipo_pagamento
+     ORDER BY total DESC`,
+    sistema.valores
+  );
+
+  return result.rows.map(linha => ({
+    tipo_pagamento: linha.tipo_pagamento,
+    quantidade: linha.quantidade,
+    total: deCentavos(paraCentavos(linha.total))
+  }));
+}
+
+// Produtos vendidos (itens das vendas do webhook), agrupados pelo catálogo quando mapeados
+async function agruparPorProduto(client, filtros) {
+  const { condicoes, valores } = montarFiltroRelatorio(filtros, 'v');
+
+  const result = await client.query(
+    `SELECT i.produto_id,
+            COALESCE(MAX(p.nome), MIN(i.nome_produto)) AS nome_produto,
+            SUM(i.quantidade) AS quantidade,
+            SUM(i.quantidade * i.valor_unitario) AS total
+     FROM itens_venda i
+     JOIN vendas v ON v.id = i.venda_id
+     LEFT JOIN produtos p ON p.id = i.produto_id
+     LEFT JOIN caixa_abertura ca ON ca.id = v.caixa_abertura_id
+     LEFT JOIN lojas lj ON lj.id = ca.loja_id
+     WHERE v.situacao = 'ATIVA' AND ${condicoes}
+     GROUP BY i.produto_id, CASE WHEN i.produto_id IS NULL THEN i.nome_normalizado END
+     ORDER BY total DESC, quantidade DESC`,
+    valores
+  );
+
+  return result.rows.map(linha => ({
+    produto_id: linha.produto_id,
+    nome_produto: linha.nome_produto,
+    quantidade: parseFloat(linha.quantidade),
+    total: deCentavos(paraCentavos(linha.total))
+  }));
+}
+
+// Tempos médios (minutos) de cada etapa do pedido por tipo de pedido, só com os
+// pedidos que passaram pelo quadro da cozinha: espera até o preparo, preparo,
+// entrega e do recebimento até a entrega
+async function agruparTemposPreparo(client, filtros) {
+  const { condicoes, valores } = montarFiltroRelatorio(filtros, 'v');
+  const minutos = (fim, inicio) => `AVG(${sql.segundosEntre(fim, inicio)}) / 60`;
+
+  const result = await client.query(
+    `SELECT COALESCE(NULLIF(v.dados_pedido->>'tipo_pedido', ''), 'NAO_INFORMADO') AS tipo_pedido,
+            CAST(COUNT(*) AS INTEGER) AS quantidade,
+            ${minutos('v.em_preparo_em', 'v.recebido_em')} AS espera,
+            ${minutos('v.pronto_em', 'COALESCE(v.em_preparo_em, v.recebido_em)')} AS preparo,
+            ${minutos('v.entregue_em', 'v.saiu_para_entrega_em')} AS entrega,
+            ${minutos('v.entregue_em', 'v.recebido_em')} AS total
+     FROM vendas v
+     LEFT JOIN caixa_abertura ca ON ca.id = v.caixa_abertura_id
+     LEFT JOIN lojas lj ON lj.id = ca.loja_id
+     WHERE v.situacao = 'ATIVA' AND ${condicoes}
+       AND (v.em_preparo_em IS NOT NULL OR v.pronto_em IS NOT NULL OR v.entregue_em IS NOT NULL)
+     GROUP BY 1
+     ORDER BY quantidade DESC`,
+    valores
+  );
+
+  const arredondar = valor => (valor === null ? null : Math.round(parseFloat(valor) * 10) / 10);
+
+  return result.rows.map(linha => ({
+    tipo_pedido: linha.tipo_pedido,
+    quantidade: linha.quantidade,
+    espera_minutos: arredondar(linha.espera),
+    preparo_minutos: arredondar(linha.preparo),
+    entrega_minutos: arredondar(linha.entrega),
+    total_minutos: arredondar(linha.total)
+  }));
+}
+
+// Vendas canceladas e estornadas no período, fora dos totais
+async function resumirVendasEncerradas(client, filtros) {
+  const sistema = montarFiltroRelatorio(filtros, 'v');
+  const manuais = montarFiltroRelatorio(filtros, 'vm');
+
+  const result = await client.query(
+    `SELECT situacao, CAST(COUNT(*) AS INTEGER) AS quantidade, COALESCE(SUM(valor), 0) AS total
+     FROM (
+       SELECT v.situacao, v.valor_total AS valor
+       FROM vendas v
+       LEFT JOIN caixa_abertura ca ON ca.id = v.caixa_abertura_id
+       LEFT JOIN lojas lj ON lj.id = ca.loja_id
+       WHERE v.situacao <> 'ATIVA' AND ${sistema.condicoes}
+       UNION ALL
+       SELECT vm.situacao, vm.valor
+       FROM vendas_manuais vm
+       LEFT JOIN caixa_abertura ca ON ca.id = vm.caixa_abertura_id
+       LEFT JOIN lojas lj ON lj.id = ca.loja_id
+       WHERE vm.situacao <> 'ATIVA' AND ${manuais.condicoes}
+     ) encerradas
+     GROUP BY situacao`,
+    sistema.valores
+  );
+
+  const resumo = {
+    canceladas: { quantidade: 0, total: 0 },
+    estornadas: { quantidade: 0, total: 0 }
+  };
+
+  result.rows.forEach(linha => {
+    const chave = linha.situacao === 'CANCELADA' ? 'canceladas' : 'estornadas';
+    resumo[chave] = { quantidade: linha.quantidade, total: deCentavos(paraCentavos(linha.total)) };
+  });
+
+  return resumo;
+}
+
+// Relatório completo do período. filtros: data_inicio, data_fim (AAAA-MM-DD),
+// loja_id, terminal_id e caixa_abertura_id opcionais.
+async function gerarRelatorio(client, filtros) {
+  const porOrigem = await agruparVendas(client, filtros, 'vp.origem', '1');
+  const porFonte = await agruparVendas(client, filtros, 'vp.fonte', 'total DESC');
+  const porDia = await agruparVendas(client, filtros, diaOperacional('vp.data_venda', 'vp'), '1');
+  const porTipoPedido = await agruparVendas(client, filtros, 'vp.tipo_pedido', 'total DESC');
+  const porHora = await agruparVendas(client, filtros, horaLocal('vp.data_venda', 'vp'), '1');
+  const porTipoPagamento = await agruparPorTipoPagamento(client, filtros);
+  const porProduto = await agruparPorProduto(client, filtros);
+  const encerradas = await resumirVendasEncerradas(client, filtros);
+  const temposPreparo = await agruparTemposPreparo(client, filtros);
+
+  const somar = (linhas, campo) => linhas.reduce((total, linha) => total + linha[campo], 0);
+  const totalCentavos = porOrigem.reduce((total, linha) => total + paraCentavos(linha.total), 0);
+  const quantidadePedidos = somar(porOrigem, 'quantidade');
+  const origem = chave => {
+    const linha = porOrigem.find(item => item.chave === chave);
+    return linha ? { quantidade: linha.quantidade, total: linha.total } : { quantidade: 0, total: 0 };
+  };
+
+  const horas = porHora.map(linha => ({ hora: linha.chave, quantidade: linha.quantidade, total: linha.total }));
+
+  return {
+    periodo: {
+      data_inicio: filtros.data_inicio,
+      data_fim: filtros.data_fim
+    },
+    resumo: {
+      total_vendas: deCentavos(totalCentavos),
+      quantidade_pedidos: quantidadePedidos,
+      ticket_medio: ticketMedio(totalCentavos, quantidadePedidos),
+      vendas_sistema: origem('SISTEMA'),
+      vendas_manuais: origem('MANUAL'),
+      ...encerradas
+    },
+    por_dia: porDia.map(linha => ({ data: linha.chave, quantidade: linha.quantidade, total: linha.total })),
+    por_tipo_pagamento: porTipoPagamento,
+    por_fonte: porFonte.map(linha => ({
+      fonte: linha.chave,
+      nome: linha.chave === 'MANUAL' ? 'Manual' : nomeFonte(linha.chave),
+      quantidade: linha.quantidade,
+      total: linha.total,
+      ticket_medio: ticketMedio(paraCentavos(linha.total), linha.quantidade)
+    })),
+    por_tipo_pedido: porTipoPedido.map(linha => ({
+      tipo_pedido: linha.chave,
+      quantidade: linha.quantidade,
+      total: linha.total,
+      ticket_medio: ticketMedio(paraCentavos(linha.total), linha.quantidade)
+    })),
+    por_produto: porProduto,
+    por_hora: horas,
+    horarios_pico: [...horas].sort((a, b) => b.quantidade - a.quantidade || b.total - a.total).slice(0, 3),
+    tempos_preparo: temposPreparo
+  };
+}
+
+module.exports = {
+  gerarRelatorio
+};
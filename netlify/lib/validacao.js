@@ -0,0 +1,365 @@
+const { paraCentavos, deCentavos } = require('./dinheiro');
+
+// Validação declarativa das requisições. Cada rota descreve os campos de
+// params, query e body com as regras deste módulo:
+//
+//   app.post('/suprimentos', autenticarOperador, validar({
+//     body: {
+//       caixa_abertura_id: uuid({ obrigatorio: true }),
+//       valor: moeda({ obrigatorio: true })
+//     }
+//   }), async (req, res) => { ... });
+//
+// O middleware confere todos os campos antes do handler e troca os valores
+// pelos normalizados (números, booleanos, opções na grafia da lista). Campos
+// vazios (null ou "") contam como não informados e saem da requisição; campos
+// fora do esquema passam como vieram. Com algum erro, responde 400 com um
+// item por campo:
+//
+//   { success: false, codigo: 'DADOS_INVALIDOS', message: 'Dados inválidos',
+//     erros: [{ campo: 'valor', codigo: 'VALOR_MINIMO', mensagem: 'valor deve ser maior que zero' }] }
+
+const FORMATO_UUID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const FORMATO_DATA = /^\d{4}-\d{2}-\d{2}$/;
+const FORMATO_NUMERO = /^-?\d+(\.\d+)?$/;
+
+// Maior valor de uma coluna DECIMAL(10,2), usada em todos os valores em reais
+const VALOR_MAXIMO_CENTAVOS = 9999999999;
+
+// Código das respostas de erro que não informam o seu, pelo status HTTP
+const CODIGOS_STATUS = {
+  400: 'REQUISICAO_INVALIDA',
+  401: 'NAO_AUTENTICADO',
+  403: 'SEM_PERMISSAO',
+  404: 'NAO_ENCONTRADO',
+  409: 'CONFLITO',
+  413: 'CORPO_MUITO_GRANDE',
+  422: 'NAO_PROCESSAVEL',
+  500: 'ERRO_INTERNO',
+  503: 'INDISPONIVEL'
+};
+
+// Vazio, nulo ou ausente: o campo não foi informado
+function ausente(valor) {
+  return valor === undefined || valor === null || valor === '';
+}
+
+function adicionarErro(erros, campo, codigo, mensagem) {
+  erros.push({ campo, codigo, mensagem: `${campo} ${mensagem}` });
+}
+
+// Regra de um campo. "conferir" recebe o valor informado, registra os erros
+// em "erros" e devolve o valor normalizado.
+function regra(conferir, { obrigatorio = false } = {}) {
+  return { obrigatorio, conferir };
+}
+
+// Conferir um objeto campo a campo. Devolve só os campos informados, normalizados.
+function conferirEsquema(esquema, dados, prefixo, erros) {
+  const normalizados = {};
+
+  Object.entries(esquema).forEach(([nome, regraCampo]) => {
+    const campo = prefixo ? `${prefixo}.${nome}` : nome;
+    const valor = dados[nome];
+
+    if (ausente(valor) || (regraCampo.obrigatorio && typeof valor === 'string' && !valor.trim())) {
+      if (regraCampo.obrigatorio) adicionarErro(erros, campo, 'OBRIGATORIO', 'é obrigatório');
+      return;
+    }
+
+    normalizados[nome] = regraCampo.conferir(valor, campo, erros);
+  });
+
+  return normalizados;
+}
+
+// Texto livre. "formato" é uma expressão regular ou uma função que aceita o
+// texto; "descricao" completa a mensagem ("deve ser <descricao>").
+function texto({ maximo, formato, descricao, ...opcoes } = {}) {
+  return regra((valor, campo, erros) => {
+    if (typeof valor !== 'string' && typeof valor !== 'number') {
+      adicionarErro(erros, campo, 'TIPO_INVALIDO', 'deve ser um texto');
+      return valor;
+    }
+
+    const conteudo = String(valor);
+
+    if (maximo && conteudo.length > maximo) {
+      adicionarErro(erros, campo, 'TAMANHO_MAXIMO', `deve ter no máximo ${maximo} caracteres`);
+    } else if (formato && !(typeof formato === 'function' ? formato(conteudo) : formato.test(conteudo))) {
+      adicionarErro(erros, campo, 'FORMATO_INVALIDO', `deve ser ${descricao}`);
+    }
+
+    return conteudo;
+  }, opcoes);
+}
+
+function uuid(opcoes = {}) {
+  return texto({ formato: FORMATO_UUID, descricao: 'um identificador (UUID) válido', ...opcoes });
+}
+
+// Data no formato AAAA-MM-DD, que exista no calendário
+function dia(opcoes = {}) {
+  const dataValida = conteudo => FORMATO_DATA.test(conteudo)
+    && !Number.isNaN(Date.parse(conteudo))
+    && new Date(conteudo).toISOString().slice(0, 10) === conteudo;
+
+  return texto({ formato: dataValida, descricao: 'uma data no formato AAAA-MM-DD', ...opcoes });
+}
+
+// Um dos valores da lista, sem diferenciar maiúsculas; devolve a grafia da lista
+function opcao(lista, opcoes = {}) {
+  return regra((valor, campo, erros) => {
+    const encontrada = lista.find(item => String(item).toLowerCase() === String(valor).toLowerCase());
+
+    if (encontrada === undefined || typeof valor === 'object') {
+      adicionarErro(erros, campo, 'OPCAO_INVALIDA', `deve ser um de: ${lista.join(', ')}`);
+      return valor;
+    }
+
+    return encontrada;
+  }, opcoes);
+}
+
+// Limites de um número já convertido
+function conferirLimites(numero, campo, erros, { minimo, maximo, diferenteDeZero }) {
+  if (minimo !== undefined && numero < minimo) {
+    adicionarErro(erros, campo, 'VALOR_MINIMO', `deve ser no mínimo ${minimo}`);
+  } else if (maximo !== undefined && numero > maximo) {
+    adicionarErro(erros, campo, 'VALOR_MAXIMO', `deve ser no máximo ${maximo}`);
+  } else if (diferenteDeZero && numero === 0) {
+    adicionarErro(erros, campo, 'VALOR_ZERO', 'deve ser diferente de zero');
+  }
+}
+
+// Número (quantidades de estoque); aceita número ou texto numérico
+function numero({ minimo, maximo, diferenteDeZero, ...opcoes } = {}) {
+  return regra((valor, campo, erros) => {
+    const convertido = typeof valor === 'string' && FORMATO_NUMERO.test(valor.trim()) ? Number(valor) : valor;
+
+    if (typeof convertido !== 'number' || !Number.isFinite(convertido)) {
+      adicionarErro(erros, campo, 'TIPO_INVALIDO', 'deve ser um número');
+      return valor;
+    }
+
+    conferirLimites(convertido, campo, erros, { minimo, maximo, diferenteDeZero });
+    return convertido;
+  }, opcoes);
+}
+
+function inteiro({ minimo, maximo, ...opcoes } = {}) {
+  return regra((valor, campo, erros) => {
+    const convertido = typeof valor === 'string' && /^-?\d+$/.test(valor.trim()) ? Number(valor) : valor;
+
+    if (!Number.isInteger(convertido)) {
+      adicionarErro(erros, campo, 'TIPO_INVALIDO', 'deve ser um número inteiro');
+      return valor;
+    }
+
+    conferirLimites(convertido, campo, erros, { minimo, maximo });
+    return convertido;
+  }, opcoes);
+}
+
+// Valor em reais com até duas casas decimais, maior que zero (ou zero, com
+// permiteZero). Devolve o número já arredondado ao centavo.
+function moeda({ permiteZero = false, ...opcoes } = {}) {
+  return regra((valor, campo, erros) => {
+    // Números passam por toFixed para que 0.1 + 0.2 conte como 0.30
+    const conteudo = typeof valor === 'number' && Number.isFinite(valor) ? valor.toFixed(6) : String(valor).trim();
+
+    if ((typeof valor !== 'number' && typeof valor !== 'string') || !FORMATO_NUMERO.test(conteudo)) {
+      adicionarErro(erros, campo, 'TIPO_INVALIDO', 'deve ser um valor em reais, como 12.50');
+      return valor;
+    }
+
+    if ((conteudo.split('.')[1] || '').replace(/0+$/, '').length > 2) {
+      adicionarErro(erros, campo, 'CASAS_DECIMAIS', 'deve ter no máximo duas casas decimais');
+      return valor;
+    }
+
+    const centavos = paraCentavos(conteudo);
+
+    if (centavos < 0 || (centavos === 0 && !permiteZero)) {
+      adicionarErro(erros, campo, 'VALOR_MINIMO', permiteZero ? 'não pode ser negativo' : 'deve ser maior que zero');
+    } else if (centavos > VALOR_MAXIMO_CENTAVOS) {
+      adicionarErro(erros, campo, 'VALOR_MAXIMO', `deve ser no máximo ${deCentavos(VALOR_MAXIMO_CENTAVOS).toFixed(2)}`);
+    }
+
+    return deCentavos(centavos);
+  }, opcoes);
+}
+
+// true ou false; na query, os textos "true" e "false"
+function booleano(opcoes = {}) {
+  return regra((valor, campo, erros) => {
+    if (valor === true || valor === 'true') return true;
+    if (valor === false || valor === 'false') return false;
+
+    adicionarErro(erros, campo, 'TIPO_INVALIDO', 'deve ser true ou false');
+    return valor;
+  }, opcoes);
+}
+
+function objetoSimples(valor) {
+  return typeof valor === 'object' && valor !== null && !Array.isArray(valor);
+}
+
+// Objeto com os campos do esquema; os demais campos são mantidos
+function objeto(esquema, opcoes = {}) {
+  return regra((valor, campo, erros) => {
+    if (!objetoSimples(valor)) {
+      adicionarErro(erros, campo, 'TIPO_INVALIDO', 'deve ser um objeto');
+      return valor;
+    }
+
+    return { ...valor, ...conferirEsquema(esquema, valor, campo, erros) };
+  }, opcoes);
+}
+
+// Lista com itens da regra "item"
+function lista(item, { minimo, maximo, ...opcoes } = {}) {
+  return regra((valor, campo, erros) => {
+    if (!Array.isArray(valor)) {
+      adicionarErro(erros, campo, 'TIPO_INVALIDO', 'deve ser uma lista');
+      return valor;
+    }
+
+    if (minimo !== undefined && valor.length < minimo) {
+      adicionarErro(erros, campo, 'TAMANHO_MINIMO', `deve ter ao menos ${minimo} ${minimo === 1 ? 'item' : 'itens'}`);
+    } else if (maximo !== undefined && valor.length > maximo) {
+      adicionarErro(erros, campo, 'TAMANHO_MAXIMO', `deve ter no máximo ${maximo} itens`);
+    }
+
+    return valor.map((elemento, indice) => {
+      const campoItem = `${campo}[${indice}]`;
+
+      if (ausente(elemento)) {
+        adicionarErro(erros, campoItem, 'OBRIGATORIO', 'é obrigatório');
+        return elemento;
+      }
+
+      return item.conferir(elemento, campoItem, erros);
+    });
+  }, opcoes);
+}
+
+// Objeto usado como dicionário ({ "PIX": 120.5 }): cada chave passa pela
+// regra "chave" e cada valor pela regra "valor"
+function mapa(chave, valor, opcoes = {}) {
+  return regra((conteudo, campo, erros) => {
+    if (!objetoSimples(conteudo)) {
+      adicionarErro(erros, campo, 'TIPO_INVALIDO', 'deve ser um objeto');
+      return conteudo;
+    }
+
+    const normalizado = {};
+
+    Object.entries(conteudo).forEach(([nome, item]) => {
+      const campoItem = `${campo}.${nome}`;
+      const nomeNormalizado = chave.conferir(nome, campoItem, erros);
+
+      if (ausente(item)) {
+        adicionarErro(erros, campoItem, 'OBRIGATORIO', 'é obrigatório');
+        return;
+      }
+
+      normalizado[nomeNormalizado] = valor.conferir(item, campoItem, erros);
+    });
+
+    return normalizado;
+  }, opcoes);
+}
+
+// Middleware que confere params, query e body com os esquemas da rota
+function validar(esquemas) {
+  return (req, res, next) => {
+    const erros = [];
+    const normalizados = {};
+
+    ['params', 'query', 'body'].forEach(origem => {
+      if (!esquemas[origem]) return;
+
+      if (origem === 'body' && !objetoSimples(req.body)) {
+        req.body = {};
+      }
+
+      normalizados[origem] = conferirEsquema(esquemas[origem], req[origem], '', erros);
+    });
+
+    if (erros.length > 0) {
+      return res.status(400).json({
+        success: false,
+        codigo: 'DADOS_INVALIDOS',
+        message: 'Dados inválidos',
+        erros
+      });
+    }
+
+    Object.entries(normalizados).forEach(([origem, valores]) => {
+      Object.keys(esquemas[origem]).forEach(nome => {
+        if (ausente(req[origem][nome])) delete req[origem][nome];
+      });
+      Object.assign(req[origem], valores);
+    });
+    next();
+  };
+}
+
+// Middleware que inclui o "codigo" nas respostas de erro que não o trazem
+function incluirCodigoErro(req, res, next) {
+  const json = res.json.bind(res);
+
+  res.json = corpo => {
+    if (res.statusCode >= 400 && objetoSimples(corpo) && corpo.success === false && !corpo.codigo) {
+      return json({ success: false, codigo: CODIGOS_STATUS[res.statusCode] || CODIGOS_STATUS[500], ...corpo });
+    }
+    return json(corpo);
+  };
+
+  next();
+}
+
+// Tratador de erros do Express: JSON malformado e falhas não tratadas nas rotas,
+// sem expor a mensagem interna
+function tratarErroRequisicao(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      success: false,
+      codigo: 'JSON_INVALIDO',
+      message: 'O corpo da requisição não é um JSON válido'
+    });
+  }
+
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json({
+      success: false,
+      message: 'O corpo da requisição é grande demais'
+    });
+  }
+
+  console.error('Erro não tratado na requisição:', error);
+  res.status(500).json({
+    success: false,
+    message: 'Erro interno do servidor'
+  });
+}
+
+module.exports = {
+  validar,
+  incluirCodigoErro,
+  tratarErroRequisicao,
+  texto,
+  uuid,
+  dia,
+  opcao,
+  numero,
+  inteiro,
+  moeda,
+  booleano,
+  objeto,
+  lista,
+  mapa
+};
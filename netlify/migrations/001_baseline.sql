@@ -0,0 +1,257 @@
+-- Schema existente antes das migrações versionadas. Tudo usa IF NOT EXISTS para
+-- que bancos criados pelo antigo criarTabelas() sejam atualizados sem erro.
+
+-- Tabela caixa_abertura
+CREATE TABLE IF NOT EXISTS caixa_abertura (
+  id UUID PRIMARY KEY,
+  data_abertura TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  valor_inicial DECIMAL(10,2) NOT NULL,
+  observacao TEXT,
+  status TEXT DEFAULT 'ABERTO',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tabela vendas
+CREATE TABLE IF NOT EXISTS vendas (
+  id UUID PRIMARY KEY,
+  data_venda TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  dados_pedido JSONB NOT NULL,
+  tipo_pagamento TEXT DEFAULT 'PENDENTE',
+  valor_total DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE
+);
+
+-- Tabela retiradas
+CREATE TABLE IF NOT EXISTS retiradas (
+  id UUID PRIMARY KEY,
+  data_retirada TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  valor DECIMAL(10,2) NOT NULL,
+  observacao TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE
+);
+
+-- Tabela caixa_fechamento
+CREATE TABLE IF NOT EXISTS caixa_fechamento (
+  id UUID PRIMARY KEY,
+  data_fechamento TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  valor_abertura DECIMAL(10,2) NOT NULL,
+  total_vendas DECIMAL(10,2) NOT NULL,
+  retiradas DECIMAL(10,2) NOT NULL,
+  saldo_final DECIMAL(10,2) NOT NULL,
+  observacoes TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE
+);
+
+-- Tabela vendas_manuais
+CREATE TABLE IF NOT EXISTS vendas_manuais (
+  id UUID PRIMARY KEY,
+  data_venda TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  tipo_pagamento TEXT NOT NULL,
+  valor DECIMAL(10,2) NOT NULL,
+  descricao TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE
+);
+
+-- Tabela lojas
+CREATE TABLE IF NOT EXISTS lojas (
+  id UUID PRIMARY KEY,
+  nome TEXT NOT NULL,
+  codigo TEXT UNIQUE NOT NULL,
+  ativa BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tabela terminais (cada terminal pode ter o seu próprio caixa aberto)
+CREATE TABLE IF NOT EXISTS terminais (
+  id UUID PRIMARY KEY,
+  loja_id UUID REFERENCES lojas(id) ON DELETE CASCADE,
+  nome TEXT NOT NULL,
+  codigo TEXT NOT NULL,
+  recebe_pedidos BOOLEAN DEFAULT FALSE,
+  ativo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (loja_id, codigo)
+);
+
+ALTER TABLE caixa_abertura ADD COLUMN IF NOT EXISTS loja_id UUID REFERENCES lojas(id);
+ALTER TABLE caixa_abertura ADD COLUMN IF NOT EXISTS terminal_id UUID REFERENCES terminais(id);
+
+-- Loja e terminal padrão para bancos criados antes do suporte a várias lojas
+INSERT INTO lojas (id, nome, codigo)
+SELECT gen_random_uuid(), 'Loja Principal', 'principal'
+WHERE NOT EXISTS (SELECT 1 FROM lojas);
+
+INSERT INTO terminais (id, loja_id, nome, codigo, recebe_pedidos)
+SELECT gen_random_uuid(), l.id, 'Caixa 1', 'caixa-1', TRUE
+FROM lojas l
+WHERE l.codigo = 'principal' AND NOT EXISTS (SELECT 1 FROM terminais);
+
+UPDATE caixa_abertura c SET loja_id = t.loja_id, terminal_id = t.id
+FROM terminais t
+WHERE c.terminal_id IS NULL AND t.codigo = 'caixa-1'
+  AND t.loja_id = (SELECT id FROM lojas WHERE codigo = 'principal');
+
+-- Tabela operadores
+CREATE TABLE IF NOT EXISTS operadores (
+  id UUID PRIMARY KEY,
+  nome TEXT NOT NULL,
+  login TEXT UNIQUE NOT NULL,
+  senha_hash TEXT NOT NULL,
+  papel TEXT NOT NULL DEFAULT 'operador' CHECK (papel IN ('operador', 'gerente')),
+  ativo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tabela sessoes (tokens de acesso dos operadores)
+CREATE TABLE IF NOT EXISTS sessoes (
+  id UUID PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  operador_id UUID REFERENCES operadores(id) ON DELETE CASCADE,
+  expira_em TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Operador responsável por cada registro
+ALTER TABLE caixa_abertura ADD COLUMN IF NOT EXISTS operador_id UUID REFERENCES operadores(id);
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS operador_id UUID REFERENCES operadores(id);
+ALTER TABLE retiradas ADD COLUMN IF NOT EXISTS operador_id UUID REFERENCES operadores(id);
+ALTER TABLE caixa_fechamento ADD COLUMN IF NOT EXISTS operador_id UUID REFERENCES operadores(id);
+ALTER TABLE vendas_manuais ADD COLUMN IF NOT EXISTS operador_id UUID REFERENCES operadores(id);
+
+-- Identificação do pedido na origem (idempotência do webhook)
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS fonte TEXT;
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS id_externo TEXT;
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS hash_pedido TEXT;
+
+-- Tabela vendas_historico
+CREATE TABLE IF NOT EXISTS vendas_historico (
+  id UUID PRIMARY KEY,
+  venda_id UUID REFERENCES vendas(id) ON DELETE CASCADE,
+  dados_anteriores JSONB NOT NULL,
+  dados_novos JSONB NOT NULL,
+  origem TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tabela produtos
+CREATE TABLE IF NOT EXISTS produtos (
+  id UUID PRIMARY KEY,
+  nome TEXT NOT NULL,
+  nome_normalizado TEXT NOT NULL,
+  codigo_externo TEXT UNIQUE,
+  preco DECIMAL(10,2) DEFAULT 0,
+  controla_estoque BOOLEAN DEFAULT TRUE,
+  estoque DECIMAL(10,3) DEFAULT 0,
+  estoque_minimo DECIMAL(10,3) DEFAULT 0,
+  ativo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tabela produtos_aliases (nomes recebidos nos pedidos já mapeados a um produto)
+CREATE TABLE IF NOT EXISTS produtos_aliases (
+  nome_normalizado TEXT PRIMARY KEY,
+  produto_id UUID REFERENCES produtos(id) ON DELETE CASCADE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tabela produtos_nao_mapeados (nomes recebidos sem produto correspondente)
+CREATE TABLE IF NOT EXISTS produtos_nao_mapeados (
+  id UUID PRIMARY KEY,
+  nome_normalizado TEXT UNIQUE NOT NULL,
+  nome_produto TEXT NOT NULL,
+  codigo_externo TEXT,
+  ocorrencias INTEGER DEFAULT 1,
+  produto_id UUID REFERENCES produtos(id) ON DELETE SET NULL,
+  primeira_ocorrencia TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  ultima_ocorrencia TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tabela itens_venda
+CREATE TABLE IF NOT EXISTS itens_venda (
+  id UUID PRIMARY KEY,
+  venda_id UUID REFERENCES vendas(id) ON DELETE CASCADE,
+  produto_id UUID REFERENCES produtos(id) ON DELETE SET NULL,
+  nome_produto TEXT NOT NULL,
+  nome_normalizado TEXT NOT NULL,
+  codigo_externo TEXT,
+  quantidade DECIMAL(10,3) NOT NULL,
+  valor_unitario DECIMAL(10,2) NOT NULL,
+  adicionais JSONB DEFAULT '[]',
+  complementos JSONB DEFAULT '[]',
+  baixou_estoque BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tabela pedidos_pendentes (pedidos recebidos com o caixa fechado)
+CREATE TABLE IF NOT EXISTS pedidos_pendentes (
+  id UUID PRIMARY KEY,
+  fonte TEXT NOT NULL,
+  id_externo TEXT NOT NULL,
+  hash_pedido TEXT,
+  dados_pedido JSONB NOT NULL,
+  tipo_pagamento TEXT DEFAULT 'PENDENTE',
+  valor_total DECIMAL(10,2) NOT NULL,
+  data_pedido TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  status TEXT DEFAULT 'PENDENTE',
+  venda_id UUID REFERENCES vendas(id) ON DELETE SET NULL,
+  motivo_descarte TEXT,
+  resolvido_em TIMESTAMP WITH TIME ZONE,
+  resolvido_por UUID REFERENCES operadores(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (fonte, id_externo)
+);
+
+ALTER TABLE pedidos_pendentes ADD COLUMN IF NOT EXISTS resolvido_por UUID REFERENCES operadores(id);
+ALTER TABLE pedidos_pendentes ADD COLUMN IF NOT EXISTS loja_id UUID REFERENCES lojas(id);
+
+-- Tabela webhook_nonces (proteção contra replay)
+CREATE TABLE IF NOT EXISTS webhook_nonces (
+  nonce TEXT PRIMARY KEY,
+  recebido_em TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Tabela webhook_rejeicoes
+CREATE TABLE IF NOT EXISTS webhook_rejeicoes (
+  id UUID PRIMARY KEY,
+  motivo TEXT NOT NULL,
+  ip TEXT,
+  assinatura TEXT,
+  timestamp_enviado TEXT,
+  nonce TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Índices
+CREATE INDEX IF NOT EXISTS idx_vendas_manuais_caixa ON vendas_manuais(caixa_abertura_id);
+CREATE INDEX IF NOT EXISTS idx_vendas_manuais_tipo ON vendas_manuais(tipo_pagamento);
+CREATE INDEX IF NOT EXISTS idx_caixa_abertura_status ON caixa_abertura(status);
+CREATE INDEX IF NOT EXISTS idx_caixa_abertura_data ON caixa_abertura(data_abertura);
+CREATE INDEX IF NOT EXISTS idx_vendas_data ON vendas(data_venda);
+CREATE INDEX IF NOT EXISTS idx_vendas_caixa ON vendas(caixa_abertura_id);
+CREATE INDEX IF NOT EXISTS idx_retiradas_caixa ON retiradas(caixa_abertura_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendas_fonte_id_externo ON vendas(fonte, id_externo);
+CREATE INDEX IF NOT EXISTS idx_vendas_historico_venda ON vendas_historico(venda_id);
+CREATE INDEX IF NOT EXISTS idx_produtos_nome_normalizado ON produtos(nome_normalizado);
+CREATE INDEX IF NOT EXISTS idx_itens_venda_venda ON itens_venda(venda_id);
+CREATE INDEX IF NOT EXISTS idx_itens_venda_produto ON itens_venda(produto_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_caixa_aberto_terminal ON caixa_abertura(terminal_id) WHERE status = 'ABERTO';
+CREATE INDEX IF NOT EXISTS idx_caixa_abertura_loja ON caixa_abertura(loja_id);
+CREATE INDEX IF NOT EXISTS idx_sessoes_expira ON sessoes(expira_em);
+CREATE INDEX IF NOT EXISTS idx_pedidos_pendentes_status ON pedidos_pendentes(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_nonces_recebido ON webhook_nonces(recebido_em);
+CREATE INDEX IF NOT EXISTS idx_webhook_rejeicoes_data ON webhook_rejeicoes(created_at);
@@ -0,0 +1,21 @@
+const { registrarItensVenda } = require('../lib/catalogo');
+
+// Gerar os itens das vendas gravadas antes do catálogo existir (sem baixar estoque)
+async function up(client) {
+  const vendasResult = await client.query(
+    `SELECT v.id, v.dados_pedido FROM vendas v
+     WHERE jsonb_typeof(v.dados_pedido->'produtos') = 'array'
+       AND jsonb_array_length(v.dados_pedido->'produtos') > 0
+       AND NOT EXISTS (SELECT 1 FROM itens_venda i WHERE i.venda_id = v.id)`
+  );
+
+  for (const venda of vendasResult.rows) {
+    await registrarItensVenda(client, venda, { baixarEstoque: false });
+  }
+
+  if (vendasResult.rows.length > 0) {
+    console.log(`✅ Itens gerados para ${vendasResult.rows.length} vendas antigas`);
+  }
+}
+
+module.exports = { up };
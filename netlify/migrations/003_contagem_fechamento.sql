@@ -0,0 +1,8 @@
+-- Contagem cega no fechamento: valores contados, esperados e a divergência
+ALTER TABLE caixa_fechamento ADD COLUMN IF NOT EXISTS contagem_cedulas JSONB;
+ALTER TABLE caixa_fechamento ADD COLUMN IF NOT EXISTS valores_informados JSONB;
+ALTER TABLE caixa_fechamento ADD COLUMN IF NOT EXISTS valores_esperados JSONB;
+ALTER TABLE caixa_fechamento ADD COLUMN IF NOT EXISTS divergencias JSONB;
+ALTER TABLE caixa_fechamento ADD COLUMN IF NOT EXISTS divergencia_total DECIMAL(10,2);
+ALTER TABLE caixa_fechamento ADD COLUMN IF NOT EXISTS justificativa TEXT;
+ALTER TABLE caixa_fechamento ADD COLUMN IF NOT EXISTS justificado_por UUID REFERENCES operadores(id);
@@ -0,0 +1,22 @@
+-- Pagamentos de cada venda, permitindo dividir o total entre vários tipos
+CREATE TABLE IF NOT EXISTS pagamentos_venda (
+  id UUID PRIMARY KEY,
+  venda_id UUID NOT NULL REFERENCES vendas(id) ON DELETE CASCADE,
+  tipo_pagamento TEXT NOT NULL,
+  valor DECIMAL(10,2) NOT NULL CHECK (valor > 0),
+  valor_recebido DECIMAL(10,2),
+  troco DECIMAL(10,2) DEFAULT 0,
+  operador_id UUID REFERENCES operadores(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pagamentos_venda_venda ON pagamentos_venda(venda_id);
+
+-- Vendas já registradas passam a ter um único pagamento com o valor total
+INSERT INTO pagamentos_venda (id, venda_id, tipo_pagamento, valor, operador_id)
+SELECT gen_random_uuid(), v.id, v.tipo_pagamento, v.valor_total, v.operador_id
+FROM vendas v
+WHERE v.tipo_pagamento IS NOT NULL
+  AND v.tipo_pagamento <> 'PENDENTE'
+  AND v.valor_total > 0
+  AND NOT EXISTS (SELECT 1 FROM pagamentos_venda p WHERE p.venda_id = v.id);
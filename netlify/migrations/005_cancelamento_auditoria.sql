@@ -0,0 +1,40 @@
+-- Situação das vendas: ATIVA, CANCELADA (no próprio caixa) ou ESTORNADA (depois do fechamento)
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS situacao TEXT NOT NULL DEFAULT 'ATIVA';
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS motivo_cancelamento TEXT;
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS cancelada_em TIMESTAMP WITH TIME ZONE;
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS cancelada_por UUID REFERENCES operadores(id);
+
+ALTER TABLE vendas_manuais ADD COLUMN IF NOT EXISTS situacao TEXT NOT NULL DEFAULT 'ATIVA';
+ALTER TABLE vendas_manuais ADD COLUMN IF NOT EXISTS motivo_cancelamento TEXT;
+ALTER TABLE vendas_manuais ADD COLUMN IF NOT EXISTS cancelada_em TIMESTAMP WITH TIME ZONE;
+ALTER TABLE vendas_manuais ADD COLUMN IF NOT EXISTS cancelada_por UUID REFERENCES operadores(id);
+
+-- Estornos: devolução ao cliente de uma venda de caixa já fechado, lançada no caixa aberto
+CREATE TABLE IF NOT EXISTS estornos (
+  id UUID PRIMARY KEY,
+  venda_id UUID REFERENCES vendas(id) ON DELETE CASCADE,
+  venda_manual_id UUID REFERENCES vendas_manuais(id) ON DELETE CASCADE,
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE,
+  tipo_pagamento TEXT NOT NULL,
+  valor DECIMAL(10,2) NOT NULL,
+  motivo TEXT NOT NULL,
+  operador_id UUID REFERENCES operadores(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Auditoria: estado anterior e posterior de cada alteração
+CREATE TABLE IF NOT EXISTS auditoria (
+  id UUID PRIMARY KEY,
+  entidade TEXT NOT NULL,
+  entidade_id TEXT NOT NULL,
+  acao TEXT NOT NULL,
+  dados_anteriores JSONB,
+  dados_novos JSONB,
+  operador_id UUID REFERENCES operadores(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_vendas_situacao ON vendas(situacao);
+CREATE INDEX IF NOT EXISTS idx_estornos_caixa ON estornos(caixa_abertura_id);
+CREATE INDEX IF NOT EXISTS idx_auditoria_entidade ON auditoria(entidade, entidade_id);
+CREATE INDEX IF NOT EXISTS idx_auditoria_data ON auditoria(created_at);
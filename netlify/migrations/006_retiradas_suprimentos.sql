@@ -0,0 +1,26 @@
+-- Retiradas com categoria e anulação (com motivo) no lugar da exclusão
+ALTER TABLE retiradas ADD COLUMN IF NOT EXISTS categoria TEXT NOT NULL DEFAULT 'SANGRIA';
+ALTER TABLE retiradas ADD COLUMN IF NOT EXISTS situacao TEXT NOT NULL DEFAULT 'ATIVA';
+ALTER TABLE retiradas ADD COLUMN IF NOT EXISTS motivo_cancelamento TEXT;
+ALTER TABLE retiradas ADD COLUMN IF NOT EXISTS cancelada_em TIMESTAMP WITH TIME ZONE;
+ALTER TABLE retiradas ADD COLUMN IF NOT EXISTS cancelada_por UUID REFERENCES operadores(id);
+
+-- Suprimentos: dinheiro colocado na gaveta durante o turno
+CREATE TABLE IF NOT EXISTS suprimentos (
+  id UUID PRIMARY KEY,
+  data_suprimento TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  valor DECIMAL(10,2) NOT NULL CHECK (valor > 0),
+  observacao TEXT,
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE,
+  operador_id UUID REFERENCES operadores(id),
+  situacao TEXT NOT NULL DEFAULT 'ATIVA',
+  motivo_cancelamento TEXT,
+  cancelada_em TIMESTAMP WITH TIME ZONE,
+  cancelada_por UUID REFERENCES operadores(id),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE caixa_fechamento ADD COLUMN IF NOT EXISTS suprimentos DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_suprimentos_caixa ON suprimentos(caixa_abertura_id);
@@ -0,0 +1,20 @@
+-- Andamento dos pedidos na cozinha e na entrega, com o horário de cada etapa
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS status_pedido TEXT;
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS recebido_em TIMESTAMP WITH TIME ZONE;
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS em_preparo_em TIMESTAMP WITH TIME ZONE;
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS pronto_em TIMESTAMP WITH TIME ZONE;
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS saiu_para_entrega_em TIMESTAMP WITH TIME ZONE;
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS entregue_em TIMESTAMP WITH TIME ZONE;
+
+-- Pedidos anteriores ao quadro já foram atendidos: não voltam para a cozinha
+UPDATE vendas
+SET status_pedido = CASE WHEN situacao = 'ATIVA' THEN 'ENTREGUE' ELSE 'CANCELADO' END,
+    recebido_em = data_venda
+WHERE status_pedido IS NULL;
+
+ALTER TABLE vendas ALTER COLUMN status_pedido SET DEFAULT 'RECEBIDO';
+ALTER TABLE vendas ALTER COLUMN status_pedido SET NOT NULL;
+ALTER TABLE vendas ALTER COLUMN recebido_em SET DEFAULT NOW();
+
+CREATE INDEX IF NOT EXISTS idx_vendas_status_pedido ON vendas(status_pedido)
+  WHERE status_pedido NOT IN ('ENTREGUE', 'CANCELADO');
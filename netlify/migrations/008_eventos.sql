@@ -0,0 +1,13 @@
+-- Eventos para as telas abertas acompanharem vendas, retiradas e o caixa
+-- (GET /eventos?since=<id>). São apagados depois de um dia.
+CREATE TABLE IF NOT EXISTS eventos (
+  id BIGSERIAL PRIMARY KEY,
+  tipo TEXT NOT NULL,
+  loja_id UUID REFERENCES lojas(id) ON DELETE CASCADE,
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE,
+  entidade_id TEXT,
+  dados JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_eventos_created_at ON eventos(created_at);
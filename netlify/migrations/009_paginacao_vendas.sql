@@ -0,0 +1,5 @@
+-- Listagem paginada de vendas (GET /vendas): o cursor é a posição na
+-- ordenação com o id como desempate
+CREATE INDEX IF NOT EXISTS idx_vendas_data_id ON vendas(data_venda, id);
+CREATE INDEX IF NOT EXISTS idx_vendas_caixa_data_id ON vendas(caixa_abertura_id, data_venda, id);
+CREATE INDEX IF NOT EXISTS idx_vendas_valor_id ON vendas(valor_total, id);
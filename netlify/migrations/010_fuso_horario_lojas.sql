@@ -0,0 +1,8 @@
+-- Fuso horário e hora de corte do dia operacional de cada loja. As datas das
+-- consultas e relatórios contam do corte de um dia ao corte do seguinte, no
+-- horário local da loja.
+ALTER TABLE lojas ADD COLUMN IF NOT EXISTS fuso_horario TEXT NOT NULL DEFAULT 'America/Sao_Paulo';
+ALTER TABLE lojas ADD COLUMN IF NOT EXISTS hora_corte INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE lojas DROP CONSTRAINT IF EXISTS lojas_hora_corte_check;
+ALTER TABLE lojas ADD CONSTRAINT lojas_hora_corte_check CHECK (hora_corte BETWEEN 0 AND 23);
@@ -0,0 +1,26 @@
+-- Clientes dos pedidos, identificados pelo telefone normalizado (só dígitos,
+-- sem o 55 do país), com os endereços usados nas entregas
+CREATE TABLE IF NOT EXISTS clientes (
+  id UUID PRIMARY KEY,
+  telefone TEXT UNIQUE NOT NULL,
+  nome TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS enderecos_cliente (
+  id UUID PRIMARY KEY,
+  cliente_id UUID NOT NULL REFERENCES clientes(id) ON DELETE CASCADE,
+  endereco TEXT NOT NULL,
+  endereco_normalizado TEXT NOT NULL,
+  ultimo_uso TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  UNIQUE (cliente_id, endereco_normalizado)
+);
+
+-- Cliente da venda e pontos de fidelidade ganhos com ela; o saldo soma os
+-- pontos das vendas ativas, então cancelamentos e estornos já os descontam
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS cliente_id UUID REFERENCES clientes(id);
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS pontos INTEGER NOT NULL DEFAULT 0;
+
+CREATE INDEX IF NOT EXISTS idx_vendas_cliente ON vendas(cliente_id, data_venda);
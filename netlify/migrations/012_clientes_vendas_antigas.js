@@ -0,0 +1,24 @@
+const { registrarClienteVenda } = require('../lib/clientes');
+
+// Cadastrar os clientes das vendas gravadas antes do cadastro existir, da mais
+// antiga para a mais recente, para que o nome mais recente prevaleça
+async function up(client) {
+  const vendasResult = await client.query(
+    `SELECT v.id, v.dados_pedido, v.valor_total, v.data_venda, v.cliente_id FROM vendas v
+     WHERE v.cliente_id IS NULL
+       AND COALESCE(v.dados_pedido->>'telefone_cliente', '') <> ''
+     ORDER BY v.data_venda`
+  );
+
+  let vinculadas = 0;
+
+  for (const venda of vendasResult.rows) {
+    if (await registrarClienteVenda(client, venda)) vinculadas++;
+  }
+
+  if (vinculadas > 0) {
+    console.log(`✅ Clientes vinculados a ${vinculadas} vendas antigas`);
+  }
+}
+
+module.exports = { up };
@@ -0,0 +1,25 @@
+-- Entregadores que levam os pedidos delivery
+CREATE TABLE IF NOT EXISTS entregadores (
+  id UUID PRIMARY KEY,
+  nome TEXT NOT NULL,
+  telefone TEXT,
+  ativo BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Taxa de entrega do pedido (parte do valor_total) e entregador que o levou
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS taxa_entrega DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE vendas ADD COLUMN IF NOT EXISTS entregador_id UUID REFERENCES entregadores(id);
+
+UPDATE vendas
+SET taxa_entrega = (dados_pedido->>'taxa_entrega')::DECIMAL(10,2)
+WHERE dados_pedido->>'taxa_entrega' ~ '^[0-9]+(\.[0-9]{1,2})?$';
+
+-- Pagamento ao entregador, feito com uma retirada da gaveta (categoria ENTREGADOR)
+ALTER TABLE retiradas ADD COLUMN IF NOT EXISTS entregador_id UUID REFERENCES entregadores(id);
+
+-- Acerto de cada entregador apurado no fechamento, para o comprovante
+ALTER TABLE caixa_fechamento ADD COLUMN IF NOT EXISTS acerto_entregadores JSONB NOT NULL DEFAULT '[]';
+
+CREATE INDEX IF NOT EXISTS idx_vendas_entregador ON vendas(entregador_id) WHERE entregador_id IS NOT NULL;
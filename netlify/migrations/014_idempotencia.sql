@@ -0,0 +1,17 @@
+-- Respostas das escritas enviadas com o cabeçalho Idempotency-Key, por
+-- operador: a repetição da mesma requisição devolve a resposta guardada em vez
+-- de gravar de novo (fila offline do PDV)
+CREATE TABLE IF NOT EXISTS requisicoes_idempotentes (
+  operador_id UUID NOT NULL REFERENCES operadores(id) ON DELETE CASCADE,
+  chave TEXT NOT NULL,
+  metodo TEXT NOT NULL,
+  rota TEXT NOT NULL,
+  hash_corpo TEXT NOT NULL,
+  status_http INTEGER,
+  resposta JSONB,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  concluida_em TIMESTAMP WITH TIME ZONE,
+  PRIMARY KEY (operador_id, chave)
+);
+
+CREATE INDEX IF NOT EXISTS idx_requisicoes_idempotentes_data ON requisicoes_idempotentes(created_at);
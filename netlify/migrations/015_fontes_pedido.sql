@@ -0,0 +1,6 @@
+-- Origem de cada venda: as vendas sem fonte vieram do cardapio.ai, a única
+-- origem antes dos adaptadores de fontes
+UPDATE vendas SET fonte = 'cardapio.ai' WHERE fonte IS NULL;
+
+-- Fonte do webhook recusado
+ALTER TABLE webhook_rejeicoes ADD COLUMN IF NOT EXISTS fonte TEXT;
@@ -0,0 +1,388 @@
+-- Schema do armazenamento SQLite, equivalente às migrações 001 a 015 do
+-- PostgreSQL. Os tipos mantêm os nomes do PostgreSQL: a camada de
+-- armazenamento converte os valores lidos pelo tipo declarado (TIMESTAMPTZ,
+-- BOOLEAN, JSONB, DECIMAL). Instantes são gravados em ISO 8601 UTC.
+
+CREATE TABLE IF NOT EXISTS lojas (
+  id UUID PRIMARY KEY,
+  nome TEXT NOT NULL,
+  codigo TEXT UNIQUE NOT NULL,
+  ativa BOOLEAN DEFAULT TRUE,
+  fuso_horario TEXT NOT NULL DEFAULT 'America/Sao_Paulo',
+  hora_corte INTEGER NOT NULL DEFAULT 0 CHECK (hora_corte BETWEEN 0 AND 23),
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Cada terminal pode ter o seu próprio caixa aberto
+CREATE TABLE IF NOT EXISTS terminais (
+  id UUID PRIMARY KEY,
+  loja_id UUID REFERENCES lojas(id) ON DELETE CASCADE,
+  nome TEXT NOT NULL,
+  codigo TEXT NOT NULL,
+  recebe_pedidos BOOLEAN DEFAULT FALSE,
+  ativo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (loja_id, codigo)
+);
+
+CREATE TABLE IF NOT EXISTS operadores (
+  id UUID PRIMARY KEY,
+  nome TEXT NOT NULL,
+  login TEXT UNIQUE NOT NULL,
+  senha_hash TEXT NOT NULL,
+  papel TEXT NOT NULL DEFAULT 'operador' CHECK (papel IN ('operador', 'gerente')),
+  ativo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS sessoes (
+  id UUID PRIMARY KEY,
+  token_hash TEXT UNIQUE NOT NULL,
+  operador_id UUID REFERENCES operadores(id) ON DELETE CASCADE,
+  expira_em TIMESTAMPTZ NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS caixa_abertura (
+  id UUID PRIMARY KEY,
+  data_abertura TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  valor_inicial DECIMAL(10,2) NOT NULL,
+  observacao TEXT,
+  status TEXT DEFAULT 'ABERTO',
+  loja_id UUID REFERENCES lojas(id),
+  terminal_id UUID REFERENCES terminais(id),
+  operador_id UUID REFERENCES operadores(id),
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS clientes (
+  id UUID PRIMARY KEY,
+  telefone TEXT UNIQUE NOT NULL,
+  nome TEXT NOT NULL DEFAULT '',
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS enderecos_cliente (
+  id UUID PRIMARY KEY,
+  cliente_id UUID NOT NULL REFERENCES clientes(id) ON DELETE CASCADE,
+  endereco TEXT NOT NULL,
+  endereco_normalizado TEXT NOT NULL,
+  ultimo_uso TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (cliente_id, endereco_normalizado)
+);
+
+CREATE TABLE IF NOT EXISTS entregadores (
+  id UUID PRIMARY KEY,
+  nome TEXT NOT NULL,
+  telefone TEXT,
+  ativo BOOLEAN NOT NULL DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS vendas (
+  id UUID PRIMARY KEY,
+  data_venda TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  dados_pedido JSONB NOT NULL,
+  tipo_pagamento TEXT DEFAULT 'PENDENTE',
+  valor_total DECIMAL(10,2) NOT NULL,
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE,
+  operador_id UUID REFERENCES operadores(id),
+  fonte TEXT,
+  id_externo TEXT,
+  hash_pedido TEXT,
+  situacao TEXT NOT NULL DEFAULT 'ATIVA',
+  motivo_cancelamento TEXT,
+  cancelada_em TIMESTAMPTZ,
+  cancelada_por UUID REFERENCES operadores(id),
+  status_pedido TEXT NOT NULL DEFAULT 'RECEBIDO',
+  recebido_em TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  em_preparo_em TIMESTAMPTZ,
+  pronto_em TIMESTAMPTZ,
+  saiu_para_entrega_em TIMESTAMPTZ,
+  entregue_em TIMESTAMPTZ,
+  cliente_id UUID REFERENCES clientes(id),
+  pontos INTEGER NOT NULL DEFAULT 0,
+  taxa_entrega DECIMAL(10,2) NOT NULL DEFAULT 0,
+  entregador_id UUID REFERENCES entregadores(id),
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS pagamentos_venda (
+  id UUID PRIMARY KEY,
+  venda_id UUID NOT NULL REFERENCES vendas(id) ON DELETE CASCADE,
+  tipo_pagamento TEXT NOT NULL,
+  valor DECIMAL(10,2) NOT NULL CHECK (valor > 0),
+  valor_recebido DECIMAL(10,2),
+  troco DECIMAL(10,2) DEFAULT 0,
+  operador_id UUID REFERENCES operadores(id),
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS vendas_historico (
+  id UUID PRIMARY KEY,
+  venda_id UUID REFERENCES vendas(id) ON DELETE CASCADE,
+  dados_anteriores JSONB NOT NULL,
+  dados_novos JSONB NOT NULL,
+  origem TEXT,
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS vendas_manuais (
+  id UUID PRIMARY KEY,
+  data_venda TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  tipo_pagamento TEXT NOT NULL,
+  valor DECIMAL(10,2) NOT NULL,
+  descricao TEXT,
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE,
+  operador_id UUID REFERENCES operadores(id),
+  situacao TEXT NOT NULL DEFAULT 'ATIVA',
+  motivo_cancelamento TEXT,
+  cancelada_em TIMESTAMPTZ,
+  cancelada_por UUID REFERENCES operadores(id),
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS retiradas (
+  id UUID PRIMARY KEY,
+  data_retirada TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  valor DECIMAL(10,2) NOT NULL,
+  observacao TEXT,
+  categoria TEXT NOT NULL DEFAULT 'SANGRIA',
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE,
+  operador_id UUID REFERENCES operadores(id),
+  entregador_id UUID REFERENCES entregadores(id),
+  situacao TEXT NOT NULL DEFAULT 'ATIVA',
+  motivo_cancelamento TEXT,
+  cancelada_em TIMESTAMPTZ,
+  cancelada_por UUID REFERENCES operadores(id),
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS suprimentos (
+  id UUID PRIMARY KEY,
+  data_suprimento TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  valor DECIMAL(10,2) NOT NULL CHECK (valor > 0),
+  observacao TEXT,
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE,
+  operador_id UUID REFERENCES operadores(id),
+  situacao TEXT NOT NULL DEFAULT 'ATIVA',
+  motivo_cancelamento TEXT,
+  cancelada_em TIMESTAMPTZ,
+  cancelada_por UUID REFERENCES operadores(id),
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS caixa_fechamento (
+  id UUID PRIMARY KEY,
+  data_fechamento TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  valor_abertura DECIMAL(10,2) NOT NULL,
+  total_vendas DECIMAL(10,2) NOT NULL,
+  retiradas DECIMAL(10,2) NOT NULL,
+  suprimentos DECIMAL(10,2) NOT NULL DEFAULT 0,
+  saldo_final DECIMAL(10,2) NOT NULL,
+  observacoes TEXT,
+  contagem_cedulas JSONB,
+  valores_informados JSONB,
+  valores_esperados JSONB,
+  divergencias JSONB,
+  divergencia_total DECIMAL(10,2),
+  justificativa TEXT,
+  justificado_por UUID REFERENCES operadores(id),
+  acerto_entregadores JSONB NOT NULL DEFAULT '[]',
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE,
+  operador_id UUID REFERENCES operadores(id),
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS estornos (
+  id UUID PRIMARY KEY,
+  venda_id UUID REFERENCES vendas(id) ON DELETE CASCADE,
+  venda_manual_id UUID REFERENCES vendas_manuais(id) ON DELETE CASCADE,
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE,
+  tipo_pagamento TEXT NOT NULL,
+  valor DECIMAL(10,2) NOT NULL,
+  motivo TEXT NOT NULL,
+  operador_id UUID REFERENCES operadores(id),
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS auditoria (
+  id UUID PRIMARY KEY,
+  entidade TEXT NOT NULL,
+  entidade_id TEXT NOT NULL,
+  acao TEXT NOT NULL,
+  dados_anteriores JSONB,
+  dados_novos JSONB,
+  operador_id UUID REFERENCES operadores(id),
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS produtos (
+  id UUID PRIMARY KEY,
+  nome TEXT NOT NULL,
+  nome_normalizado TEXT NOT NULL,
+  codigo_externo TEXT UNIQUE,
+  preco DECIMAL(10,2) DEFAULT 0,
+  controla_estoque BOOLEAN DEFAULT TRUE,
+  estoque DECIMAL(10,3) DEFAULT 0,
+  estoque_minimo DECIMAL(10,3) DEFAULT 0,
+  ativo BOOLEAN DEFAULT TRUE,
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS produtos_aliases (
+  nome_normalizado TEXT PRIMARY KEY,
+  produto_id UUID REFERENCES produtos(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS produtos_nao_mapeados (
+  id UUID PRIMARY KEY,
+  nome_normalizado TEXT UNIQUE NOT NULL,
+  nome_produto TEXT NOT NULL,
+  codigo_externo TEXT,
+  ocorrencias INTEGER DEFAULT 1,
+  produto_id UUID REFERENCES produtos(id) ON DELETE SET NULL,
+  primeira_ocorrencia TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  ultima_ocorrencia TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS itens_venda (
+  id UUID PRIMARY KEY,
+  venda_id UUID REFERENCES vendas(id) ON DELETE CASCADE,
+  produto_id UUID REFERENCES produtos(id) ON DELETE SET NULL,
+  nome_produto TEXT NOT NULL,
+  nome_normalizado TEXT NOT NULL,
+  codigo_externo TEXT,
+  quantidade DECIMAL(10,3) NOT NULL,
+  valor_unitario DECIMAL(10,2) NOT NULL,
+  adicionais JSONB DEFAULT '[]',
+  complementos JSONB DEFAULT '[]',
+  baixou_estoque BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Pedidos recebidos com o caixa fechado
+CREATE TABLE IF NOT EXISTS pedidos_pendentes (
+  id UUID PRIMARY KEY,
+  fonte TEXT NOT NULL,
+  id_externo TEXT NOT NULL,
+  hash_pedido TEXT,
+  dados_pedido JSONB NOT NULL,
+  tipo_pagamento TEXT DEFAULT 'PENDENTE',
+  valor_total DECIMAL(10,2) NOT NULL,
+  data_pedido TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  status TEXT DEFAULT 'PENDENTE',
+  venda_id UUID REFERENCES vendas(id) ON DELETE SET NULL,
+  loja_id UUID REFERENCES lojas(id),
+  motivo_descarte TEXT,
+  resolvido_em TIMESTAMPTZ,
+  resolvido_por UUID REFERENCES operadores(id),
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  updated_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  UNIQUE (fonte, id_externo)
+);
+
+CREATE TABLE IF NOT EXISTS webhook_nonces (
+  nonce TEXT PRIMARY KEY,
+  recebido_em TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+CREATE TABLE IF NOT EXISTS webhook_rejeicoes (
+  id UUID PRIMARY KEY,
+  fonte TEXT,
+  motivo TEXT NOT NULL,
+  ip TEXT,
+  assinatura TEXT,
+  timestamp_enviado TEXT,
+  nonce TEXT,
+  user_agent TEXT,
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Eventos para as telas abertas (GET /eventos?since=<id>)
+CREATE TABLE IF NOT EXISTS eventos (
+  id INTEGER PRIMARY KEY AUTOINCREMENT,
+  tipo TEXT NOT NULL,
+  loja_id UUID REFERENCES lojas(id) ON DELETE CASCADE,
+  caixa_abertura_id UUID REFERENCES caixa_abertura(id) ON DELETE CASCADE,
+  entidade_id TEXT,
+  dados JSONB,
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))
+);
+
+-- Respostas das escritas enviadas com Idempotency-Key
+CREATE TABLE IF NOT EXISTS requisicoes_idempotentes (
+  operador_id UUID NOT NULL REFERENCES operadores(id) ON DELETE CASCADE,
+  chave TEXT NOT NULL,
+  metodo TEXT NOT NULL,
+  rota TEXT NOT NULL,
+  hash_corpo TEXT NOT NULL,
+  status_http INTEGER,
+  resposta JSONB,
+  created_at TIMESTAMPTZ DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ', 'now')),
+  concluida_em TIMESTAMPTZ,
+  PRIMARY KEY (operador_id, chave)
+);
+
+-- Loja e terminal padrão
+INSERT INTO lojas (id, nome, codigo)
+SELECT lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-'
+  || substr('89ab', 1 + abs(random()) % 4, 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6))),
+  'Loja Principal', 'principal'
+WHERE NOT EXISTS (SELECT 1 FROM lojas);
+
+INSERT INTO terminais (id, loja_id, nome, codigo, recebe_pedidos)
+SELECT lower(hex(randomblob(4)) || '-' || hex(randomblob(2)) || '-4' || substr(hex(randomblob(2)), 2) || '-'
+  || substr('89ab', 1 + abs(random()) % 4, 1) || substr(hex(randomblob(2)), 2) || '-' || hex(randomblob(6))),
+  l.id, 'Caixa 1', 'caixa-1', TRUE
+FROM lojas l
+WHERE l.codigo = 'principal' AND NOT EXISTS (SELECT 1 FROM terminais);
+
+-- Índices
+CREATE INDEX IF NOT EXISTS idx_vendas_manuais_caixa ON vendas_manuais(caixa_abertura_id);
+CREATE INDEX IF NOT EXISTS idx_vendas_manuais_tipo ON vendas_manuais(tipo_pagamento);
+CREATE INDEX IF NOT EXISTS idx_caixa_abertura_status ON caixa_abertura(status);
+CREATE INDEX IF NOT EXISTS idx_caixa_abertura_data ON caixa_abertura(data_abertura);
+CREATE INDEX IF NOT EXISTS idx_caixa_abertura_loja ON caixa_abertura(loja_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_caixa_aberto_terminal ON caixa_abertura(terminal_id) WHERE status = 'ABERTO';
+CREATE INDEX IF NOT EXISTS idx_vendas_data ON vendas(data_venda);
+CREATE INDEX IF NOT EXISTS idx_vendas_caixa ON vendas(caixa_abertura_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_vendas_fonte_id_externo ON vendas(fonte, id_externo);
+CREATE INDEX IF NOT EXISTS idx_vendas_situacao ON vendas(situacao);
+CREATE INDEX IF NOT EXISTS idx_vendas_status_pedido ON vendas(status_pedido)
+  WHERE status_pedido NOT IN ('ENTREGUE', 'CANCELADO');
+CREATE INDEX IF NOT EXISTS idx_vendas_data_id ON vendas(data_venda, id);
+CREATE INDEX IF NOT EXISTS idx_vendas_caixa_data_id ON vendas(caixa_abertura_id, data_venda, id);
+CREATE INDEX IF NOT EXISTS idx_vendas_valor_id ON vendas(valor_total, id);
+CREATE INDEX IF NOT EXISTS idx_vendas_cliente ON vendas(cliente_id, data_venda);
+CREATE INDEX IF NOT EXISTS idx_vendas_entregador ON vendas(entregador_id) WHERE entregador_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_pagamentos_venda_venda ON pagamentos_venda(venda_id);
+CREATE INDEX IF NOT EXISTS idx_vendas_historico_venda ON vendas_historico(venda_id);
+CREATE INDEX IF NOT EXISTS idx_retiradas_caixa ON retiradas(caixa_abertura_id);
+CREATE INDEX IF NOT EXISTS idx_suprimentos_caixa ON suprimentos(caixa_abertura_id);
+CREATE INDEX IF NOT EXISTS idx_estornos_caixa ON estornos(caixa_abertura_id);
+CREATE INDEX IF NOT EXISTS idx_auditoria_entidade ON auditoria(entidade, entidade_id);
+CREATE INDEX IF NOT EXISTS idx_auditoria_data ON auditoria(created_at);
+CREATE INDEX IF NOT EXISTS idx_produtos_nome_normalizado ON produtos(nome_normalizado);
+CREATE INDEX IF NOT EXISTS idx_itens_venda_venda ON itens_venda(venda_id);
+CREATE INDEX IF NOT EXISTS idx_itens_venda_produto ON itens_venda(produto_id);
+CREATE INDEX IF NOT EXISTS idx_sessoes_expira ON sessoes(expira_em);
+CREATE INDEX IF NOT EXISTS idx_pedidos_pendentes_status ON pedidos_pendentes(status);
+CREATE INDEX IF NOT EXISTS idx_webhook_nonces_recebido ON webhook_nonces(recebido_em);
+CREATE INDEX IF NOT EXISTS idx_webhook_rejeicoes_data ON webhook_rejeicoes(created_at);
+CREATE INDEX IF NOT EXISTS idx_eventos_created_at ON eventos(created_at);
+CREATE INDEX IF NOT EXISTS idx_requisicoes_idempotentes_data ON requisicoes_idempotentes(created_at);
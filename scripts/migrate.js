@@ -0,0 +1,42 @@
+// Aplica as migrações pendentes do banco ou mostra a situação de cada uma.
+//
+//   npm run migrate          aplica as migrações pendentes
+//   npm run migrate:status   lista aplicadas, pendentes e alteradas
+require('dotenv').config();
+
+const { pool } = require('../netlify/lib/db');
+const { aplicarMigracoes, statusMigracoes } = require('../netlify/lib/migracoes');
+
+async function main() {
+  const comando = process.argv[2] || 'up';
+
+  if (comando === 'status') {
+    const migracoes = await statusMigracoes(pool);
+
+    migracoes.forEach(m => {
+      const data = m.aplicada_em ? new Date(m.aplicada_em).toLocaleString('pt-BR') : '';
+      console.log(`${m.status.padEnd(9)} ${m.nome} ${data}`.trim());
+    });
+
+    if (migracoes.some(m => m.status === 'alterada')) {
+      console.warn('⚠️ Há migrações alteradas depois de aplicadas; crie uma nova migração em vez de editar as antigas.');
+    }
+    return;
+  }
+
+  if (comando !== 'up') {
+    throw new Error(`Comando desconhecido: ${comando} (use "up" ou "status")`);
+  }
+
+  const aplicadas = await aplicarMigracoes(pool);
+  console.log(aplicadas.length > 0
+    ? `✅ ${aplicadas.length} migração(ões) aplicada(s)`
+    : '✅ Banco já está atualizado');
+}
+
+main()
+  .catch(error => {
+    console.error('❌ Erro nas migrações:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
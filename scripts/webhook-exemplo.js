@@ -0,0 +1,65 @@
+// Envia o pedido de exemplo de uma fonte (netlify/lib/fontes/exemplos) ao
+// webhook, assinado como a origem assina, para testar o adaptador de ponta a ponta.
+//
+//   npm run webhook:exemplo -- <fonte> [url da API] [código da loja]
+//   npm run webhook:exemplo -- ifood http://localhost:8888/api principal
+//
+// O segredo é o primeiro da variável de ambiente da fonte (ex.: WEBHOOK_IFOOD_SECRETS).
+require('dotenv').config();
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { ADAPTADORES, buscarFontePorRota } = require('../netlify/lib/fontes');
+
+// Cabeçalhos de autenticação da requisição, conforme a fonte
+function assinar(autenticacao, corpo, segredo) {
+  if (autenticacao.tipo === 'hmac-corpo') {
+    return { [autenticacao.cabecalho]: crypto.createHmac('sha256', segredo).update(corpo).digest('hex') };
+  }
+
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const nonce = crypto.randomUUID();
+  const assinatura = crypto.createHmac('sha256', segredo).update(`${timestamp}.${nonce}.${corpo}`).digest('hex');
+
+  return {
+    'X-Webhook-Timestamp': timestamp,
+    'X-Webhook-Nonce': nonce,
+    'X-Webhook-Signature': `sha256=${assinatura}`
+  };
+}
+
+async function main() {
+  const [rota, url = 'http://localhost:8888/api', loja] = process.argv.slice(2);
+  const adaptador = buscarFontePorRota(rota);
+
+  if (!adaptador) {
+    throw new Error(`Fonte desconhecida: ${rota || '(nenhuma)'} (use ${ADAPTADORES.map(item => item.rotas[0]).join(', ')})`);
+  }
+
+  const segredo = adaptador.autenticacao.segredos
+    .map(variavel => process.env[variavel])
+    .find(Boolean);
+
+  if (!segredo) {
+    throw new Error(`Defina ${adaptador.autenticacao.segredos[0]} com o segredo do webhook`);
+  }
+
+  const corpo = fs.readFileSync(path.join(__dirname, '../netlify/lib/fontes/exemplos', `${adaptador.rotas[0]}.json`), 'utf8');
+
+  const resposta = await fetch(`${url}/webhook/${adaptador.rotas[0]}${loja ? `/${loja}` : ''}`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...assinar(adaptador.autenticacao, corpo, segredo.split(',')[0].trim())
+    },
+    body: corpo
+  });
+
+  console.log(`${resposta.status} ${await resposta.text()}`);
+}
+
+main().catch(error => {
+  console.error('❌ Erro ao enviar o exemplo:', error.message);
+  process.exitCode = 1;
+});
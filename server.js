@@ -0,0 +1,48 @@
+// Servidor HTTP para rodar o PDV fora do Netlify, por exemplo no PC do balcão
+// com ARMAZENAMENTO=sqlite: serve public/ e as rotas da API em /api, como os
+// redirects do netlify.toml. As migrações pendentes são aplicadas na partida.
+//
+//   npm start        (porta em PORT, padrão 8888)
+require('dotenv').config();
+
+const path = require('path');
+const express = require('express');
+const { pool } = require('./netlify/lib/db');
+const { descricao } = require('./netlify/lib/armazenamento');
+const { aplicarMigracoes } = require('./netlify/lib/migracoes');
+
+const PORTA = parseInt(process.env.PORT, 10) || 8888;
+const PASTA_PUBLICA = path.join(__dirname, 'public');
+
+async function main() {
+  const aplicadas = await aplicarMigracoes(pool);
+  if (aplicadas.length > 0) {
+    console.log(`✅ ${aplicadas.length} migração(ões) aplicada(s)`);
+  }
+
+  // Carregada depois das migrações: a API cria o gerente inicial ao subir
+  const { app, bancoPronto } = require('./netlify/functions/api');
+  await bancoPronto;
+
+  const servidor = express();
+  servidor.use('/api', app);
+  servidor.use(express.static(PASTA_PUBLICA));
+  servidor.get('*', (req, res) => res.sendFile(path.join(PASTA_PUBLICA, 'index.html')));
+
+  const http = servidor.listen(PORTA, () => {
+    console.log(`🚀 PDV em http://localhost:${PORTA} (${descricao})`);
+  });
+
+  const encerrar = () => {
+    http.close(() => pool.end().finally(() => process.exit(0)));
+  };
+
+  process.on('SIGINT', encerrar);
+  process.on('SIGTERM', encerrar);
+}
+
+main().catch(error => {
+  console.error('❌ Erro ao iniciar o servidor:', error.message);
+  process.exitCode = 1;
+  pool.end().catch(() => {});
+});
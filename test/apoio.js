@@ -0,0 +1,140 @@
+// Apoio dos testes da API: sobe a mesma API do servidor local
+// (netlify/functions/api.js) sobre um arquivo SQLite temporário, com as
+// migrações aplicadas e o gerente inicial, e assina os webhooks como as fontes.
+// Não tem testes: o `node --test` só o carrega.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+const { once } = require('events');
+
+let sqliteInstalado = true;
+
+try {
+  require.resolve('better-sqlite3');
+} catch (error) {
+  sqliteInstalado = false;
+}
+
+// Motivo para pular os testes que precisam do banco (opção `skip` do node:test)
+const PULAR = !sqliteInstalado && 'better-sqlite3 não instalado';
+
+const GERENTE = { login: 'gerente', senha: 'senha-do-gerente' };
+const SEGREDO_WEBHOOK = 'segredo-atual';
+
+// Cabeçalhos de um webhook hmac-nonce: assinatura de "<timestamp>.<nonce>.<corpo>"
+function assinarWebhook(corpo, opcoes = {}) {
+  const {
+    segredo = SEGREDO_WEBHOOK,
+    timestamp = Math.floor(Date.now() / 1000),
+    nonce = crypto.randomUUID()
+  } = opcoes;
+  const assinatura = crypto.createHmac('sha256', segredo).update(`${timestamp}.${nonce}.${corpo}`).digest('hex');
+
+  return {
+    'X-Webhook-Timestamp': String(timestamp),
+    'X-Webhook-Nonce': nonce,
+    'X-Webhook-Signature': `sha256=${assinatura}`
+  };
+}
+
+// Sobe a API em um banco novo. O node --test roda cada arquivo de teste em um
+// processo próprio, então as variáveis de ambiente e o banco valem só para ele.
+async function iniciarApi() {
+  const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'pdv-api-'));
+
+  // O node --test recebe os resultados de cada arquivo pela saída padrão; os
+  // registros da API no meio deles podem corromper a mensagem. Vão para a saída de erro.
+  console.log = console.info = (...args) => console.error(...args);
+
+  Object.assign(process.env, {
+    ARMAZENAMENTO: 'sqlite',
+    SQLITE_ARQUIVO: path.join(pasta, 'pdv.sqlite'),
+    GERENTE_LOGIN: GERENTE.login,
+    GERENTE_SENHA: GERENTE.senha,
+    WEBHOOK_SECRETS: SEGREDO_WEBHOOK
+  });
+
+  const { pool } = require('../netlify/lib/db');
+  await require('../netlify/lib/migracoes').aplicarMigracoes(pool);
+
+  const { app, bancoPronto } = require('../netlify/functions/api');
+  await bancoPronto;
+
+  const servidor = http.createServer(app).listen(0, '127.0.0.1');
+  await once(servidor, 'listening');
+  const url = `http://127.0.0.1:${servidor.address().port}`;
+
+  // Requisição à API; o corpo da resposta volta já convertido de JSON
+  async function requisitar(metodo, caminho, { corpo, token, cabecalhos = {} } = {}) {
+    const resposta = await fetch(url + caminho, {
+      method: metodo,
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+        ...cabecalhos
+      },
+      body: corpo === undefined || typeof corpo === 'string' ? corpo : JSON.stringify(corpo)
+    });
+    const texto = await resposta.text();
+
+    let dados = texto;
+    try {
+      dados = JSON.parse(texto);
+    } catch (error) {
+      // Respostas que não são JSON (CSV, ESC/POS) ficam como texto
+    }
+
+    return { status: resposta.status, corpo: dados, cabecalhos: resposta.headers };
+  }
+
+  async function entrar(login = GERENTE.login, senha = GERENTE.senha) {
+    const resposta = await requisitar('POST', '/auth/login', { corpo: { login, senha } });
+    if (resposta.status !== 200) throw new Error(`Login de ${login} recusado: ${resposta.status}`);
+    return resposta.corpo.token;
+  }
+
+  // Cadastra um operador pelo gerente e devolve o token da sessão dele
+  async function criarOperador(tokenGerente, login, papel = 'operador') {
+    const senha = `senha-${login}`;
+    await requisitar('POST', '/operadores', {
+      token: tokenGerente,
+      corpo: { nome: login, login, senha, papel }
+    });
+    return entrar(login, senha);
+  }
+
+  // Abre o caixa do terminal padrão e devolve o registro da abertura
+  async function abrirCaixa(token, valorInicial = 100) {
+    const resposta = await requisitar('POST', '/caixa/abrir', { token, corpo: { valor_inicial: valorInicial } });
+    if (resposta.status !== 200) throw new Error(`Abertura do caixa recusada: ${JSON.stringify(resposta.corpo)}`);
+    return resposta.corpo.data;
+  }
+
+  // Webhook do cardapio.ai (POST /webhook/vendas) assinado com o segredo atual
+  function enviarWebhook(pedido, opcoes = {}) {
+    const corpo = JSON.stringify(pedido);
+    return requisitar('POST', opcoes.caminho || '/webhook/vendas', {
+      corpo,
+      cabecalhos: assinarWebhook(corpo, opcoes)
+    });
+  }
+
+  async function encerrar() {
+    servidor.closeAllConnections();
+    servidor.close();
+    await pool.end();
+    fs.rmSync(pasta, { recursive: true, force: true });
+  }
+
+  return { pool, requisitar, entrar, criarOperador, abrirCaixa, enviarWebhook, encerrar };
+}
+
+module.exports = {
+  PULAR,
+  GERENTE,
+  SEGREDO_WEBHOOK,
+  assinarWebhook,
+  iniciarApi
+};
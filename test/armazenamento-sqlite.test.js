@@ -0,0 +1,84 @@
+// Confere o armazenamento SQLite (netlify/lib/armazenamento/sqlite.js) em um
+// arquivo temporário: as migrações de netlify/migrations montam o schema, um
+// connect aninhado não espera por si mesmo e os trechos de `sql` funcionam.
+//
+//   npm test        (pulado se o better-sqlite3 não estiver instalado)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+let sqliteInstalado = true;
+
+try {
+  require.resolve('better-sqlite3');
+} catch (error) {
+  sqliteInstalado = false;
+}
+
+const pasta = fs.mkdtempSync(path.join(os.tmpdir(), 'pdv-sqlite-'));
+process.env.ARMAZENAMENTO = 'sqlite';
+process.env.SQLITE_ARQUIVO = path.join(pasta, 'pdv.sqlite');
+
+const pular = !sqliteInstalado && 'better-sqlite3 não instalado';
+const banco = sqliteInstalado ? require('../netlify/lib/db') : null;
+
+test.after(async () => {
+  if (banco) await banco.pool.end();
+  fs.rmSync(pasta, { recursive: true, force: true });
+});
+
+test('as migrações montam o schema no SQLite', { skip: pular }, async () => {
+  const { listarMigracoes, aplicarMigracoes, statusMigracoes } = require('../netlify/lib/migracoes');
+
+  const aplicadas = await aplicarMigracoes(banco.pool);
+  assert.deepEqual(aplicadas, listarMigracoes().map(m => m.nome));
+
+  const status = await statusMigracoes(banco.pool);
+  assert.ok(status.every(m => m.status === 'aplicada'));
+  assert.deepEqual(await aplicarMigracoes(banco.pool), []);
+});
+
+test('connect de quem já está com a conexão não espera por si mesmo', { skip: pular, timeout: 5000 }, async () => {
+  const { pool, gerarUUID } = banco;
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(`INSERT INTO lojas (id, nome, codigo) VALUES ($1, 'Aninhada', 'aninhada')`, [gerarUUID()]);
+
+    const aninhado = await pool.connect();
+
+    try {
+      await aninhado.query('BEGIN');
+      await aninhado.query(`UPDATE lojas SET nome = 'Alterada' WHERE codigo = 'aninhada'`);
+      await aninhado.query('ROLLBACK');
+
+      await aninhado.query('BEGIN');
+      await aninhado.query(`UPDATE lojas SET hora_corte = 3 WHERE codigo = 'aninhada'`);
+      await aninhado.query('COMMIT');
+    } finally {
+      aninhado.release();
+    }
+
+    await client.query('COMMIT');
+  } finally {
+    client.release();
+  }
+
+  const result = await pool.query(`SELECT nome, hora_corte FROM lojas WHERE codigo = 'aninhada'`);
+  assert.deepEqual(result.rows, [{ nome: 'Aninhada', hora_corte: 3 }]);
+});
+
+test('trechos de sql: busca sem diferenciar maiúsculas acentuadas e só dígitos', { skip: pular }, async () => {
+  const { pool, sql } = banco;
+
+  const result = await pool.query(
+    `SELECT ${sql.ilike(`'JOÃO DA CONCEIÇÃO'`, '$1')} AS nome, ${sql.somenteDigitos(`'(11) 98765-4321'`)} AS telefone,
+       ${sql.maior('NULL', `'2024-05-10'`)} AS maior`,
+    ['%joão da conceição%']
+  );
+
+  assert.deepEqual(result.rows, [{ nome: 1, telefone: '11987654321', maior: '2024-05-10' }]);
+});
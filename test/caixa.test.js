@@ -0,0 +1,131 @@
+// Caixa contra a API em um SQLite temporário (test/apoio.js): o dinheiro
+// esperado na gaveta só aparece para o gerente (contagem cega), o resumo
+// fecha no centavo e o fechamento exige justificativa acima do limite de
+// divergência. Os testes rodam em ordem sobre o mesmo caixa.
+//
+//   npm test        (pulado se o better-sqlite3 não estiver instalado)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PULAR, iniciarApi } = require('./apoio');
+
+let api;
+let tokenGerente;
+let tokenOperador;
+let caixa;
+
+test.before(async () => {
+  if (PULAR) return;
+  api = await iniciarApi();
+  tokenGerente = await api.entrar();
+  tokenOperador = await api.criarOperador(tokenGerente, 'operador-caixa');
+  caixa = await api.abrirCaixa(tokenOperador, 150);
+});
+
+test.after(async () => {
+  if (api) await api.encerrar();
+});
+
+test('o dinheiro esperado só aparece para o gerente', { skip: PULAR }, async () => {
+  const resumoGerente = await api.requisitar('GET', `/caixa/${caixa.id}/resumo`, { token: tokenGerente });
+  assert.equal(resumoGerente.corpo.data.dinheiro.esperado, 150);
+
+  const resumoOperador = await api.requisitar('GET', `/caixa/${caixa.id}/resumo`, { token: tokenOperador });
+  assert.equal(resumoOperador.status, 200);
+  assert.equal(resumoOperador.corpo.data.dinheiro.abertura, 150);
+  assert.ok(!('esperado' in resumoOperador.corpo.data.dinheiro), 'operador recebeu o dinheiro esperado');
+
+  const impressao = token => api.requisitar('GET', `/impressao/caixa/${caixa.id}?formato=texto`, { token });
+  assert.match((await impressao(tokenGerente)).corpo.data.texto, /Somente Dinheiro/);
+  assert.doesNotMatch((await impressao(tokenOperador)).corpo.data.texto, /Somente Dinheiro/);
+
+  const hoje = new Date().toISOString().slice(0, 10);
+  const exportar = (token, colunas = '') => api.requisitar('GET',
+    `/exportar/fechamentos?formato=csv&data_inicio=${hoje}&data_fim=${hoje}${colunas}`, { token });
+  assert.match((await exportar(tokenGerente)).corpo, /Saldo final/);
+  assert.doesNotMatch((await exportar(tokenOperador)).corpo, /Saldo final|Divergência/);
+  assert.equal((await exportar(tokenOperador, '&colunas=saldo_final')).status, 400);
+
+  // A recusa de uma retirada acima do saldo não revela quanto há na gaveta
+  const retirada = token => api.requisitar('POST', '/retiradas', {
+    token,
+    corpo: { caixa_abertura_id: caixa.id, valor: 180 }
+  });
+  const recusaOperador = await retirada(tokenOperador);
+  assert.equal(recusaOperador.status, 400);
+  assert.doesNotMatch(recusaOperador.corpo.message, /150/);
+  assert.match((await retirada(tokenGerente)).corpo.message, /150\.00/);
+});
+
+test('o resumo do caixa soma no centavo e as retiradas não abatem o faturamento', { skip: PULAR }, async () => {
+  const lancar = (caminho, corpo, token = tokenOperador) =>
+    api.requisitar('POST', caminho, { token, corpo: { caixa_abertura_id: caixa.id, ...corpo } });
+
+  for (const [tipo_pagamento, valor] of [['DINHEIRO', 0.1], ['DINHEIRO', 0.2], ['PIX', 33.33], ['CARTAO_DEBITO', '33.33']]) {
+    assert.equal((await lancar('/vendas/manuais', { tipo_pagamento, valor })).status, 200);
+  }
+
+  // Venda cancelada não entra em nenhuma soma
+  const cancelada = await lancar('/vendas/manuais', { tipo_pagamento: 'DINHEIRO', valor: 19.99 });
+  assert.equal((await lancar(`/vendas/manuais/${cancelada.corpo.data.id}/cancelar`, { motivo: 'Lançada em dobro' }, tokenGerente)).status, 200);
+  assert.equal((await lancar('/suprimentos', { valor: 0.05 })).status, 200);
+  assert.equal((await lancar('/retiradas', { valor: 10.1 })).status, 200);
+
+  const { data: resumo } = (await api.requisitar('GET', `/caixa/${caixa.id}/resumo`, { token: tokenGerente })).corpo;
+
+  assert.equal(resumo.vendas.total, 66.96);
+  assert.equal(resumo.retiradas.total, 10.1);
+  assert.equal(resumo.por_tipo_pagamento.DINHEIRO.total, 0.3);
+  assert.equal(resumo.faturamento_liquido, 66.96);
+  assert.deepEqual(resumo.dinheiro, {
+    abertura: 150,
+    vendas: 0.3,
+    estornos: 0,
+    suprimentos: 0.05,
+    retiradas: 10.1,
+    esperado: 140.25
+  });
+});
+
+test('fechamento com divergência acima do limite exige justificativa sem revelar o esperado', { skip: PULAR }, async () => {
+  const fechar = (token, corpo) => api.requisitar('POST', '/caixa/fechar', {
+    token,
+    corpo: { caixa_abertura_id: caixa.id, ...corpo }
+  });
+  // R$ 100,00 na gaveta contra R$ 140,25 esperados; o PIX confere
+  const contagem = { contagem_cedulas: { 100: 1 }, valores_informados: { PIX: 33.33 } };
+
+  assert.equal((await fechar(tokenOperador, contagem)).status, 403);
+
+  for (const justificativa of [undefined, '   ']) {
+    const recusa = await fechar(tokenGerente, { ...contagem, justificativa });
+    assert.equal(recusa.status, 422);
+    assert.deepEqual(recusa.corpo, {
+      success: false,
+      codigo: 'NAO_PROCESSAVEL',
+      message: 'Divergência acima do limite: informe a justificativa do gerente para fechar o caixa',
+      justificativa_obrigatoria: true
+    });
+  }
+
+  const fechamento = await fechar(tokenGerente, { ...contagem, justificativa: 'Troco levado para o cofre' });
+  assert.equal(fechamento.status, 200, JSON.stringify(fechamento.corpo));
+  assert.deepEqual(fechamento.corpo.resumo.divergencias, { DINHEIRO: -40.25, PIX: 0 });
+  assert.equal(fechamento.corpo.resumo.divergencia_total, 40.25);
+  assert.equal(fechamento.corpo.data.justificativa, 'Troco levado para o cofre');
+  assert.ok(fechamento.corpo.data.justificado_por);
+
+  assert.equal((await fechar(tokenGerente, contagem)).status, 400);
+});
+
+test('divergência dentro do limite fecha sem justificativa', { skip: PULAR }, async () => {
+  const outro = await api.abrirCaixa(tokenGerente, 50);
+
+  // R$ 49,00 contados contra R$ 50,00: R$ 1,00 de diferença, abaixo do limite de R$ 5,00
+  const fechamento = await api.requisitar('POST', '/caixa/fechar', {
+    token: tokenGerente,
+    corpo: { caixa_abertura_id: outro.id, contagem_cedulas: { 20: 2, 5: 1, 2: 2 } }
+  });
+  assert.equal(fechamento.status, 200, JSON.stringify(fechamento.corpo));
+  assert.deepEqual(fechamento.corpo.resumo.divergencias, { DINHEIRO: -1 });
+  assert.equal(fechamento.corpo.data.justificativa, null);
+});
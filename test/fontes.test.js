@@ -0,0 +1,75 @@
+// Confere que o payload de exemplo de cada fonte (netlify/lib/fontes/exemplos)
+// passa pelo esquema do adaptador e vira o modelo comum do pedido (fontes/modelo.js).
+//
+//   npm test
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { ADAPTADORES } = require('../netlify/lib/fontes');
+const { validar } = require('../netlify/lib/validacao');
+const { paraCentavos } = require('../netlify/lib/dinheiro');
+
+const PASTA_EXEMPLOS = path.join(__dirname, '..', 'netlify', 'lib', 'fontes', 'exemplos');
+const TIPOS_PAGAMENTO = ['DINHEIRO', 'CARTAO_CREDITO', 'CARTAO_DEBITO', 'PIX', 'OUTRO'];
+const CAMPOS_PEDIDO = [
+  'nome_cliente',
+  'telefone_cliente',
+  'tipo_pedido',
+  'endereco_completo',
+  'taxa_entrega',
+  'data_hora_pedido',
+  'valor_total',
+  'produtos'
+];
+const CAMPOS_PRODUTO = ['nome_produto', 'codigo_produto', 'quantidade', 'valor', 'adicionais', 'complementos'];
+
+// Payload conferido e normalizado como no webhook (middleware validar)
+function validarPayload(esquema, payload) {
+  const req = { params: {}, query: {}, body: JSON.parse(JSON.stringify(payload)) };
+  let falha = null;
+  const res = {
+    status: codigo => ({ json: corpo => { falha = { codigo, ...corpo }; } })
+  };
+
+  validar({ body: esquema })(req, res, () => {});
+  assert.equal(falha, null, `exemplo recusado pelo esquema: ${JSON.stringify(falha && falha.erros)}`);
+
+  return req.body;
+}
+
+ADAPTADORES.forEach(adaptador => {
+  test(`exemplo da fonte ${adaptador.codigo} vira o modelo comum do pedido`, () => {
+    const payload = require(path.join(PASTA_EXEMPLOS, `${adaptador.rotas[0]}.json`));
+    const pedido = adaptador.mapearPedido(validarPayload(adaptador.esquema, payload));
+
+    assert.equal(typeof pedido.id_externo, 'string');
+    assert.ok(pedido.id_externo.length > 0, 'id_externo vazio');
+    assert.ok(pedido.codigo_loja === null || typeof pedido.codigo_loja === 'string', 'codigo_loja inválido');
+    assert.ok(pedido.tipo_pagamento === null || TIPOS_PAGAMENTO.includes(pedido.tipo_pagamento),
+      `tipo_pagamento inválido: ${pedido.tipo_pagamento}`);
+
+    const dados = pedido.dados_pedido;
+    assert.deepEqual(Object.keys(dados).filter(campo => campo !== 'observacoes').sort(), [...CAMPOS_PEDIDO].sort());
+
+    ['nome_cliente', 'telefone_cliente', 'tipo_pedido', 'endereco_completo'].forEach(campo => {
+      assert.equal(typeof dados[campo], 'string', `${campo} deve ser texto`);
+    });
+    assert.ok(!Number.isNaN(Date.parse(dados.data_hora_pedido)), 'data_hora_pedido inválida');
+    assert.ok(paraCentavos(dados.valor_total) > 0, 'valor_total deve ser positivo');
+    assert.ok(paraCentavos(dados.taxa_entrega) >= 0, 'taxa_entrega negativa');
+
+    assert.ok(dados.produtos.length > 0, 'pedido sem produtos');
+    dados.produtos.forEach(produto => {
+      assert.deepEqual(Object.keys(produto).sort(), [...CAMPOS_PRODUTO].sort());
+      assert.equal(typeof produto.nome_produto, 'string');
+      assert.ok(produto.quantidade > 0, `quantidade inválida em ${produto.nome_produto}`);
+      assert.ok(paraCentavos(produto.valor) >= 0, `valor inválido em ${produto.nome_produto}`);
+      assert.ok(Array.isArray(produto.adicionais) && Array.isArray(produto.complementos));
+    });
+
+    // Os produtos e a taxa de entrega fecham o total do exemplo
+    const centavosProdutos = dados.produtos
+      .reduce((total, produto) => total + paraCentavos(produto.valor) * produto.quantidade, 0);
+    assert.equal(centavosProdutos + paraCentavos(dados.taxa_entrega), paraCentavos(dados.valor_total));
+  });
+});
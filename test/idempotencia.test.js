@@ -0,0 +1,86 @@
+// Escritas com Idempotency-Key (netlify/lib/idempotencia.js) contra a API em
+// um SQLite temporário (test/apoio.js): repetição devolve a resposta guardada,
+// chave em andamento é recusada e chave abandonada pode ser refeita.
+//
+//   npm test        (pulado se o better-sqlite3 não estiver instalado)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PULAR, iniciarApi } = require('./apoio');
+
+let api;
+let tokenGerente;
+let tokenOperador;
+let caixa;
+
+test.before(async () => {
+  if (PULAR) return;
+  api = await iniciarApi();
+  tokenGerente = await api.entrar();
+  tokenOperador = await api.criarOperador(tokenGerente, 'operador-idempotencia');
+  caixa = await api.abrirCaixa(tokenGerente);
+});
+
+test.after(async () => {
+  if (api) await api.encerrar();
+});
+
+function lancarSuprimento(chave, valor, token = tokenGerente) {
+  return api.requisitar('POST', '/suprimentos', {
+    token,
+    corpo: { caixa_abertura_id: caixa.id, valor },
+    cabecalhos: { 'Idempotency-Key': chave }
+  });
+}
+
+async function contarSuprimentos() {
+  const result = await api.pool.query(`SELECT id FROM suprimentos WHERE caixa_abertura_id = $1`, [caixa.id]);
+  return result.rows.length;
+}
+
+test('repetir a escrita com a mesma chave devolve a resposta guardada sem gravar de novo', { skip: PULAR }, async () => {
+  const primeira = await lancarSuprimento('suprimento-0001', 10);
+  assert.equal(primeira.status, 200);
+  assert.equal(primeira.cabecalhos.get('idempotent-replayed'), null);
+
+  const repetida = await lancarSuprimento('suprimento-0001', 10);
+  assert.equal(repetida.status, 200);
+  assert.equal(repetida.cabecalhos.get('idempotent-replayed'), 'true');
+  assert.deepEqual(repetida.corpo, primeira.corpo);
+  assert.equal(await contarSuprimentos(), 1);
+
+  // A mesma chave com outro conteúdo não é aceita
+  const outroCorpo = await lancarSuprimento('suprimento-0001', 20);
+  assert.equal(outroCorpo.status, 422);
+  assert.equal(outroCorpo.corpo.message, 'Idempotency-Key já usada em outra requisição');
+
+  // As chaves são por operador
+  assert.equal((await lancarSuprimento('suprimento-0001', 10, tokenOperador)).cabecalhos.get('idempotent-replayed'), null);
+  assert.equal(await contarSuprimentos(), 2);
+
+  assert.equal((await lancarSuprimento('curta', 10)).status, 400);
+});
+
+test('chave ainda em andamento é recusada até ser abandonada', { skip: PULAR }, async () => {
+  assert.equal((await lancarSuprimento('suprimento-0002', 5)).status, 200);
+
+  // Reserva sem resposta, como a de uma requisição que ainda está sendo processada
+  await api.pool.query(
+    `UPDATE requisicoes_idempotentes SET status_http = NULL, resposta = NULL WHERE chave = $1`,
+    ['suprimento-0002']
+  );
+
+  const emAndamento = await lancarSuprimento('suprimento-0002', 5);
+  assert.equal(emAndamento.status, 409);
+  assert.equal(emAndamento.corpo.message, 'Requisição com esta Idempotency-Key ainda em andamento');
+
+  // Reservada há mais de um minuto sem resposta: a requisição foi interrompida
+  await api.pool.query(
+    `UPDATE requisicoes_idempotentes SET created_at = $1 WHERE chave = $2`,
+    [new Date(Date.now() - 2 * 60 * 1000).toISOString(), 'suprimento-0002']
+  );
+
+  const refeita = await lancarSuprimento('suprimento-0002', 5);
+  assert.equal(refeita.status, 200);
+  assert.equal(refeita.cabecalhos.get('idempotent-replayed'), null);
+  assert.equal((await lancarSuprimento('suprimento-0002', 5)).cabecalhos.get('idempotent-replayed'), 'true');
+});
@@ -0,0 +1,55 @@
+// Pagamentos de uma venda (PUT /vendas/:id/pagamentos) contra a API em um
+// SQLite temporário (test/apoio.js): soma e troco conferidos em centavos.
+//
+//   npm test        (pulado se o better-sqlite3 não estiver instalado)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { PULAR, iniciarApi } = require('./apoio');
+
+const PEDIDO = require('../netlify/lib/fontes/exemplos/cardapio-ai.json');
+
+let api;
+let tokenGerente;
+let vendaId;
+
+test.before(async () => {
+  if (PULAR) return;
+  api = await iniciarApi();
+  tokenGerente = await api.entrar();
+  await api.abrirCaixa(tokenGerente);
+
+  // Venda de R$ 65,00 vinda do webhook com o caixa aberto
+  await api.enviarWebhook({ ...PEDIDO, id_pedido: 'PAGAMENTOS-1' });
+  const venda = await api.pool.query(`SELECT id FROM vendas WHERE id_externo = $1`, ['PAGAMENTOS-1']);
+  vendaId = venda.rows[0].id;
+});
+
+test.after(async () => {
+  if (api) await api.encerrar();
+});
+
+function definirPagamentos(pagamentos) {
+  return api.requisitar('PUT', `/vendas/${vendaId}/pagamentos`, { token: tokenGerente, corpo: { pagamentos } });
+}
+
+test('pagamento dividido fecha com o total e o troco sai exato', { skip: PULAR }, async () => {
+  const resposta = await definirPagamentos([
+    { tipo_pagamento: 'PIX', valor: 21.67 },
+    { tipo_pagamento: 'CARTAO_CREDITO', valor: '21.67' },
+    { tipo_pagamento: 'DINHEIRO', valor: 21.66, valor_recebido: 50 }
+  ]);
+  assert.equal(resposta.status, 200, JSON.stringify(resposta.corpo));
+
+  const dinheiro = resposta.corpo.data.pagamentos.find(pagamento => pagamento.tipo_pagamento === 'DINHEIRO');
+  assert.equal(parseFloat(dinheiro.troco), 28.34);
+});
+
+test('soma dos pagamentos diferente do total é recusada por um centavo', { skip: PULAR }, async () => {
+  const resposta = await definirPagamentos([
+    { tipo_pagamento: 'PIX', valor: 21.67 },
+    { tipo_pagamento: 'PIX', valor: 21.67 },
+    { tipo_pagamento: 'DINHEIRO', valor: 21.67 }
+  ]);
+  assert.equal(resposta.status, 400);
+  assert.equal(resposta.corpo.message, 'A soma dos pagamentos (65.01) deve ser igual ao total da venda (65.00)');
+});
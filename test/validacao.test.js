@@ -0,0 +1,94 @@
+// Respostas de erro da validação declarativa (netlify/lib/validacao.js)
+// contra a API em um SQLite temporário (test/apoio.js): um item por campo,
+// com o caminho do campo, e o "codigo" em todas as respostas de erro.
+//
+//   npm test        (pulado se o better-sqlite3 não estiver instalado)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PULAR, iniciarApi } = require('./apoio');
+
+let api;
+let tokenGerente;
+
+test.before(async () => {
+  if (PULAR) return;
+  api = await iniciarApi();
+  tokenGerente = await api.entrar();
+});
+
+test.after(async () => {
+  if (api) await api.encerrar();
+});
+
+test('campos inválidos voltam todos juntos, um item por campo', { skip: PULAR }, async () => {
+  const resposta = await api.requisitar('POST', '/suprimentos', {
+    token: tokenGerente,
+    corpo: { valor: '1.234', observacao: 'x'.repeat(501) }
+  });
+
+  assert.equal(resposta.status, 400);
+  assert.deepEqual(resposta.corpo, {
+    success: false,
+    codigo: 'DADOS_INVALIDOS',
+    message: 'Dados inválidos',
+    erros: [
+      { campo: 'caixa_abertura_id', codigo: 'OBRIGATORIO', mensagem: 'caixa_abertura_id é obrigatório' },
+      { campo: 'valor', codigo: 'CASAS_DECIMAIS', mensagem: 'valor deve ter no máximo duas casas decimais' },
+      { campo: 'observacao', codigo: 'TAMANHO_MAXIMO', mensagem: 'observacao deve ter no máximo 500 caracteres' }
+    ]
+  });
+});
+
+test('erros de params e de itens de listas trazem o caminho do campo', { skip: PULAR }, async () => {
+  const resposta = await api.requisitar('PUT', '/vendas/abc/pagamentos', {
+    token: tokenGerente,
+    corpo: { pagamentos: [{ tipo_pagamento: 'CHEQUE', valor: 0 }, null] }
+  });
+
+  assert.equal(resposta.status, 400);
+  assert.deepEqual(resposta.corpo.erros, [
+    { campo: 'id', codigo: 'FORMATO_INVALIDO', mensagem: 'id deve ser um identificador (UUID) válido' },
+    {
+      campo: 'pagamentos[0].tipo_pagamento',
+      codigo: 'OPCAO_INVALIDA',
+      mensagem: 'pagamentos[0].tipo_pagamento deve ser um de: DINHEIRO, CARTAO_CREDITO, CARTAO_DEBITO, PIX, OUTRO'
+    },
+    { campo: 'pagamentos[0].valor', codigo: 'VALOR_MINIMO', mensagem: 'pagamentos[0].valor deve ser maior que zero' },
+    { campo: 'pagamentos[1]', codigo: 'OBRIGATORIO', mensagem: 'pagamentos[1] é obrigatório' }
+  ]);
+});
+
+test('JSON malformado e erros das rotas também trazem o codigo', { skip: PULAR }, async () => {
+  const malformado = await api.requisitar('POST', '/suprimentos', { token: tokenGerente, corpo: '{"valor": ' });
+  assert.equal(malformado.status, 400);
+  assert.deepEqual(malformado.corpo, {
+    success: false,
+    codigo: 'JSON_INVALIDO',
+    message: 'O corpo da requisição não é um JSON válido'
+  });
+
+  const semSessao = await api.requisitar('GET', `/caixa/${crypto.randomUUID()}/resumo`);
+  assert.equal(semSessao.status, 401);
+  assert.equal(semSessao.corpo.codigo, 'NAO_AUTENTICADO');
+
+  const inexistente = await api.requisitar('PUT', `/vendas/${crypto.randomUUID()}/pagamentos`, {
+    token: tokenGerente,
+    corpo: { pagamentos: [{ tipo_pagamento: 'PIX', valor: 10 }] }
+  });
+  assert.equal(inexistente.status, 404);
+  assert.deepEqual(inexistente.corpo, { success: false, codigo: 'NAO_ENCONTRADO', message: 'Venda não encontrada' });
+});
+
+test('valores válidos chegam normalizados à rota', { skip: PULAR }, async () => {
+  const caixa = await api.abrirCaixa(tokenGerente);
+
+  // Valor em texto vira número e o campo vazio é tratado como não informado
+  const resposta = await api.requisitar('POST', '/suprimentos', {
+    token: tokenGerente,
+    corpo: { caixa_abertura_id: caixa.id, valor: ' 12.50 ', observacao: '' }
+  });
+
+  assert.equal(resposta.status, 200, JSON.stringify(resposta.corpo));
+  assert.equal(parseFloat(resposta.corpo.data.valor), 12.5);
+});
@@ -0,0 +1,185 @@
+// Webhook de pedidos (POST /webhook/:fonte/:loja?) contra a API em um SQLite
+// temporário (test/apoio.js): assinatura, timestamp e nonce, troca de segredo,
+// reentregas idempotentes, reentregas de pedidos já revisados na fila e
+// repetição das requisições do iFood, assinadas só no corpo.
+//
+//   npm test        (pulado se o better-sqlite3 não estiver instalado)
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { PULAR, iniciarApi, assinarWebhook, SEGREDO_WEBHOOK } = require('./apoio');
+
+const PEDIDO = require('../netlify/lib/fontes/exemplos/cardapio-ai.json');
+const PEDIDO_IFOOD = require('../netlify/lib/fontes/exemplos/ifood.json');
+const SEGREDO_IFOOD = 'segredo-ifood';
+
+let api;
+let tokenGerente;
+
+test.before(async () => {
+  if (PULAR) return;
+  process.env.WEBHOOK_IFOOD_SECRETS = SEGREDO_IFOOD;
+  api = await iniciarApi();
+  tokenGerente = await api.entrar();
+});
+
+test.after(async () => {
+  if (api) await api.encerrar();
+});
+
+async function contarVendas(idExterno) {
+  const result = await api.pool.query(`SELECT id FROM vendas WHERE id_externo = $1`, [idExterno]);
+  return result.rows.length;
+}
+
+// Envia o pedido com os cabecalhos de assinatura montados à parte
+function enviarAssinado(corpo, cabecalhos) {
+  return api.requisitar('POST', '/webhook/vendas', { corpo, cabecalhos });
+}
+
+async function motivoRejeicao(nonce) {
+  const result = await api.pool.query(`SELECT motivo FROM webhook_rejeicoes WHERE nonce = $1`, [nonce]);
+  return result.rows.map(rejeicao => rejeicao.motivo);
+}
+
+// Roda com o caixa ainda fechado: o pedido vai para a fila, é descartado e a
+// reentrega chega depois da abertura
+test('pedido descartado na fila não volta como venda quando a origem reentrega', { skip: PULAR }, async () => {
+  const pedido = { ...PEDIDO, id_pedido: 'DESCARTADO-1' };
+
+  const enfileirado = await api.enviarWebhook(pedido);
+  assert.equal(enfileirado.status, 202);
+
+  const descarte = await api.requisitar('POST', `/pedidos-pendentes/${enfileirado.corpo.pedido_pendente_id}/descartar`, {
+    token: tokenGerente,
+    corpo: { motivo: 'Cliente desistiu' }
+  });
+  assert.equal(descarte.status, 200);
+
+  await api.abrirCaixa(tokenGerente);
+
+  const reentrega = await api.enviarWebhook(pedido);
+  assert.equal(reentrega.status, 200);
+  assert.equal(reentrega.corpo.duplicado, true);
+  assert.equal(reentrega.corpo.pedido_pendente_id, enfileirado.corpo.pedido_pendente_id);
+
+  const alterado = await api.enviarWebhook({ ...pedido, valor_total: 72, taxa_entrega: 14 });
+  assert.equal(alterado.status, 409);
+
+  assert.equal(await contarVendas('DESCARTADO-1'), 0);
+
+  const pendente = await api.pool.query(`SELECT status FROM pedidos_pendentes WHERE id_externo = $1`, ['DESCARTADO-1']);
+  assert.deepEqual(pendente.rows.map(p => p.status), ['DESCARTADO']);
+});
+
+test('webhook sem assinatura válida, fora da janela de tempo ou com nonce repetido é recusado', { skip: PULAR }, async () => {
+  const corpo = JSON.stringify({ ...PEDIDO, id_pedido: 'AUTENTICACAO-1' });
+  const recusar = async (cabecalhos, motivo) => {
+    const resposta = await enviarAssinado(corpo, cabecalhos);
+    assert.equal(resposta.status, 401, motivo);
+    assert.deepEqual(await motivoRejeicao(cabecalhos['X-Webhook-Nonce']), [motivo]);
+  };
+
+  const semAssinatura = assinarWebhook(corpo);
+  delete semAssinatura['X-Webhook-Signature'];
+  await recusar(semAssinatura, 'cabecalhos_ausentes');
+  await recusar(assinarWebhook(corpo, { segredo: 'segredo-errado' }), 'assinatura_invalida');
+
+  // Corpo alterado depois de assinado
+  const assinadoOutro = assinarWebhook(JSON.stringify({ ...PEDIDO, id_pedido: 'AUTENTICACAO-1', valor_total: 1 }));
+  await recusar(assinadoOutro, 'assinatura_invalida');
+
+  const seisMinutosAtras = Math.floor(Date.now() / 1000) - 360;
+  await recusar(assinarWebhook(corpo, { timestamp: seisMinutosAtras }), 'timestamp_expirado');
+  await recusar(assinarWebhook(corpo, { timestamp: 'ontem' }), 'timestamp_expirado');
+
+  assert.equal(await contarVendas('AUTENTICACAO-1'), 0);
+
+  // O mesmo nonce, mesmo com assinatura nova e válida, só passa uma vez
+  const nonce = crypto.randomUUID();
+  const aceito = await enviarAssinado(corpo, assinarWebhook(corpo, { nonce }));
+  assert.equal(aceito.status, 200, JSON.stringify(aceito.corpo));
+
+  const repetido = await enviarAssinado(corpo, assinarWebhook(corpo, { nonce, timestamp: Math.floor(Date.now() / 1000) + 1 }));
+  assert.equal(repetido.status, 401);
+  assert.deepEqual(await motivoRejeicao(nonce), ['nonce_reutilizado']);
+  assert.equal(await contarVendas('AUTENTICACAO-1'), 1);
+});
+
+test('troca de segredo aceita o novo e o antigo até o antigo sair da lista', { skip: PULAR }, async (t) => {
+  t.after(() => { process.env.WEBHOOK_SECRETS = SEGREDO_WEBHOOK; });
+
+  process.env.WEBHOOK_SECRETS = `segredo-novo, ${SEGREDO_WEBHOOK}`;
+  assert.equal((await api.enviarWebhook({ ...PEDIDO, id_pedido: 'ROTACAO-1' })).status, 200);
+  assert.equal((await api.enviarWebhook({ ...PEDIDO, id_pedido: 'ROTACAO-2' }, { segredo: 'segredo-novo' })).status, 200);
+
+  process.env.WEBHOOK_SECRETS = 'segredo-novo';
+  const antigo = await api.enviarWebhook({ ...PEDIDO, id_pedido: 'ROTACAO-3' });
+  assert.equal(antigo.status, 401);
+  assert.equal((await api.enviarWebhook({ ...PEDIDO, id_pedido: 'ROTACAO-3' }, { segredo: 'segredo-novo' })).status, 200);
+
+  // Sem nenhum segredo configurado o webhook fica fechado
+  process.env.WEBHOOK_SECRETS = '';
+  assert.equal((await api.enviarWebhook({ ...PEDIDO, id_pedido: 'ROTACAO-4' })).status, 503);
+});
+
+test('reentrega do mesmo pedido devolve a venda original e alteração atualiza a mesma venda', { skip: PULAR }, async () => {
+  const pedido = { ...PEDIDO, id_pedido: 'REENTREGA-1' };
+
+  const primeira = await api.enviarWebhook(pedido);
+  assert.equal(primeira.status, 200);
+
+  // Entregas simultâneas e repetidas, cada uma com seu nonce
+  const repetidas = await Promise.all([api.enviarWebhook(pedido), api.enviarWebhook(pedido)]);
+  for (const repetida of repetidas) {
+    assert.equal(repetida.status, 200);
+    assert.equal(repetida.corpo.duplicado, true);
+    assert.equal(repetida.corpo.venda_id, primeira.corpo.venda_id);
+  }
+
+  const alterada = await api.enviarWebhook({ ...pedido, valor_total: 72, taxa_entrega: 14 });
+  assert.equal(alterada.status, 200);
+  assert.equal(alterada.corpo.message, 'Pedido atualizado com sucesso');
+
+  const vendas = await api.pool.query(`SELECT id, valor_total FROM vendas WHERE id_externo = $1`, ['REENTREGA-1']);
+  assert.deepEqual(vendas.rows.map(venda => [venda.id, parseFloat(venda.valor_total)]), [[primeira.corpo.venda_id, 72]]);
+});
+
+test('pedido sem identificador na origem é reconhecido pelo conteúdo', { skip: PULAR }, async () => {
+  const semIdentificador = { ...PEDIDO, observacoes: 'Pedido sem id' };
+  delete semIdentificador.id_pedido;
+
+  const primeira = await api.enviarWebhook(semIdentificador);
+  const segunda = await api.enviarWebhook(semIdentificador);
+  assert.equal(primeira.status, 200);
+  assert.equal(segunda.corpo.duplicado, true);
+  assert.equal(segunda.corpo.venda_id, primeira.corpo.venda_id);
+});
+
+// Webhook do iFood: HMAC-SHA256 do corpo, sem timestamp nem nonce
+function enviarIfood(corpo, caminho = '/webhook/ifood') {
+  const assinatura = crypto.createHmac('sha256', SEGREDO_IFOOD).update(corpo).digest('hex');
+  return api.requisitar('POST', caminho, { corpo, cabecalhos: { 'X-IFood-Signature': assinatura } });
+}
+
+test('requisição do iFood repetida não cria venda nem desfaz uma alteração posterior', { skip: PULAR }, async () => {
+  const original = JSON.stringify({ ...PEDIDO_IFOOD, id: 'IFOOD-REPETIDO' });
+  const alterado = JSON.stringify({ ...PEDIDO_IFOOD, id: 'IFOOD-REPETIDO', total: { ...PEDIDO_IFOOD.total, deliveryFee: 18, orderAmount: 100 } });
+
+  const primeira = await enviarIfood(original);
+  assert.equal(primeira.status, 200, JSON.stringify(primeira.corpo));
+  assert.equal((await enviarIfood(original)).corpo.venda_id, primeira.corpo.venda_id);
+
+  assert.equal((await enviarIfood(alterado)).corpo.message, 'Pedido atualizado com sucesso');
+
+  // A versão original capturada e repetida depois da alteração, inclusive em outra loja
+  for (const caminho of ['/webhook/ifood', '/webhook/ifood/outra-loja']) {
+    const repetida = await enviarIfood(original, caminho);
+    assert.equal(repetida.status, 200);
+    assert.equal(repetida.corpo.duplicado, true);
+    assert.equal(repetida.corpo.venda_id, primeira.corpo.venda_id);
+  }
+
+  const vendas = await api.pool.query(`SELECT valor_total FROM vendas WHERE id_externo = $1`, ['IFOOD-REPETIDO']);
+  assert.deepEqual(vendas.rows.map(venda => parseFloat(venda.valor_total)), [100]);
+});